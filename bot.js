@@ -3,14 +3,29 @@
  * Responsibilities:
  * - Creates a Discord.js Client with required intents (guilds, messages, moderation, members, content).
  * - Registers guild slash commands:
- *   /start-again-validator, /start-again-delegator, /receive-notifications (with on/off choice), /reconcile_roles (mods only).
+ *   /start-again-validator, /start-again-delegator, /receive-notifications (with on/off choice),
+ *   /notifications (per-category toggles), /rewards (PayDay history + CSV), /my-status (linked accounts),
+ *   /unlink (remove one verified link), /pool-role (validators: role for their pool's delegators),
+ *   /reconcile_roles and /stake_tiers (mods only).
  * - Handles `!setup` to post a role verification select menu and routes selections to:
  *   - Developer verification (GitHub-based),
  *   - Validator verification (on-chain transaction),
  *   - Delegator verification (on-chain transaction).
  * - Wires verification flows (start/restart) and message listeners for validator/delegator flows.
- * - Integrates AutoMod, per-user notification preferences, and alerts (injects the Discord client).
- * - Connects to a Concordium node via gRPC (tx logger), pings it, and starts a listener.
+ * - Integrates AutoMod, per-user notification preferences, and alerts (injects the Discord client);
+ *   starts the persistent DM queue worker (modules/dmQueue.js) that delivers alert DMs, and the closed-DM
+ *   fallback (modules/dmFallback.js: private notification threads, one-time notice, daily mod summary).
+ * - Schedules the PayDay reward digest (node-cron) for users who prefer daily/weekly summaries.
+ * - Schedules role reconciliation (RECONCILE_CRON); `/reconcile_roles dry_run:true` and scheduled dry runs post a
+ *   diff report whose Approve button applies it.
+ * - Schedules the validator health monitor (VALIDATOR_HEALTH_CRON): early-warning DMs for verified validators
+ *   that bake fewer blocks than their lottery power predicts, and the node liveness check (LIVENESS_CRON) that
+ *   alerts owners whose earliest win time repeatedly passes without a block.
+ * - Schedules the Developer re-check against GitHub (DEV_RECONCILE_CRON); `/reconcile_roles developers:true`
+ *   runs it on demand (report only with dry_run).
+ * - Connects to a Concordium node via gRPC (tx logger), pings it, restores in-flight verification sessions
+ *   (memo waiters) and then starts the listener; finalizes /verify/wallet signatures handed over by server.js
+ *   (walletVerification.startWalletFinalizer).
  * - Handles member leave events to perform cleanup logic.
  * - Logs bot in using DISCORD_BOT_TOKEN.
  */
@@ -30,20 +45,45 @@ const handleDevVerification = require("./roles/devVerification");
 const {
   handleValidatorVerification,
   listenForValidatorMessages,
+  restoreValidatorSessions,
   restartValidatorFlow
 } = require("./roles/validatorVerification");
 const {
   handleDelegatorVerification,
   listenForDelegatorMessages,
+  restoreDelegatorSessions,
   restartDelegatorFlow
 } = require("./roles/delegatorVerification");
 
 const setupAutoModIntegration = require("./utils/automodIntegration");
 const { handleMemberLeave } = require("./modules/member-leave-handler");
-const { setAlertsClient } = require("./modules/alerts");
-const { handleReceiveNotifications } = require("./modules/notificationPrefs");
+const { setAlertsClient, safeDM } = require("./modules/alerts");
+const { startDmQueue } = require("./modules/dmQueue");
+const { attachClosedDmNotice, startDmFailureSummary } = require("./modules/dmFallback");
+const { startValidatorHealthMonitor } = require("./modules/validatorHealth");
+const { startValidatorLivenessMonitor } = require("./modules/validatorLiveness");
+const { startWalletFinalizer } = require("./modules/walletVerification");
+const { MSGS } = require("./utils/messages");
+const { startPaydayDigestScheduler, handleRewardsCommand } = require("./modules/paydayRewards");
+const { handleMyStatusCommand } = require("./modules/myStatus");
+const { handleUnlinkCommand, handleUnlinkSelect } = require("./modules/unlink");
+const { handleStakeTiersCommand } = require("./modules/stakeTiers");
+const { handlePoolRoleCommand } = require("./modules/poolRoles");
+const {
+  handleReceiveNotifications,
+  handleNotificationsCommand,
+  handleNotificationsButton,
+  handleNotificationsSelect,
+} = require("./modules/notificationPrefs");
 const { runBackfillFromCsv, runPostImportEnrichment } = require("./scripts/backfill");
-const { reconcileRoles } = require("./modules/roleReconciler");
+const {
+  reconcileRoles,
+  createPendingPlan,
+  reconcileReport,
+  handleReconcileButton,
+  startReconcileScheduler,
+} = require("./modules/roleReconciler");
+const { reconcileDevelopers, startDevReconcileScheduler } = require("./modules/devReconciler");
 
 let _txloggerMod = null;
 
@@ -112,6 +152,13 @@ client.once("clientReady", async () => {
   console.log(`🤖 Bot is running as ${client.user.tag}`);
 
   setAlertsClient(client);
+  startDmQueue(client);
+  startDmFailureSummary(client);
+  startPaydayDigestScheduler(safeDM);
+  startReconcileScheduler(client);
+  startDevReconcileScheduler(client);
+  startValidatorHealthMonitor();
+  startValidatorLivenessMonitor();
 
   const csvPath     = process.env.IMPORT_VERIFICATIONS_CSV;
   const runOnEmpty  = toBool(process.env.IMPORT_RUN_ON_EMPTY);
@@ -156,9 +203,169 @@ client.once("clientReady", async () => {
         }
       ]
     },
+    {
+      name: "notifications",
+      description: "Choose which kinds of personal notifications you receive"
+    },
+    {
+      name: "rewards",
+      description: "Show PayDay rewards of your linked accounts",
+      options: [
+        {
+          type: 3,
+          name: "period",
+          description: "Time range",
+          required: true,
+          choices: [
+            { name: "last 7 days",  value: "7d"     },
+            { name: "last 30 days", value: "30d"    },
+            { name: "this year",    value: "year"   },
+            { name: "custom",       value: "custom" }
+          ]
+        },
+        {
+          type: 3,
+          name: "from",
+          description: "Custom range start (YYYY-MM-DD)",
+          required: false
+        },
+        {
+          type: 3,
+          name: "to",
+          description: "Custom range end, inclusive (YYYY-MM-DD)",
+          required: false
+        },
+        {
+          type: 5,
+          name: "csv",
+          description: "Attach a per-PayDay CSV export",
+          required: false
+        }
+      ]
+    },
+    {
+      name: "my-status",
+      description: "Show your linked accounts, their on-chain state and your notification settings"
+    },
+    {
+      name: "unlink",
+      description: "Remove one of your verified wallets or links"
+    },
+    {
+      name: "pool-role",
+      description: "Manage a role for the verified delegators of your validator pool",
+      options: [
+        {
+          type: 1,
+          name: "enable",
+          description: "Create the pool role and assign it to your verified delegators",
+          options: [
+            {
+              type: 3,
+              name: "name",
+              description: "Role name (default: Pool #<id> delegators)",
+              required: false
+            },
+            {
+              type: 4,
+              name: "validator_id",
+              description: "Which of your validators (if you have several)",
+              required: false
+            }
+          ]
+        },
+        {
+          type: 1,
+          name: "disable",
+          description: "Delete your pool role",
+          options: [
+            {
+              type: 4,
+              name: "validator_id",
+              description: "Which of your validators (if you have several)",
+              required: false
+            }
+          ]
+        }
+      ]
+    },
     {
       name: "reconcile_roles",
-      description: "Fix Discord roles & DB after downtime (mods only)"
+      description: "Fix Discord roles & DB after downtime (mods only)",
+      options: [
+        {
+          type: 5,
+          name: "dry_run",
+          description: "Only report the planned changes; apply them with the Approve button",
+          required: false
+        },
+        {
+          type: 5,
+          name: "delete_rows",
+          description: "Delete stale verification rows instead of clearing them (default: true)",
+          required: false
+        },
+        {
+          type: 5,
+          name: "developers",
+          description: "Re-check Developer roles against the GitHub criteria instead",
+          required: false
+        }
+      ]
+    },
+    {
+      name: "stake_tiers",
+      description: "Manage stake-tier roles (mods only)",
+      options: [
+        {
+          type: 1,
+          name: "list",
+          description: "Show the configured stake tiers"
+        },
+        {
+          type: 1,
+          name: "add",
+          description: "Add a tier or change its minimum",
+          options: [
+            {
+              type: 3,
+              name: "role_type",
+              description: "Which verified accounts count towards the tier",
+              required: true,
+              choices: [
+                { name: "Delegator", value: "Delegator" },
+                { name: "Validator", value: "Validator" }
+              ]
+            },
+            {
+              type: 8,
+              name: "role",
+              description: "Discord role to assign",
+              required: true
+            },
+            {
+              type: 10,
+              name: "min_ccd",
+              description: "Minimum total stake in CCD",
+              required: true,
+              min_value: 0
+            }
+          ]
+        },
+        {
+          type: 1,
+          name: "remove",
+          description: "Remove a tier",
+          options: [
+            {
+              type: 8,
+              name: "role",
+              description: "Tier role to remove",
+              required: true
+            }
+          ]
+        }
+      ]
     }
   ];
 
@@ -184,7 +391,20 @@ client.once("clientReady", async () => {
     console.warn("⚠️ Could not reach Concordium gRPC node:", e?.message || e);
   }
 
+  // Memo waiters must be back in place before the listener replays blocks from its cursor.
+  try {
+    await restoreValidatorSessions(client);
+    await restoreDelegatorSessions(client);
+  } catch (e) {
+    console.warn("⚠️ Could not restore verification sessions:", e?.message || e);
+  }
+
+  startWalletFinalizer(client);
+
   startTxLoggerListener();
+  _getTxLogger()
+    .then((m) => m.setMemoImpersonationNotifier((info) => sendModLog(MSGS.modLogsMemoImpersonation(info))))
+    .catch(() => {});
 });
 
 client.on("messageCreate", async (message) => {
@@ -225,6 +445,24 @@ client.on("messageCreate", async (message) => {
 });
 
 client.on("interactionCreate", async (interaction) => {
+  if (interaction.isButton() && interaction.customId.startsWith("notif_toggle:")) {
+    return handleNotificationsButton(interaction);
+  }
+
+  if (interaction.isStringSelectMenu() && interaction.customId === "notif_payday_delivery") {
+    return handleNotificationsSelect(interaction);
+  }
+
+  if (
+    interaction.isButton() &&
+    (interaction.customId.startsWith("reconcile_approve:") || interaction.customId.startsWith("reconcile_discard:"))
+  ) {
+    return handleReconcileButton(interaction);
+  }
+  if (interaction.isStringSelectMenu() && interaction.customId === "unlink_select") {
+    return handleUnlinkSelect(interaction);
+  }
+
   if (
     interaction.isStringSelectMenu() &&
     interaction.customId === "role_verification_menu"
@@ -290,6 +528,21 @@ client.on("interactionCreate", async (interaction) => {
       case "receive-notifications":
         return handleReceiveNotifications(interaction);
 
+      case "notifications":
+        return handleNotificationsCommand(interaction);
+
+      case "rewards":
+        return handleRewardsCommand(interaction);
+
+      case "my-status":
+        return handleMyStatusCommand(interaction);
+
+      case "unlink":
+        return handleUnlinkCommand(interaction);
+
+      case "pool-role":
+        return handlePoolRoleCommand(interaction);
+
       case "reconcile_roles": {
         const member = interaction.guild
           ? await interaction.guild.members.fetch(interaction.user.id).catch(() => null)
@@ -302,14 +555,47 @@ client.on("interactionCreate", async (interaction) => {
           });
         }
 
+        const dryRun = interaction.options.getBoolean("dry_run") ?? false;
+        const deleteRows = interaction.options.getBoolean("delete_rows") ?? true;
+        const developers = interaction.options.getBoolean("developers") ?? false;
+
+        if (developers) {
+          await interaction.reply({ content: "🔎 Re-checking Developer roles against GitHub…", flags: MessageFlags.Ephemeral });
+          await sendModLog(`🧰 Developer reconcile${dryRun ? " dry run" : ""} requested by ${who}${where}`);
+          try {
+            const { failing, checked, skipped } = await reconcileDevelopers(client, {
+              ...(dryRun ? { policy: "report" } : {}),
+              debug: true,
+            });
+            await interaction.editReply(
+              `✅ Developer reconcile finished: ${checked} checked, ${skipped} skipped, ${failing.length} failing (see mod logs).`
+            );
+          } catch (e) {
+            console.error("[dev-reconcile] handler error:", e);
+            try { await interaction.editReply(`❌ Developer reconcile failed: ${e?.message || e}`); } catch {}
+          }
+          return;
+        }
+
         await interaction.reply({
-          content: "🔧 Reconciling roles & DB…",
+          content: dryRun ? "🔎 Planning reconcile (dry run)…" : "🔧 Reconciling roles & DB…",
           flags: MessageFlags.Ephemeral,
         });
-        await sendModLog(`🧰 Reconcile requested by ${who}${where}`);
+        await sendModLog(`🧰 Reconcile${dryRun ? " dry run" : ""} requested by ${who}${where}`);
+
+        if (dryRun) {
+          try {
+            const { planId, plan } = await createPendingPlan(client, { deleteRows, debug: true });
+            await interaction.editReply(reconcileReport(plan, planId));
+          } catch (e) {
+            console.error("[reconcile] dry run error:", e);
+            try { await interaction.editReply(`❌ Reconcile dry run failed: ${e?.message || e}`); } catch {}
+          }
+          return;
+        }
 
         try {
-          await reconcileRoles(client, { deleteRows: true, debug: true });
+          await reconcileRoles(client, { deleteRows, debug: true });
           await interaction.editReply("✅ Reconcile finished.");
           await sendModLog(`✅ Reconcile finished (requested by ${who})`);
         } catch (e) {
@@ -319,6 +605,23 @@ client.on("interactionCreate", async (interaction) => {
         }
         return;
       }
+
+      case "stake_tiers": {
+        const member = interaction.guild
+          ? await interaction.guild.members.fetch(interaction.user.id).catch(() => null)
+          : null;
+
+        if (!member || !member.roles.cache.has(TEAM_ROLE_ID)) {
+          return interaction.reply({
+            content: "❌ You do not have permission to use this command.",
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+
+        const sub = interaction.options.getSubcommand();
+        if (sub !== "list") await sendModLog(`🏅 /stake_tiers ${sub} by ${who}${where}`);
+        return handleStakeTiersCommand(interaction);
+      }
     }
   }
 });
@@ -331,5 +634,6 @@ client.on("guildMemberRemove", async (member) => {
 listenForValidatorMessages(client);
 listenForDelegatorMessages(client);
 setupAutoModIntegration(client);
+attachClosedDmNotice(client);
 
 client.login(DISCORD_BOT_TOKEN);
\ No newline at end of file
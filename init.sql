@@ -16,6 +16,18 @@ CREATE TABLE IF NOT EXISTS verifications (
     last_notified_delegation_target TEXT
 );
 
+-- One verified row per wallet and role, so concurrent signature/memo completions
+-- cannot both link it. Developer rows all use the 'developer-auth' placeholder
+-- and are left out. On an existing database, remove duplicate rows first.
+CREATE UNIQUE INDEX IF NOT EXISTS verifications_wallet_role_idx
+  ON verifications (wallet_address, role_type)
+  WHERE role_type <> 'Developer';
+
+-- Numeric GitHub account id of Developer verifications; modules/devReconciler.js
+-- looks the account up by id so a renamed login is not mistaken for a deleted one.
+ALTER TABLE verifications
+  ADD COLUMN IF NOT EXISTS github_user_id BIGINT;
+
 -- VALIDATOR COMMISSIONS: current pool commission rates (block/tx),
 -- the last check timestamp, and the last “notified” values used to detect changes.
 CREATE TABLE IF NOT EXISTS validator_commissions (
@@ -35,6 +47,67 @@ CREATE TABLE IF NOT EXISTS notification_prefs (
   updated_at  TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 
+-- PayDay reward delivery: one DM per PayDay (immediate) or a daily/weekly digest;
+-- payday_digest_sent_at marks the end of the last digest window.
+ALTER TABLE notification_prefs
+  ADD COLUMN IF NOT EXISTS payday_delivery TEXT NOT NULL DEFAULT 'immediate'
+    CHECK (payday_delivery IN ('immediate', 'daily', 'weekly'));
+ALTER TABLE notification_prefs
+  ADD COLUMN IF NOT EXISTS payday_digest_sent_at TIMESTAMPTZ;
+
+-- NOTIFICATION SUBSCRIPTIONS: per-category DM opt-outs on top of notification_prefs.
+-- Categories: payday, commission, suspension, stake, pool_membership, network.
+-- A missing row means the user is subscribed to that category.
+CREATE TABLE IF NOT EXISTS notification_subscriptions (
+  discord_id  TEXT NOT NULL,
+  category    TEXT NOT NULL,
+  enabled     BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_at  TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (discord_id, category)
+);
+
+-- VERIFICATION SESSIONS: in-flight validator/delegator verifications (one per
+-- user and flow), so a restart can restore the thread state and re-register
+-- memo waiters. memo_issued_at keeps the waiter TTL across restarts.
+CREATE TABLE IF NOT EXISTS verification_sessions (
+  discord_id         TEXT         NOT NULL,
+  flow               TEXT         NOT NULL CHECK (flow IN ('Validator', 'Delegator')),
+  thread_id          TEXT         NOT NULL,
+  step               TEXT         NOT NULL,
+  account_address    TEXT,
+  validator_id       INTEGER,
+  delegation_target  TEXT,
+  memo               TEXT,
+  memo_issued_at     TIMESTAMPTZ,
+  created_at         TIMESTAMPTZ  NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at         TIMESTAMPTZ  NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at         TIMESTAMPTZ  NOT NULL,
+  PRIMARY KEY (discord_id, flow)
+);
+
+-- Finalized block height when the memo was issued; the verification flows scan
+-- from here for a matching transfer sent before the waiter existed (downtime).
+ALTER TABLE verification_sessions
+  ADD COLUMN IF NOT EXISTS start_height BIGINT;
+
+-- Nonce of the signed-message challenge offered as a fee-free alternative to
+-- the memo transfer; signature verifications store tx_hash = 'signature:<nonce>'.
+ALTER TABLE verification_sessions
+  ADD COLUMN IF NOT EXISTS challenge_nonce TEXT;
+
+-- Token in the /verify/wallet link (server.js) that lets the browser page sign the
+-- same challenge; looked up only while the session is unexpired.
+ALTER TABLE verification_sessions
+  ADD COLUMN IF NOT EXISTS wallet_token TEXT;
+
+-- Set by server.js once the /verify/wallet signature checked out; the bot process
+-- (LISTEN wallet_verification) clears it and finalizes the verification.
+ALTER TABLE verification_sessions
+  ADD COLUMN IF NOT EXISTS wallet_signed_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS verification_sessions_wallet_token_idx
+  ON verification_sessions (wallet_token);
+
 -- VALIDATOR-DELEGATORS: on-chain mapping of validator ↔ delegator with the
 -- delegator’s account address and first/last seen timestamps.
 CREATE TABLE IF NOT EXISTS validator_delegators (
@@ -51,4 +124,150 @@ CREATE INDEX IF NOT EXISTS idx_validator_delegators_validator
   ON validator_delegators(validator_id);
 
 CREATE INDEX IF NOT EXISTS idx_validator_delegators_delegator
-  ON validator_delegators(delegator_id);
\ No newline at end of file
+  ON validator_delegators(delegator_id);
+
+-- TXLOGGER CURSOR: last fully processed finalized block height per stream,
+-- so the gRPC listener can resume (and catch up) after a restart.
+CREATE TABLE IF NOT EXISTS txlogger_cursor (
+  name         TEXT         PRIMARY KEY,
+  last_height  BIGINT       NOT NULL,
+  updated_at   TIMESTAMPTZ  NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- PROCESSED EVENTS: idempotency ledger of notifications per on-chain event
+-- (block hash + tx hash + event index) and recipient (a Discord user, or
+-- channel:<id> for announcement posts). Special events use an empty tx_hash.
+-- kind tells apart different messages about the same event (defaults to the
+-- notification category), so a follow-up DM is not mistaken for a replay.
+-- Prevents duplicate DMs when blocks are processed twice.
+CREATE TABLE IF NOT EXISTS processed_events (
+  block_hash    TEXT         NOT NULL,
+  tx_hash       TEXT         NOT NULL DEFAULT '',
+  event_index   INTEGER      NOT NULL,
+  discord_id    TEXT         NOT NULL,
+  kind          TEXT         NOT NULL DEFAULT '',
+  processed_at  TIMESTAMPTZ  NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (block_hash, tx_hash, event_index, discord_id, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_events_processed_at
+  ON processed_events(processed_at);
+
+-- PAYDAY REWARDS: PayDay account rewards of verified validators/delegators,
+-- one row per account, PayDay block and member the account was linked to at
+-- that PayDay, so the history survives unlinking. staked_ccd is the account's stake as of
+-- the PayDay block (NULL when unknown) and feeds the APY estimate in digests.
+CREATE TABLE IF NOT EXISTS payday_rewards (
+  account_address          TEXT         NOT NULL,
+  block_hash               TEXT         NOT NULL,
+  discord_id               TEXT         NOT NULL,
+  payday_at                TIMESTAMPTZ  NOT NULL,
+  role_type                TEXT         NOT NULL CHECK (role_type IN ('Validator', 'Delegator')),
+  delegation_target        TEXT,
+  transaction_fees_ccd     NUMERIC      NOT NULL DEFAULT 0,
+  baker_reward_ccd         NUMERIC      NOT NULL DEFAULT 0,
+  finalization_reward_ccd  NUMERIC      NOT NULL DEFAULT 0,
+  total_ccd                NUMERIC      NOT NULL,
+  staked_ccd               NUMERIC,
+  recorded_at              TIMESTAMPTZ  NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (account_address, block_hash, discord_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payday_rewards_discord_time
+  ON payday_rewards(discord_id, payday_at);
+
+-- POOL ROLES: opt-in Discord role per validator pool, created by the bot for a
+-- verified validator owner (/pool-role) and held by the pool's verified delegators.
+CREATE TABLE IF NOT EXISTS pool_roles (
+  validator_id  INTEGER      PRIMARY KEY,
+  role_id       TEXT         NOT NULL UNIQUE,
+  created_by    TEXT,
+  created_at    TIMESTAMPTZ  NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- STAKE TIERS: extra roles by stake size, managed with /stake_tiers. A member
+-- holds the highest tier whose minimum their linked accounts' total stake
+-- (delegated stake, or equity capital for validators) meets.
+CREATE TABLE IF NOT EXISTS stake_tiers (
+  id             SERIAL       PRIMARY KEY,
+  role_type      TEXT         NOT NULL CHECK (role_type IN ('Validator', 'Delegator')),
+  role_id        TEXT         NOT NULL UNIQUE,
+  min_stake_ccd  NUMERIC      NOT NULL CHECK (min_stake_ccd >= 0),
+  created_by     TEXT,
+  created_at     TIMESTAMPTZ  NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ROLE ORPHAN NOTICES: members holding a verified role without a verifications
+-- row who were already DMed a re-verify link (RECONCILE_ORPHANS=notify), so
+-- scheduled reconcile runs do not DM them again.
+CREATE TABLE IF NOT EXISTS role_orphan_notices (
+  discord_id   TEXT         NOT NULL,
+  role_type    TEXT         NOT NULL,
+  notified_at  TIMESTAMPTZ  NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (discord_id, role_type)
+);
+
+-- DM QUEUE: outbound alert DMs, delivered by the bot's queue worker
+-- (modules/dmQueue.js) in per-user order with a global rate limit. Failed
+-- sends are retried with backoff (next_attempt_at); status 'dead' marks dead
+-- letters. Delivered and dead rows are pruned after DM_QUEUE_RETENTION_DAYS.
+CREATE TABLE IF NOT EXISTS dm_queue (
+  id               BIGSERIAL    PRIMARY KEY,
+  discord_id       TEXT         NOT NULL,
+  payload          JSONB        NOT NULL,
+  category         TEXT,
+  status           TEXT         NOT NULL DEFAULT 'pending'
+                                CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+  attempts         INTEGER      NOT NULL DEFAULT 0,
+  next_attempt_at  TIMESTAMPTZ  NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_error       TEXT,
+  created_at       TIMESTAMPTZ  NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at       TIMESTAMPTZ  NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sent_at          TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_dm_queue_due
+  ON dm_queue(next_attempt_at, id) WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_dm_queue_user_open
+  ON dm_queue(discord_id, id) WHERE status IN ('pending', 'sending');
+
+-- DM FAILURES: consecutive "Cannot send messages to this user" failures per
+-- member. From DM_FALLBACK_THRESHOLD on, DMs go to a private fallback thread
+-- (fallback_thread_id); notice_pending marks the one-time ephemeral notice and
+-- reported_at the last moderator summary that listed the member.
+CREATE TABLE IF NOT EXISTS dm_failures (
+  discord_id          TEXT         PRIMARY KEY,
+  failures            INTEGER      NOT NULL DEFAULT 0,
+  first_failed_at     TIMESTAMPTZ  NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_failed_at      TIMESTAMPTZ  NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_error          TEXT,
+  fallback_thread_id  TEXT,
+  notice_pending      BOOLEAN      NOT NULL DEFAULT FALSE,
+  reported_at         TIMESTAMPTZ
+);
+
+-- VALIDATOR HEALTH: last health check of each verified validator in the
+-- current PayDay (blocks expected from lottery power vs. blocks baked) and
+-- when its owners were last warned (cooldown; cleared once back on track).
+CREATE TABLE IF NOT EXISTS validator_health (
+  validator_id     INTEGER      PRIMARY KEY,
+  expected_blocks  NUMERIC,
+  baked_blocks     INTEGER,
+  checked_at       TIMESTAMPTZ  NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  warned_at        TIMESTAMPTZ
+);
+
+-- VALIDATOR LIVENESS: last block seen from each verified validator, its last
+-- projected earliest win time (getBakerEarliestWinTime, judged on a later run
+-- once its grace period is over) and the windows that passed without a block.
+-- alerted_at drives the alert cooldown; alert_open triggers the all-clear DM
+-- on the validator's next block.
+CREATE TABLE IF NOT EXISTS validator_liveness (
+  validator_id    INTEGER      PRIMARY KEY,
+  last_block_at   TIMESTAMPTZ,
+  last_win_time   TIMESTAMPTZ,
+  missed_windows  INTEGER      NOT NULL DEFAULT 0,
+  alerted_at      TIMESTAMPTZ,
+  alert_open      BOOLEAN      NOT NULL DEFAULT FALSE
+);
@@ -2,43 +2,55 @@
 /**
  * Alerting and DM fan-out service for on-chain events (validators & delegators).
  * Responsibilities:
- * - Sends Discord DMs (via setAlertsClient) gated by per-user prefs (isNotificationsEnabled).
+ * - Queues Discord DMs gated by per-user, per-category subscriptions
+ *   (notificationPrefs.isSubscribed; safeDM(userId, content, category, kind)) and the
+ *   processed-events ledger (eventLedger.claimDelivery): at most one DM per user, on-chain event and message
+ *   kind (the category unless a handler sends more than one message per user, e.g. the role revocation after a
+ *   stake drop, or the separate validator-owner and pool-delegator messages for stake and suspension changes).
+ *   Delivery (rate limit, retries, dead letters) happens in dmQueue.js, so handlers never wait on Discord.
  * - Aggregates & deduplicates event bursts:
  *   • Commission changes (per validator, short window) → updates `validator_commissions`,
  *     compares against last_notified_* and notifies delegators of that pool.
  *   • “New delegator” sequence (Added/TargetSet/StakeIncreased in one tx) → single DM to validator owner(s).
+ * - Network-level events (validators added/removed, commission changes of large pools) are posted to public
+ *   channels (announcements.js); only members who opted in to the "network" category also get a DM copy.
  * - Handles validator lifecycle:
  *   • Primed for suspension / Suspended / Resumed → updates `verifications.is_suspended` & last_notified,
  *     DMs validator owners and their delegators with status-specific messages.
  *   • Validator removed → switches affected delegators to passive, prunes validator_commissions and
- *     validator_delegators rows, DMs delegators about passive delegation.
+ *     validator_delegators rows, DMs delegators about passive delegation (one DM per user listing all
+ *     of their affected wallets).
  * - Handles delegator activity:
- *   • Target changed (pool ↔ passive) → updates DB, fetches/records commissions for new pool, DMs delegator.
- *   • Stake increased/decreased → DMs delegator; on decrease, includes cooldown info (parsed via CLI).
+ *   • Target changed (pool ↔ passive) → updates DB, fetches/records commissions for new pool, DMs delegator,
+ *     moves opt-in pool roles (poolRoles.syncPoolRoles). A removed validator's pool role is deleted.
+ *   • Stake increased/decreased → DMs delegator; on decrease, includes cooldown info (accountCooldowns via chainQueries).
+ *     Below the minimum the account is unlinked; the Delegator role is removed only when no linked account remains.
+ *     Stake changes of validators and delegators re-evaluate their stake-tier roles (stakeTiers.syncStakeTiers).
  *   • Joined/Left pool & stake changes for a pool → DMs validator owner(s) with account, stake, time, tx.
  * - PayDay rewards:
+ *   • Every reward of a verified account is stored in `payday_rewards` (paydayRewards.recordPaydayReward).
  *   • Validator account rewards (fees + baking + finalization) → DMs validator owners with breakdown.
  *   • Delegator account rewards → DMs delegators; notes passive vs pool target.
+ *   • Only users with `payday_delivery = immediate` get per-PayDay DMs; others receive the digest.
  * - Utilities:
- *   • Uses `concordium-client` (CLI) to read account/pool details (stake, cooldowns, commissions).
- *   • Helper parsing for CLI outputs; small aggregation windows to coalesce related events.
+ *   • Reads account/pool details (stake, cooldowns, commissions) through the shared gRPC client in chainQueries.
+ *   • Small aggregation windows to coalesce related events.
  */
 const { Pool } = require("pg");
 const { MSGS, scanTxLink, scanBlockLink } = require("../utils/messages");
-const { runCommandWithRetry } = require("../utils/retry");
-const { isNotificationsEnabled } = require("./notificationPrefs");
+const { isSubscribed, getPaydayDelivery, listSubscribers } = require("./notificationPrefs");
+const { recordPaydayReward } = require("./paydayRewards");
+const { claimDelivery, releaseDelivery } = require("./eventLedger");
+const { enqueueDM } = require("./dmQueue");
+const chain = require("./chainQueries");
+const { syncStakeTiers } = require("./stakeTiers");
+const { syncPoolRoles, removePoolRole } = require("./poolRoles");
+const { announceValidatorAdded, announceValidatorRemoved, announceCommissionChange } = require("./announcements");
 const MIN_DELEGATION_CCD = Number(process.env.MIN_DELEGATION_CCD || 1000);
 
 const DISCORD_GUILD_ID   = process.env.DISCORD_GUILD_ID;
 const DELEGATOR_ROLE_ID  = process.env.DELEGATOR_ROLE_ID;
 
-const CLIENT_PATH = process.env.CONCORDIUM_CLIENT_PATH || "concordium-client";
-const GRPC_HOST   = process.env.GRPC_IP || "127.0.0.1";
-const GRPC_PORT   = Number(process.env.GRPC_PORT || 20000);
-const USE_TLS     =
-  (process.env.GRPC_TLS || "").toLowerCase() === "true" ||
-  process.env.GRPC_TLS === "1";
-
 const {
   PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
   MOD_LOGS_CHANNEL_ID
@@ -62,74 +74,38 @@ function setAlertsClient(client) {
   if (ALERTS_DEBUG) console.log("📌 [alerts] client set");
 }
 
-async function getSelfStakeCCD_CLI(account) {
+async function getSelfStakeCCD(account) {
   if (!account) return null;
-  const cmd =
-    `${CLIENT_PATH} account show ${account}` +
-    ` --grpc-ip ${GRPC_HOST}` +
-    ` --grpc-port ${GRPC_PORT}` +
-    (USE_TLS ? " --secure" : "");
   try {
-    const out = await runCommandWithRetry(cmd);
-    const m = out.match(/^\s*-\s*Staked amount:\s*([0-9][0-9.,]*)\s*CCD\s*$/im);
-    if (!m) return null;
-    const val = Number(String(m[1]).replace(/,/g, ""));
-    return Number.isFinite(val) ? val : null;
+    const acct = await chain.getAccountStake(account);
+    return acct?.type === "validator" ? acct.stakedCCD : null;
   } catch (e) {
-    if (ALERTS_DEBUG) console.warn("[alerts] getSelfStakeCCD_CLI failed:", e?.message || e);
+    if (ALERTS_DEBUG) console.warn("[alerts] getSelfStakeCCD failed:", e?.message || e);
     return null;
   }
 }
 
-async function getDelegatedStakeCCD_CLI(account) {
+async function getDelegatedStakeCCD(account) {
   if (!account) return null;
-
-  const cmd =
-    `${CLIENT_PATH} account show ${account}` +
-    ` --grpc-ip ${GRPC_HOST}` +
-    ` --grpc-port ${GRPC_PORT}` +
-    (USE_TLS ? " --secure" : "");
-
   try {
-    const out = await runCommandWithRetry(cmd);
-
-    if (/Delegating stake:\s*no/i.test(out)) return null;
-
-    const m = out.match(/^\s*-\s*Staked amount:\s*([0-9][0-9.,]*)\s*CCD\s*$/im);
-    if (!m) return null;
-
-    const raw = m[1].replace(/,/g, "");
-    const val = Number(raw);
-    return Number.isFinite(val) ? val : null;
+    const acct = await chain.getAccountStake(account);
+    return acct?.type === "delegator" ? acct.stakedCCD : null;
   } catch (e) {
-    if (ALERTS_DEBUG) console.warn("[alerts] CLI stake fetch failed:", e?.message || e);
+    if (ALERTS_DEBUG) console.warn("[alerts] stake fetch failed:", e?.message || e);
     return null;
   }
 }
 
 async function getCooldowns(account) {
-  const cmd =
-    `${CLIENT_PATH} account show ${account}` +
-    ` --grpc-ip ${GRPC_HOST}` +
-    ` --grpc-port ${GRPC_PORT}` +
-    (USE_TLS ? " --secure" : "");
-
   try {
-    const out = await runCommandWithRetry(cmd);
-    const idx = out.indexOf("Inactive stake in cooldown:");
-    if (idx === -1) return [];
-
-    const tail = out.slice(idx).split(/\r?\n/).slice(1, 12);
-    const items = [];
-    for (const line of tail) {
-      const m = line.match(/^\s*([\d.,]+)\s*CCD\s+available\s+after\s+(.+?)\s*$/i);
-      if (!m) continue;
-      const amountNum = Number(String(m[1]).replace(/,/g, ""));
-      const amountCCD = Number.isFinite(amountNum) ? fmtCCD2(amountNum, 2) : String(m[1]);
-      const when = m[2].trim();
-      items.push({ amountCCD, when });
-    }
-    return items;
+    const acct = await chain.getAccountStake(account);
+    if (!acct) return [];
+    return acct.cooldowns
+      .filter((c) => Number.isFinite(c.amountCCD))
+      .map((c) => ({
+        amountCCD: fmtCCD2(c.amountCCD, 2),
+        when: c.availableAt ? c.availableAt.toUTCString() : "unknown",
+      }));
   } catch (e) {
     if (ALERTS_DEBUG) console.warn("[alerts] getCooldowns failed:", e?.message || e);
     return [];
@@ -153,19 +129,22 @@ async function sendModLog(content) {
   }
 }
 
-async function safeDM(userId, content) {
-  if (!discordClient) return false;
-
+async function safeDM(userId, content, category, kind = category) {
   try {
-    const allowed = await isNotificationsEnabled(userId);
+    const allowed = await isSubscribed(userId, category);
     if (!allowed) {
-      if (ALERTS_DEBUG) console.log(`[alerts] notifications OFF for ${userId}, skipping DM`);
+      if (ALERTS_DEBUG) console.log(`[alerts] ${category || "notifications"} OFF for ${userId}, skipping DM`);
       return false;
     }
   } catch (e) {
     if (ALERTS_DEBUG) console.warn("[alerts] pref check failed:", e?.message || e);
   }
 
+  if (!(await claimDelivery(userId, kind))) {
+    if (ALERTS_DEBUG) console.log(`[alerts] ${userId} already notified for this on-chain event, skipping DM`);
+    return false;
+  }
+
   try {
     const payload = (typeof content === "string") ? { content } : { ...content };
 
@@ -173,19 +152,12 @@ async function safeDM(userId, content) {
       payload.allowedMentions = { users: [userId], parse: [] };
     }
 
-    await discordClient.users.send(userId, payload);
-    if (ALERTS_DEBUG) console.log(`[alerts] DM sent to ${userId}`);
+    const id = await enqueueDM(userId, payload, category || null);
+    if (ALERTS_DEBUG) console.log(`[alerts] DM #${id} queued for ${userId}`);
     return true;
   } catch (e) {
-    if (ALERTS_DEBUG) console.warn(`[alerts] DM failed to ${userId}:`, e?.message || e);
-    try {
-      if (MOD_LOGS_CHANNEL_ID) {
-        const ch = await discordClient.channels.fetch(MOD_LOGS_CHANNEL_ID).catch(() => null);
-        if (ch?.isTextBased?.()) {
-          await ch.send(`⚠️ Could not DM <@${userId}>: ${e?.message || e}`);
-        }
-      }
-    } catch {}
+    console.warn(`[alerts] queueing DM for ${userId} failed:`, e?.message || e);
+    await releaseDelivery(userId, kind);
     return false;
   }
 }
@@ -285,20 +257,30 @@ async function flushCommissionBucket(key) {
   );
   const recipients = [...new Set(delegators.rows.map(r => r.discord_id))];
 
-  if (recipients.length === 0) {
-    if (ALERTS_DEBUG) console.log(`[alerts] no delegators to notify for commissions change v${validatorId}`);
-    return;
-  }
-
   const oldBaking = (prevBaking ?? bakingRewardCommission ?? 0);
   const newBaking = (bakingRewardCommission ?? prevBaking ?? 0);
   const oldTx     = (prevTxFee ?? transactionFeeCommission ?? 0);
   const newTx     = (transactionFeeCommission ?? prevTxFee ?? 0);
 
+  if (recipients.length === 0 && ALERTS_DEBUG) {
+    console.log(`[alerts] no delegators to notify for commissions change v${validatorId}`);
+  }
+
   for (const uid of recipients) {
     const mention = `<@${uid}>`;
     const body = MSGS.commissionChanged(mention, validatorId, oldBaking, newBaking, oldTx, newTx);
-    await safeDM(uid, body);
+    await safeDM(uid, body, "commission");
+  }
+
+  // Large pools are announced publicly; the pool's own delegators were DMed above, and the shared "commission"
+  // kind makes claimDelivery skip them here.
+  const poolStakeCCD = await announceCommissionChange(discordClient, { validatorId, oldBaking, newBaking, oldTx, newTx });
+  if (poolStakeCCD != null) {
+    await dmNetworkSubscribers(
+      (mention) => MSGS.networkCommissionChanged(mention, validatorId, poolStakeCCD, oldBaking, newBaking, oldTx, newTx),
+      new Set(),
+      "commission"
+    );
   }
 }
 
@@ -324,14 +306,14 @@ async function handleDelegatorLeftPool({ validatorId, delegatorId, account, txHa
       txHash || null
     );
     try {
-      await safeDM(uid, msg);
+      await safeDM(uid, msg, "pool_membership");
     } catch {}
   }
 }
 
 async function handleDelegatorJoinedPool({ validatorId, delegatorId, account, txHash, timestampIso }) {
   const vidNum = Number(validatorId);
-  const stakeCCD = await getDelegatedStakeCCD_CLI(account);
+  const stakeCCD = await getDelegatedStakeCCD(account);
   if (!Number.isFinite(vidNum)) return;
 
   let owners;
@@ -359,7 +341,7 @@ async function handleDelegatorJoinedPool({ validatorId, delegatorId, account, tx
       stakeCCD
     );
     try {
-      await safeDM(uid, msg);
+      await safeDM(uid, msg, "pool_membership");
     } catch (e) {
       if (ALERTS_DEBUG) console.warn("[alerts] handleDelegatorJoinedPool: DM failed:", e?.message || e);
     }
@@ -417,44 +399,36 @@ async function handleValidatorRemoved({ validatorId }) {
     client.release();
   }
 
+  if (Number.isFinite(poolIdInt)) {
+    try {
+      await removePoolRole(discordClient, poolIdInt, "validator removed on-chain");
+    } catch (e) {
+      if (ALERTS_DEBUG) console.warn(`[alerts] pool role removal failed for #${poolIdStr}:`, e?.message || e);
+    }
+  }
+
   if (res.rowCount === 0) {
     if (ALERTS_DEBUG) console.log(`[alerts] no delegators to update for removed validator #${poolIdStr}`);
     return;
   }
 
+  const walletsByUser = new Map();
   for (const row of res.rows) {
-    const uid = row.discord_id;
-    const mention = `<@${uid}>`;
-    const msg = MSGS.delegationBecamePassive(mention, row.wallet_address);
-    await safeDM(uid, msg);
+    const list = walletsByUser.get(row.discord_id) || [];
+    list.push(row.wallet_address);
+    walletsByUser.set(row.discord_id, list);
   }
-}
-
-function parsePoolStatusCommissions(out) {
-  const num = (s) => {
-    if (!s) return null;
-    const n = Number(String(s).trim().replace(',', '.'));
-    return Number.isFinite(n) ? n : null;
-  };
 
-  const mB = out.match(/^\s*-\s*Baking:\s*([0-9.,]+)/mi);
-  const mT = out.match(/^\s*-\s*Transaction\s+fees?:\s*([0-9.,]+)/mi);
-
-  return {
-    baking: num(mB && mB[1]),
-    txFee:  num(mT && mT[1]),
-  };
+  for (const [uid, wallets] of walletsByUser) {
+    const mention = `<@${uid}>`;
+    const msg = MSGS.delegationBecamePassive(mention, wallets);
+    await safeDM(uid, msg, "suspension");
+  }
 }
 
 async function fetchPoolCommissions(poolId) {
-  const cmd =
-    `${CLIENT_PATH} pool status ${poolId}` +
-    ` --grpc-ip ${GRPC_HOST}` +
-    ` --grpc-port ${GRPC_PORT}` +
-    (USE_TLS ? " --secure" : "");
   try {
-    const out = await runCommandWithRetry(cmd);
-    const { baking, txFee } = parsePoolStatusCommissions(out || "");
+    const { baking, txFee } = await chain.getPoolCommissions(poolId);
     if (ALERTS_DEBUG) {
       console.log(`[alerts] fetched commissions for pool ${poolId}:`, { baking, txFee });
     }
@@ -524,7 +498,11 @@ async function handleDelegationTargetChanged({ account, newTarget }) {
   for (const uid of new Set(needNotify)) {
     const mention = `<@${uid}>`;
     const msg = MSGS.delegationTargetChanged(mention, account, targetStr);
-    await safeDM(uid, msg);
+    await safeDM(uid, msg, "pool_membership");
+  }
+
+  for (const uid of new Set(rows.rows.map((r) => r.discord_id))) {
+    await syncPoolRoles(discordClient, uid);
   }
 }
 
@@ -578,12 +556,22 @@ function fmtCCD2(n, fractionDigits = 2) {
   });
 }
 
+async function wantsImmediatePayday(uid) {
+  try {
+    return (await getPaydayDelivery(uid)) === "immediate";
+  } catch (e) {
+    if (ALERTS_DEBUG) console.warn("[alerts] payday delivery lookup failed:", e?.message || e);
+    return true;
+  }
+}
+
 async function handleValidatorPaydayAccountReward({
   account,
   transactionFees = 0,
   bakerReward = 0,
   finalizationReward = 0,
   blockHash,
+  timestampIso,
 }) {
   if (!account) return;
 
@@ -604,9 +592,22 @@ async function handleValidatorPaydayAccountReward({
   const bakingPlusFinal = fmtCCD(bakingCCD + finalCCD);
   const feesStr         = fmtCCD(feesCCD);
 
+  await recordPaydayReward({
+    account,
+    discordIds: res.rows.map((r) => r.discord_id),
+    roleType: "Validator",
+    delegationTarget: res.rows[0].validator_id,
+    transactionFees: feesCCD,
+    bakerReward: bakingCCD,
+    finalizationReward: finalCCD,
+    blockHash,
+    timestampIso,
+  });
+
   const recipients = [...new Set(res.rows.map(r => r.discord_id))];
 
   for (const uid of recipients) {
+    if (!(await wantsImmediatePayday(uid))) continue;
     const mention = `<@${uid}>`;
     const payload = MSGS.validatorPaydayReward(
       mention,
@@ -615,7 +616,7 @@ async function handleValidatorPaydayAccountReward({
       feesStr,
       blockHash
     );
-    await safeDM(uid, payload);
+    await safeDM(uid, payload, "payday");
   }
 }
 
@@ -639,6 +640,7 @@ async function handleDelegatorPaydayAccountReward({
   bakerReward,
   finalizationReward,
   blockHash,
+  timestampIso,
 }) {
   if (!account) return;
 
@@ -660,9 +662,22 @@ async function handleDelegatorPaydayAccountReward({
     return;
   }
 
+  await recordPaydayReward({
+    account,
+    discordIds: rows.rows.map((r) => r.discord_id),
+    roleType: "Delegator",
+    delegationTarget: rows.rows[0].delegation_target,
+    transactionFees: normPaydayCCD(transactionFees),
+    bakerReward: normPaydayCCD(bakerReward),
+    finalizationReward: normPaydayCCD(finalizationReward),
+    blockHash,
+    timestampIso,
+  });
+
   const totalStr = fmtCCD(totalCCD);
 
   for (const r of rows.rows) {
+    if (!(await wantsImmediatePayday(r.discord_id))) continue;
     const mention = `<@${r.discord_id}>`;
 
     let targetNorm = null;
@@ -676,7 +691,8 @@ async function handleDelegatorPaydayAccountReward({
 
     await safeDM(
       r.discord_id,
-      MSGS.delegatorPaydayReward(mention, totalStr, blockHash, targetNorm)
+      MSGS.delegatorPaydayReward(mention, totalStr, blockHash, targetNorm),
+      "payday"
     );
   }
 }
@@ -714,7 +730,7 @@ async function notifyStatus(validatorId, status = {}) {
     } else {
       msg = MSGS.validatorReactivated(mention, wallet);
     }
-    await safeDM(r.discord_id, msg);
+    await safeDM(r.discord_id, msg, "suspension", "suspension-owner");
   }
 
   for (const r of delegators.rows) {
@@ -727,7 +743,7 @@ async function notifyStatus(validatorId, status = {}) {
     } else {
       msg = MSGS.delegatorValidatorActive(mention, idStr);
     }
-    await safeDM(r.discord_id, msg);
+    await safeDM(r.discord_id, msg, "suspension", "suspension-pool-delegator");
   }
 }
 
@@ -744,7 +760,7 @@ async function handleValidatorStakeDecreased({
   const vidNum = Number(validatorId);
   const vidStr = String(validatorId);
 
-  let stakeCCD = await getSelfStakeCCD_CLI(account);
+  let stakeCCD = await getSelfStakeCCD(account);
   if (!Number.isFinite(stakeCCD)) {
     stakeCCD = toCCD_bestEffort(newStakeMicro);
   }
@@ -779,9 +795,14 @@ async function handleValidatorStakeDecreased({
         txHash || null,
         blockHash || null,
         timestampIso || null
-      )
+      ),
+      "stake",
+      "stake-owner"
     );
   }
+  for (const uid of new Set(owners.rows.map((r) => r.discord_id))) {
+    await syncStakeTiers(discordClient, uid, "Validator");
+  }
 
   for (const r of delegators.rows) {
     const uid = r.discord_id;
@@ -794,26 +815,24 @@ async function handleValidatorStakeDecreased({
         newStakeCCD,
         txHash || null,
         blockHash || null
-      )
+      ),
+      "stake",
+      "stake-pool-delegator"
     );
   }
 }
 
-async function broadcastToAllVerified(payloadBuilder) {
-  const resV = await pool.query(
-    "SELECT DISTINCT discord_id FROM verifications WHERE role_type='Validator'"
-  );
-  const resD = await pool.query(
-    "SELECT DISTINCT discord_id FROM verifications WHERE role_type='Delegator'"
-  );
-  const all = new Set([
-    ...resV.rows.map(r => r.discord_id),
-    ...resD.rows.map(r => r.discord_id),
-  ]);
-  for (const uid of all) {
-    const mention = `<@${uid}>`;
-    const msg = payloadBuilder(mention);
-    await safeDM(uid, msg);
+async function dmNetworkSubscribers(payloadBuilder, skip = new Set(), kind = "network") {
+  let subscribers = [];
+  try {
+    subscribers = await listSubscribers("network");
+  } catch (e) {
+    if (ALERTS_DEBUG) console.warn("[alerts] network subscribers query failed:", e?.message || e);
+    return;
+  }
+  for (const uid of subscribers) {
+    if (skip.has(uid)) continue;
+    await safeDM(uid, payloadBuilder(`<@${uid}>`), "network", kind);
   }
 }
 
@@ -830,7 +849,7 @@ async function handleNetworkValidatorAdded({
   const asCCD = (Number(stakeMicro) >= 1e10) ? Number(stakeMicro) / 1e6 : Number(stakeMicro);
   const stakeCCD = fmtCCD2(asCCD, 2);
 
-  await broadcastToAllVerified((mention) =>
+  const build = (mention) =>
     MSGS.networkNewValidator(
       mention,
       String(validatorId),
@@ -844,8 +863,10 @@ async function handleNetworkValidatorAdded({
       txHash || null,
       blockHash || null,
       metadataUrl || null
-    )
-  );
+    );
+
+  await announceValidatorAdded(discordClient, build(null));
+  await dmNetworkSubscribers(build);
 }
 
 async function handleNetworkValidatorRemoved({
@@ -867,26 +888,11 @@ async function handleNetworkValidatorRemoved({
     if (ALERTS_DEBUG) console.warn("[alerts] handleNetworkValidatorRemoved owners lookup failed:", e?.message || e);
   }
 
-  let recipients = [];
-  try {
-    const v = await pool.query("SELECT DISTINCT discord_id FROM verifications WHERE role_type='Validator'");
-    const d = await pool.query("SELECT DISTINCT discord_id FROM verifications WHERE role_type='Delegator'");
-    recipients = [...new Set([...v.rows, ...d.rows].map(r => String(r.discord_id)))].filter(id => !skip.has(id));
-  } catch (e) {
-    if (ALERTS_DEBUG) console.warn("[alerts] handleNetworkValidatorRemoved recipients query failed:", e?.message || e);
-    return;
-  }
+  const build = (mention) =>
+    MSGS.networkValidatorRemoved(mention, String(validatorId), account || null, txHash || null, blockHash || null);
 
-  if (recipients.length === 0) return;
-
-  for (const uid of recipients) {
-    const mention = `<@${uid}>`;
-    try {
-      await safeDM(uid, MSGS.networkValidatorRemoved(mention, String(validatorId), account || null, txHash || null, blockHash || null));
-    } catch (e) {
-      if (ALERTS_DEBUG) console.warn("[alerts] DM networkValidatorRemoved failed:", e?.message || e);
-    }
-  }
+  await announceValidatorRemoved(discordClient, build(null));
+  await dmNetworkSubscribers(build, skip);
 }
 
 async function handleValidatorStakeIncreased({
@@ -907,7 +913,7 @@ async function handleValidatorStakeIncreased({
     [vidStr]
   );
 
-  let stakeCCD = await getSelfStakeCCD_CLI(account);
+  let stakeCCD = await getSelfStakeCCD(account);
   if (!Number.isFinite(stakeCCD)) {
     stakeCCD = toCCD_bestEffort(newStakeMicro);
   }
@@ -925,9 +931,14 @@ async function handleValidatorStakeIncreased({
         null,
         txHash || null,
         blockHash || null
-      )
+      ),
+      "stake",
+      "stake-owner"
     );
   }
+  for (const uid of new Set(owners.rows.map((r) => r.discord_id))) {
+    await syncStakeTiers(discordClient, uid, "Validator");
+  }
 
   for (const r of delegators.rows) {
     const uid = r.discord_id;
@@ -941,7 +952,9 @@ async function handleValidatorStakeIncreased({
         null,
         txHash || null,
         blockHash || null
-      )
+      ),
+      "stake",
+      "stake-pool-delegator"
     );
   }
 }
@@ -958,7 +971,7 @@ async function handleDelegatorStakeIncreased({ account, newStakeMicro, txHash, b
     return;
   }
 
-  let stakeCCD = await getDelegatedStakeCCD_CLI(account);
+  let stakeCCD = await getDelegatedStakeCCD(account);
   if (!Number.isFinite(stakeCCD)) {
     const n = Number(newStakeMicro);
     if (Number.isFinite(n)) stakeCCD = n >= 1e6 ? n / 1e6 : n;
@@ -968,7 +981,8 @@ async function handleDelegatorStakeIncreased({ account, newStakeMicro, txHash, b
   for (const row of res.rows) {
     const uid = row.discord_id;
     const mention = `<@${uid}>`;
-    await safeDM(uid, MSGS.delegatorStakeIncreased(mention, stakeStr, txHash || null, blockHash || null));
+    await safeDM(uid, MSGS.delegatorStakeIncreased(mention, stakeStr, txHash || null, blockHash || null), "stake");
+    await syncStakeTiers(discordClient, uid, "Delegator");
   }
 }
 
@@ -984,7 +998,7 @@ async function handleDelegatorStakeDecreased({ account, newStakeMicro, txHash, b
     return;
   }
 
-  let currentStakeCCD = await getDelegatedStakeCCD_CLI(account);
+  let currentStakeCCD = await getDelegatedStakeCCD(account);
   if (!Number.isFinite(currentStakeCCD)) {
     const n = Number(newStakeMicro);
     currentStakeCCD = Number.isFinite(n) ? (n >= 1e6 ? n / 1e6 : n) : null;
@@ -1018,7 +1032,7 @@ async function handleDelegatorStakeDecreased({ account, newStakeMicro, txHash, b
     if (blockHash) parts.push(`Block: ${scanBlockLink(blockHash)}`);
 
     try {
-      await safeDM(uid, { content: mention, embeds: [{ description: parts.join("\n") }] });
+      await safeDM(uid, { content: mention, embeds: [{ description: parts.join("\n") }] }, "stake");
     } catch (e) {
       if (ALERTS_DEBUG) console.warn("[alerts] delegatorStakeDecreased DM failed:", e?.message || e);
     }
@@ -1027,7 +1041,10 @@ async function handleDelegatorStakeDecreased({ account, newStakeMicro, txHash, b
   const belowMin =
     Number.isFinite(currentStakeCCD) ? (currentStakeCCD < MIN_DELEGATION_CCD)
                                      : (Number(newStakeMicro) < (MIN_DELEGATION_CCD * 1e6));
-  if (!belowMin) return;
+  if (!belowMin) {
+    for (const row of res.rows) await syncStakeTiers(discordClient, row.discord_id, "Delegator");
+    return;
+  }
 
   let guild = null;
   if (discordClient && DISCORD_GUILD_ID) {
@@ -1038,7 +1055,31 @@ async function handleDelegatorStakeDecreased({ account, newStakeMicro, txHash, b
     const uid = row.discord_id;
     const mention = `<@${uid}>`;
 
-    if (guild && DELEGATOR_ROLE_ID) {
+    try {
+      await pool.query(
+        "DELETE FROM verifications WHERE role_type='Delegator' AND wallet_address=$1 AND discord_id=$2",
+        [String(account), String(uid)]
+      );
+    } catch (e) {
+      if (ALERTS_DEBUG) console.warn("[alerts] delete verification row failed:", e?.message || e);
+    }
+
+    // The role stays while another linked delegator account still qualifies.
+    let remainingAccounts = 0;
+    try {
+      const left = await pool.query(
+        "SELECT COUNT(*)::int AS n FROM verifications WHERE role_type='Delegator' AND discord_id=$1",
+        [String(uid)]
+      );
+      remainingAccounts = left.rows[0]?.n ?? 0;
+    } catch (e) {
+      if (ALERTS_DEBUG) console.warn("[alerts] count remaining delegator rows failed:", e?.message || e);
+    }
+
+    await syncStakeTiers(discordClient, uid, "Delegator");
+    await syncPoolRoles(discordClient, uid);
+
+    if (guild && DELEGATOR_ROLE_ID && remainingAccounts === 0) {
       try {
         const member = await guild.members.fetch(uid);
         if (member?.roles?.cache?.has(DELEGATOR_ROLE_ID)) {
@@ -1049,15 +1090,6 @@ async function handleDelegatorStakeDecreased({ account, newStakeMicro, txHash, b
       }
     }
 
-    try {
-      await pool.query(
-        "DELETE FROM verifications WHERE role_type='Delegator' AND wallet_address=$1 AND discord_id=$2",
-        [String(account), String(uid)]
-      );
-    } catch (e) {
-      if (ALERTS_DEBUG) console.warn("[alerts] delete verification row failed:", e?.message || e);
-    }
-
     try {
       const nowStakeForMsg = Number.isFinite(currentStakeCCD) ? currentStakeCCD : (Number(newStakeMicro) / 1e6);
       await safeDM(
@@ -1068,8 +1100,11 @@ async function handleDelegatorStakeDecreased({ account, newStakeMicro, txHash, b
           MIN_DELEGATION_CCD,
           nowStakeForMsg,
           txHash || null,
-          blockHash || null
-        )
+          blockHash || null,
+          remainingAccounts
+        ),
+        "stake",
+        "delegator-role-revoked"
       );
     } catch (e) {
       if (ALERTS_DEBUG) console.warn("[alerts] delegatorRoleRevokedBelowMinimum DM failed:", e?.message || e);
@@ -1079,7 +1114,9 @@ async function handleDelegatorStakeDecreased({ account, newStakeMicro, txHash, b
       .toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
 
     await sendModLog(
-      `🛑 Removed role **Delegator** from <@${uid}> — stake ${stakeStrForLog} CCD < min ${MIN_DELEGATION_CCD.toLocaleString("en-US")} CCD`
+      remainingAccounts > 0
+        ? `🛑 Unlinked delegator account \`${account}\` of <@${uid}> — stake ${stakeStrForLog} CCD < min ${MIN_DELEGATION_CCD.toLocaleString("en-US")} CCD; role kept (${remainingAccounts} other linked account(s))`
+        : `🛑 Removed role **Delegator** from <@${uid}> — stake ${stakeStrForLog} CCD < min ${MIN_DELEGATION_CCD.toLocaleString("en-US")} CCD`
     );
   }
 }
@@ -1126,29 +1163,7 @@ async function handleDelegatorStakeChangedForValidator({
   );
   if (owners.rowCount === 0) return;
 
-  let stakeCCD = null;
-  try {
-    const CLIENT_PATH = process.env.CONCORDIUM_CLIENT_PATH || "concordium-client";
-    const GRPC_IP     = process.env.GRPC_IP || "127.0.0.1";
-    const GRPC_PORT   = String(process.env.GRPC_PORT || 20000);
-    const USE_TLS     = (process.env.GRPC_TLS || "").toLowerCase() === "true" || process.env.GRPC_TLS === "1";
-
-    const args = ["account", "show", String(account), "--grpc-ip", GRPC_IP, "--grpc-port", GRPC_PORT];
-    if (USE_TLS) args.push("--secure");
-
-    const { execFile } = require("child_process");
-    const stdout = await new Promise((resolve, reject) => {
-      execFile(CLIENT_PATH, args, { maxBuffer: 1024 * 1024 }, (err, out) => {
-        if (err) return reject(err);
-        resolve(String(out));
-      });
-    });
-
-    const m = stdout.match(/Staked amount:\s*([0-9][0-9.,]*)\s*CCD/i);
-    if (m) stakeCCD = Number(m[1].replace(/,/g, ""));
-  } catch (e) {
-    if (ALERTS_DEBUG) console.warn("[alerts] stake fetch via CLI failed:", e?.message || e);
-  }
+  let stakeCCD = await getDelegatedStakeCCD(account);
 
   if (stakeCCD == null) {
     const n = Number(newStakeMicro);
@@ -1171,7 +1186,7 @@ async function handleDelegatorStakeChangedForValidator({
       txHash || null
     );
     try {
-      await safeDM(uid, msg);
+      await safeDM(uid, msg, "pool_membership");
     } catch (e) {
       if (ALERTS_DEBUG) console.warn("[alerts] DM to validator failed:", e?.message || e);
     }
@@ -1204,7 +1219,8 @@ async function flushNewDelegatorBucket(key) {
     const mention = `<@${uid}>`;
     await safeDM(
       uid,
-      MSGS.newDelegatorJoined(mention, String(poolId), b.account, stakeMicro, txHash)
+      MSGS.newDelegatorJoined(mention, String(poolId), b.account, stakeMicro, txHash),
+      "pool_membership"
     );
   }
 }
@@ -1263,6 +1279,7 @@ async function handleValidatorResumed({ validatorId, blockHash, txHash }) {
 
 module.exports = {
   setAlertsClient,
+  safeDM,
   handleCommissionUpdate,
   handleValidatorPrimed,
   handleValidatorSuspended,
@@ -0,0 +1,80 @@
+// modules/announcements.js
+/**
+ * Public announcement channels for network-level events.
+ * Responsibilities:
+ * - announceValidatorAdded / announceValidatorRemoved(client, payload): posts the embed built by
+ *   MSGS.networkNewValidator / MSGS.networkValidatorRemoved to NETWORK_ANNOUNCE_CHANNEL_ID, pinging
+ *   NETWORK_ANNOUNCE_PING_ROLE_ID when set.
+ * - announceCommissionChange(client, change): commission changes of pools whose total stake (equity + delegated)
+ *   is at least COMMISSION_ANNOUNCE_MIN_POOL_CCD go to COMMISSION_ANNOUNCE_CHANNEL_ID (defaults to the network
+ *   channel), with COMMISSION_ANNOUNCE_PING_ROLE_ID as optional ping.
+ * - Each channel is posted to at most once per on-chain event (eventLedger.claimDelivery with a `channel:<id>`
+ *   key), so block replays do not repeat announcements; a failed post releases the claim so a replay retries it.
+ *   Unset channels turn the announcement off.
+ * - Per-user DM copies are sent by alerts.js only to members who opted in to the "network" category.
+ */
+const { MSGS } = require("../utils/messages");
+const { claimDelivery, releaseDelivery } = require("./eventLedger");
+const chain = require("./chainQueries");
+
+const NETWORK_ANNOUNCE_CHANNEL_ID = process.env.NETWORK_ANNOUNCE_CHANNEL_ID || null;
+const NETWORK_ANNOUNCE_PING_ROLE_ID = process.env.NETWORK_ANNOUNCE_PING_ROLE_ID || null;
+const COMMISSION_ANNOUNCE_CHANNEL_ID = process.env.COMMISSION_ANNOUNCE_CHANNEL_ID || NETWORK_ANNOUNCE_CHANNEL_ID;
+const COMMISSION_ANNOUNCE_PING_ROLE_ID = process.env.COMMISSION_ANNOUNCE_PING_ROLE_ID || null;
+const COMMISSION_ANNOUNCE_MIN_POOL_CCD = Number(process.env.COMMISSION_ANNOUNCE_MIN_POOL_CCD || 1000000);
+
+async function postAnnouncement(client, channelId, pingRoleId, payload) {
+  if (!client || !channelId) return false;
+  const key = `channel:${channelId}`;
+  if (!(await claimDelivery(key))) return false;
+
+  try {
+    const ch = await client.channels.fetch(channelId).catch(() => null);
+    if (!ch?.isTextBased?.()) {
+      console.warn(`[announce] channel ${channelId} not found or not text-based`);
+      await releaseDelivery(key);
+      return false;
+    }
+    await ch.send({
+      ...payload,
+      content: pingRoleId ? `<@&${pingRoleId}>` : "",
+      allowedMentions: pingRoleId ? { roles: [pingRoleId], parse: [] } : { parse: [] },
+    });
+    return true;
+  } catch (e) {
+    console.warn(`[announce] post to ${channelId} failed:`, e?.message || e);
+    await releaseDelivery(key);
+    return false;
+  }
+}
+
+function announceValidatorAdded(client, payload) {
+  return postAnnouncement(client, NETWORK_ANNOUNCE_CHANNEL_ID, NETWORK_ANNOUNCE_PING_ROLE_ID, payload);
+}
+
+function announceValidatorRemoved(client, payload) {
+  return postAnnouncement(client, NETWORK_ANNOUNCE_CHANNEL_ID, NETWORK_ANNOUNCE_PING_ROLE_ID, payload);
+}
+
+// Returns the pool stake when the change was announced (so alerts.js can DM subscribers too), else null.
+async function announceCommissionChange(client, { validatorId, oldBaking, newBaking, oldTx, newTx }) {
+  let poolStakeCCD = null;
+  try {
+    const st = await chain.getPoolStatus(validatorId);
+    if (st) poolStakeCCD = Number(st.equityCCD || 0) + Number(st.delegatedCCD || 0);
+  } catch (e) {
+    console.warn(`[announce] pool status for #${validatorId} failed:`, e?.message || e);
+    return null;
+  }
+  if (!Number.isFinite(poolStakeCCD) || poolStakeCCD < COMMISSION_ANNOUNCE_MIN_POOL_CCD) return null;
+
+  const payload = MSGS.networkCommissionChanged(null, validatorId, poolStakeCCD, oldBaking, newBaking, oldTx, newTx);
+  await postAnnouncement(client, COMMISSION_ANNOUNCE_CHANNEL_ID, COMMISSION_ANNOUNCE_PING_ROLE_ID, payload);
+  return poolStakeCCD;
+}
+
+module.exports = {
+  announceValidatorAdded,
+  announceValidatorRemoved,
+  announceCommissionChange,
+};
@@ -0,0 +1,369 @@
+// modules/chainQueries.js
+/**
+ * Typed on-chain queries over one shared Concordium gRPC client (@concordium/web-sdk/nodejs).
+ * Responsibilities:
+ * - getGrpc(): lazily creates a single ConcordiumGRPCNodeClient (GRPC_IP / GRPC_PORT / GRPC_TLS) reused by
+ *   alerts, verification flows, the role reconciler and the backfill script.
+ * - getAccountStake(address, blockHash?) → (as of blockHash when given, else the last finalized block) null when
+ *   the account does not exist, otherwise
+ *   { address, accountIndex, balanceCCD, type: "none" | "validator" | "delegator", stakedCCD,
+ *     validatorId, isSuspended, delegationTarget: "passive" | "<validatorId>" | null,
+ *     cooldowns: [{ amountCCD, availableAt: Date, status }] }.
+ * - getPoolStatus(validatorId) → null when the validator does not exist, otherwise
+ *   { validatorId, validatorAddress, equityCCD, delegatedCCD, delegatedCapCCD, totalCapitalCCD,
+ *     openStatus, isSuspended, isPrimedForSuspension, missedRounds, commissions, currentPayday }.
+ *   Commission rates are decimal fractions (0.1 = 10%), same as `validator_commissions`.
+ * - getPoolCommissions(validatorId), getValidatorAddress(validatorId), listValidatorIds() (getBakerList).
+ * - getBakerEarliestWinTime(validatorId) → Date of the earliest time the validator could bake its next block
+ *   (null when it is not a validator in the current epoch).
+ * - decodeMemo(raw) + getTransactionMemo(txHash) / getTransactionSender(txHash) for finalized transfers;
+ *   memos are CBOR-decoded (text or integer) the way wallets encode them, with a UTF-8 fallback.
+ * - verifyAccountMessageSignature(address, message, signature): checks a wallet "sign message" signature
+ *   against the account's current on-chain credential keys (web-sdk verifyMessageSignature); false when the
+ *   account does not exist.
+ * - getLastFinalizedHeight(), getBlockHashAtHeight(height), getAccountNonceAt(address, height): block/nonce lookups
+ *   used to find transactions an account sent within a height range (retroactive memo matching).
+ * - "Not found" answers from the node resolve to null; transport errors are retried (retryAsync) and rethrown,
+ *   so callers can tell "not staking anymore" apart from "node unreachable".
+ */
+const { retryAsync } = require("../utils/retry");
+
+const { GRPC_IP, GRPC_PORT, GRPC_TLS } = process.env;
+
+const USE_TLS = String(GRPC_TLS || "").toLowerCase() === "true" || GRPC_TLS === "1";
+const HOST = GRPC_IP || "127.0.0.1";
+const PORT = Number(GRPC_PORT || 20000);
+
+let sdk = null;
+let grpcClient = null;
+
+async function loadSdk() {
+  if (!sdk) {
+    const [core, node] = await Promise.all([
+      import("@concordium/web-sdk"),
+      import("@concordium/web-sdk/nodejs"),
+    ]);
+    sdk = { ...core, ...node };
+  }
+  return sdk;
+}
+
+async function getGrpc() {
+  if (grpcClient) return grpcClient;
+  const { ConcordiumGRPCNodeClient, credentials } = await loadSdk();
+  const creds = USE_TLS ? credentials.createSsl() : credentials.createInsecure();
+  grpcClient = new ConcordiumGRPCNodeClient(HOST, PORT, creds);
+  return grpcClient;
+}
+
+function isNotFound(e) {
+  const code = e?.code;
+  if (code === 5 || code === "NOT_FOUND") return true;
+  const msg = String(e?.message || e || "");
+  return /NOT_FOUND|not found/i.test(msg);
+}
+
+async function query(fn) {
+  return retryAsync(async () => {
+    const client = await getGrpc();
+    try {
+      return await fn(client);
+    } catch (e) {
+      if (isNotFound(e)) return null;
+      throw e;
+    }
+  });
+}
+
+// ---------- value helpers ----------
+function toBigIntOrNull(x) {
+  if (x == null) return null;
+  if (typeof x === "bigint") return x;
+  if (typeof x === "number") return Number.isFinite(x) ? BigInt(Math.trunc(x)) : null;
+  if (typeof x === "string") return /^-?\d+$/.test(x.trim()) ? BigInt(x.trim()) : null;
+  if (typeof x === "object") {
+    if (x.microCcdAmount != null) return toBigIntOrNull(x.microCcdAmount);
+    if (x.value != null) return toBigIntOrNull(x.value);
+  }
+  return null;
+}
+
+function microToCCD(x) {
+  const v = toBigIntOrNull(x);
+  return v == null ? null : Number(v) / 1e6;
+}
+
+function toNumOrNull(x) {
+  const v = toBigIntOrNull(x);
+  return v == null ? null : Number(v);
+}
+
+function addressString(a) {
+  if (!a) return null;
+  if (typeof a === "string") return a;
+  if (typeof a.address === "string") return a.address;
+  if (a.address) return addressString(a.address);
+  if (typeof a.value === "string") return a.value;
+  return null;
+}
+
+function rate(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+function timestampToDate(ts) {
+  const ms = toNumOrNull(ts);
+  return ms == null ? null : new Date(ms);
+}
+
+function parseDelegationTarget(t) {
+  if (!t) return null;
+  const kind = String(t.delegateType ?? t.type ?? "").toLowerCase();
+  if (kind === "passive") return "passive";
+  const vid = toNumOrNull(t.bakerId ?? t.validatorId);
+  return vid != null ? String(vid) : null;
+}
+
+// ---------- accounts ----------
+async function getAccountStake(address, blockHash = null) {
+  const addr = String(address || "").trim();
+  if (!addr) return null;
+
+  const { AccountAddress, BlockHash } = await loadSdk();
+  const at = typeof blockHash === "string" ? BlockHash.fromHexString(blockHash) : (blockHash || undefined);
+  const info = await query((c) => c.getAccountInfo(AccountAddress.fromBase58(addr), at));
+  if (!info) return null;
+
+  const baker = info.accountBaker ?? null;
+  const delegation = info.accountDelegation ?? null;
+
+  const cooldowns = (info.accountCooldowns || []).map((cd) => ({
+    amountCCD: microToCCD(cd.amount),
+    availableAt: timestampToDate(cd.timestamp),
+    status: cd.status ?? null,
+  }));
+
+  let type = "none";
+  if (baker) type = "validator";
+  else if (delegation) type = "delegator";
+
+  return {
+    address: addr,
+    accountIndex: toNumOrNull(info.accountIndex),
+    balanceCCD: microToCCD(info.accountAmount),
+    type,
+    stakedCCD: microToCCD((baker || delegation)?.stakedAmount),
+    validatorId: baker ? toNumOrNull(baker.bakerId) : null,
+    isSuspended: baker && typeof baker.isSuspended === "boolean" ? baker.isSuspended : null,
+    delegationTarget: delegation ? parseDelegationTarget(delegation.delegationTarget) : null,
+    cooldowns,
+  };
+}
+
+async function verifyAccountMessageSignature(address, message, signature) {
+  const addr = String(address || "").trim();
+  if (!addr || !signature) return false;
+
+  const { AccountAddress, verifyMessageSignature } = await loadSdk();
+  const info = await query((c) => c.getAccountInfo(AccountAddress.fromBase58(addr)));
+  if (!info) return false;
+
+  try {
+    return (await verifyMessageSignature(message, signature, info)) === true;
+  } catch {
+    // Malformed signature maps (wrong credential/key indices, bad hex) are simply invalid.
+    return false;
+  }
+}
+
+// ---------- validator pools ----------
+async function getPoolStatus(validatorId) {
+  const vid = toBigIntOrNull(validatorId);
+  if (vid == null) return null;
+
+  const st = await query((c) => c.getPoolInfo(vid));
+  if (!st || !st.bakerAddress) return null;
+
+  const cr = st.poolInfo?.commissionRates ?? {};
+  const payday = st.currentPaydayStatus ?? null;
+
+  return {
+    validatorId: Number(vid),
+    validatorAddress: addressString(st.bakerAddress),
+    equityCCD: microToCCD(st.bakerEquityCapital),
+    delegatedCCD: microToCCD(st.delegatedCapital),
+    delegatedCapCCD: microToCCD(st.delegatedCapitalCap),
+    totalCapitalCCD: microToCCD(st.allPoolTotalCapital),
+    openStatus: st.poolInfo?.openStatus ?? null,
+    isSuspended: st.isSuspended === true,
+    isPrimedForSuspension: payday?.isPrimedForSuspension === true,
+    missedRounds: toNumOrNull(payday?.missedRounds),
+    commissions: {
+      baking: rate(cr.bakingCommission),
+      txFee: rate(cr.transactionCommission),
+      finalization: rate(cr.finalizationCommission),
+    },
+    currentPayday: payday
+      ? {
+          blocksBaked: toNumOrNull(payday.blocksBaked),
+          finalizationLive: payday.finalizationLive === true,
+          lotteryPower: rate(payday.lotteryPower),
+          effectiveStakeCCD: microToCCD(payday.effectiveStake),
+          transactionFeesEarnedCCD: microToCCD(payday.transactionFeesEarned),
+        }
+      : null,
+  };
+}
+
+async function getPoolCommissions(validatorId) {
+  const st = await getPoolStatus(validatorId);
+  return st ? st.commissions : { baking: null, txFee: null, finalization: null };
+}
+
+async function getValidatorAddress(validatorId) {
+  const st = await getPoolStatus(validatorId);
+  return st ? st.validatorAddress : null;
+}
+
+async function getBakerEarliestWinTime(validatorId) {
+  const vid = toBigIntOrNull(validatorId);
+  if (vid == null) return null;
+  const ts = await query((c) => c.getBakerEarliestWinTime(vid));
+  return timestampToDate(ts);
+}
+
+async function listValidatorIds() {
+  return retryAsync(async () => {
+    const client = await getGrpc();
+    const ids = [];
+    for await (const id of client.getBakerList()) ids.push(Number(id));
+    return ids;
+  });
+}
+
+// ---------- blocks ----------
+async function getLastFinalizedHeight() {
+  const st = await query((c) => c.getConsensusStatus());
+  return toNumOrNull(st?.lastFinalizedBlockHeight);
+}
+
+async function getBlockHashAtHeight(height) {
+  const h = toBigIntOrNull(height);
+  if (h == null || h < 0n) return null;
+  const hashes = await query((c) => c.getBlocksAtHeight(h));
+  return hashes && hashes.length ? hashes[0] : null;
+}
+
+// Next nonce of the account as of the block at `height`; 0 when the account did not exist yet.
+async function getAccountNonceAt(address, height) {
+  const blockHash = await getBlockHashAtHeight(height);
+  if (!blockHash) return null;
+  const { AccountAddress } = await loadSdk();
+  const info = await query((c) => c.getAccountInfo(AccountAddress.fromBase58(String(address).trim()), blockHash));
+  if (!info) return 0n;
+  return toBigIntOrNull(info.accountNonce) ?? 0n;
+}
+
+// ---------- transfers ----------
+function decodeCborMemo(buf) {
+  if (!buf || !buf.length) return null;
+  const major = buf[0] >> 5;
+  const info = buf[0] & 0x1f;
+
+  let len;
+  let offset = 1;
+  if (info < 24) len = BigInt(info);
+  else if (info === 24 && buf.length >= 2) { len = BigInt(buf[1]); offset = 2; }
+  else if (info === 25 && buf.length >= 3) { len = BigInt(buf.readUInt16BE(1)); offset = 3; }
+  else if (info === 26 && buf.length >= 5) { len = BigInt(buf.readUInt32BE(1)); offset = 5; }
+  else if (info === 27 && buf.length >= 9) { len = buf.readBigUInt64BE(1); offset = 9; }
+  else return null;
+
+  if (major === 0) return len.toString();
+  if (major === 1) return (-1n - len).toString();
+  if (major === 3 || major === 2) {
+    const end = offset + Number(len);
+    if (end > buf.length) return null;
+    return buf.subarray(offset, end).toString("utf8");
+  }
+  return null;
+}
+
+function memoBytes(raw) {
+  if (raw == null) return null;
+  if (Buffer.isBuffer(raw) || raw instanceof Uint8Array) return Buffer.from(raw);
+  if (typeof raw === "string") {
+    const s = raw.replace(/^0x/i, "");
+    return /^[0-9a-f]*$/i.test(s) && s.length % 2 === 0 ? Buffer.from(s, "hex") : Buffer.from(raw, "utf8");
+  }
+  if (typeof raw === "object") {
+    if (raw.memo != null) return memoBytes(raw.memo);
+    if (raw.data != null) return memoBytes(raw.data);
+    if (raw.buffer instanceof ArrayBuffer) return Buffer.from(raw.buffer);
+  }
+  return null;
+}
+
+function decodeMemo(raw) {
+  const buf = memoBytes(raw);
+  if (!buf || !buf.length) return { text: null, hex: null };
+
+  const hex = buf.toString("hex");
+  let text = decodeCborMemo(buf);
+  if (text == null) {
+    const utf8 = buf.toString("utf8");
+    text = /^[^\u0000-\u001F\u007F]+$/.test(utf8) ? utf8 : null;
+  }
+  return { text: text ? text.trim() || null : null, hex };
+}
+
+function memoFromSummary(summary) {
+  if (!summary) return { text: null, hex: null };
+  if (summary.memo != null) return decodeMemo(summary.memo);
+  const events = summary.events ?? summary.summary?.events ?? [];
+  for (const ev of events) {
+    const tag = ev?.tag || ev?.type || ev?._tag;
+    if (tag === "TransferMemo" && ev.memo != null) return decodeMemo(ev.memo);
+  }
+  if (summary.summary) return memoFromSummary(summary.summary);
+  return { text: null, hex: null };
+}
+
+async function getTransactionSummary(txHash) {
+  const hex = String(txHash || "").replace(/^0x/i, "");
+  if (!/^[0-9a-f]{64}$/i.test(hex)) return null;
+
+  const { TransactionHash } = await loadSdk();
+  const status = await query((c) => c.getBlockItemStatus(TransactionHash.fromHexString(hex)));
+  if (!status || status.status !== "finalized") return null;
+  return status.outcome?.summary ?? null;
+}
+
+async function getTransactionMemo(txHash) {
+  const summary = await getTransactionSummary(txHash);
+  return memoFromSummary(summary);
+}
+
+async function getTransactionSender(txHash) {
+  const summary = await getTransactionSummary(txHash);
+  return addressString(summary?.sender);
+}
+
+module.exports = {
+  getGrpc,
+  getAccountStake,
+  verifyAccountMessageSignature,
+  getPoolStatus,
+  getPoolCommissions,
+  getValidatorAddress,
+  listValidatorIds,
+  getBakerEarliestWinTime,
+  getLastFinalizedHeight,
+  getBlockHashAtHeight,
+  getAccountNonceAt,
+  decodeMemo,
+  memoFromSummary,
+  getTransactionMemo,
+  getTransactionSender,
+};
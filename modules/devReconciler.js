@@ -0,0 +1,271 @@
+// modules/devReconciler.js
+/**
+ * Periodic re-check of Developer verifications against the GitHub criteria.
+ * Responsibilities:
+ * - createGithubClient({ http, token }): thin wrapper over the public GitHub REST API. `http` only needs an
+ *   axios-style `get(url, config)` resolving to `{ status, data, headers }`, so tests can inject a fake and run
+ *   offline (scripts/test-dev-reconciler.js); GITHUB_TOKEN (optional) raises the unauthenticated rate limit.
+ * - checkDeveloper(github, githubProfile, githubUserId): profile still exists and still stars every
+ *   REQUIRED_REPOS entry (roles/devVerification.js). Returns { ok, reasons, user } or { skipped } on rate
+ *   limits / transport errors, so an unreachable API never costs anyone their role.
+ *   • The account is looked up by its numeric id (`verifications.github_user_id`) when one is stored, so a
+ *     renamed login is followed rather than treated as deleted; the new login and id are written back.
+ *   • Rows verified before the id was stored fall back to the login; a 404 there cannot tell a rename from a
+ *     deletion, so it is reported (`reportOnly`) and never revoked.
+ * - reconcileDevelopers(client, { policy, http, debug }): walks every Developer row in `verifications`.
+ *   DEV_RECONCILE_POLICY: "report" (default) lists failing developers in mod_logs; "revoke" also removes
+ *   <@&DEV_ROLE_ID>, deletes the row and DMs the member the reasons. Renamed profiles are listed in the report.
+ * - startDevReconcileScheduler(client): node-cron job (DEV_RECONCILE_CRON, UTC; empty = off).
+ */
+const axios = require("axios");
+const cron = require("node-cron");
+const { Pool } = require("pg");
+const { MSGS } = require("../utils/messages");
+const { REQUIRED_REPOS } = require("../roles/devVerification");
+
+const {
+  PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
+  DISCORD_GUILD_ID, DEV_ROLE_ID, MOD_LOGS_CHANNEL_ID,
+  GITHUB_TOKEN,
+} = process.env;
+
+const DEV_RECONCILE_CRON = (process.env.DEV_RECONCILE_CRON || "").trim();
+const DEV_RECONCILE_POLICY = (process.env.DEV_RECONCILE_POLICY || "report").trim().toLowerCase();
+const MAX_STAR_PAGES = Number(process.env.DEV_RECONCILE_MAX_STAR_PAGES || 10);
+
+const GITHUB_API = "https://api.github.com";
+
+const pool = new Pool({
+  user: PG_USER,
+  host: PG_HOST,
+  database: PG_DATABASE,
+  password: PG_PASSWORD,
+  port: PG_PORT,
+});
+
+class GithubUnavailableError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "GithubUnavailableError";
+    this.status = status;
+  }
+}
+
+function createGithubClient({ http = axios, token = GITHUB_TOKEN } = {}) {
+  const headers = {
+    Accept: "application/vnd.github+json",
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  };
+
+  async function get(path) {
+    let res;
+    try {
+      res = await http.get(`${GITHUB_API}${path}`, { headers, validateStatus: () => true });
+    } catch (e) {
+      throw new GithubUnavailableError(e?.message || String(e));
+    }
+    const rateLimited =
+      res.status === 429 || (res.status === 403 && String(res.headers?.["x-ratelimit-remaining"]) === "0");
+    if (rateLimited || res.status >= 500) {
+      throw new GithubUnavailableError(`GitHub API ${res.status} for ${path}`, res.status);
+    }
+    return res;
+  }
+
+  // { id, login } of the account, or null when GitHub answers 404.
+  async function getAccount(path, label) {
+    const res = await get(path);
+    if (res.status === 404) return null;
+    if (res.status !== 200) throw new GithubUnavailableError(`GitHub API ${res.status} for user ${label}`, res.status);
+    return { id: Number(res.data?.id), login: String(res.data?.login || "") };
+  }
+
+  return {
+    getUser(login) {
+      return getAccount(`/users/${encodeURIComponent(login)}`, login);
+    },
+
+    getUserById(id) {
+      return getAccount(`/user/${encodeURIComponent(String(id))}`, `#${id}`);
+    },
+
+    // Full names (lower-case) of the repos the user stars, or null when MAX_STAR_PAGES was not enough.
+    async starredRepos(login, wanted) {
+      const found = new Set();
+      for (let page = 1; page <= MAX_STAR_PAGES; page++) {
+        const res = await get(`/users/${encodeURIComponent(login)}/starred?per_page=100&page=${page}`);
+        if (res.status !== 200) throw new GithubUnavailableError(`GitHub API ${res.status} for stars of ${login}`, res.status);
+        const items = Array.isArray(res.data) ? res.data : [];
+        for (const repo of items) {
+          if (repo?.full_name) found.add(String(repo.full_name).toLowerCase());
+        }
+        if (wanted.every((r) => found.has(r)) || items.length < 100) return found;
+      }
+      return null;
+    },
+  };
+}
+
+function loginFromProfile(githubProfile) {
+  const m = String(githubProfile || "").match(/github\.com\/([A-Za-z0-9-]+)\/?$/i);
+  return m ? m[1] : null;
+}
+
+async function checkDeveloper(github, githubProfile, githubUserId = null) {
+  const login = loginFromProfile(githubProfile);
+  const knownId = githubUserId != null && Number.isFinite(Number(githubUserId)) ? Number(githubUserId) : null;
+  if (!login && knownId == null) return { skipped: "unrecognized github_profile" };
+
+  try {
+    let user;
+    if (knownId != null) {
+      user = await github.getUserById(knownId);
+      if (!user) return { ok: false, reasons: ["GitHub account no longer exists"] };
+    } else {
+      user = await github.getUser(login);
+      if (!user) {
+        return { ok: false, reportOnly: true, reasons: ["GitHub profile not found (renamed or deleted)"] };
+      }
+    }
+
+    const wanted = REQUIRED_REPOS.map((r) => r.toLowerCase());
+    const starred = await github.starredRepos(user.login, wanted);
+    if (!starred) return { skipped: "too many starred repositories to check", user };
+
+    const missing = REQUIRED_REPOS.filter((r) => !starred.has(r.toLowerCase()));
+    if (missing.length) {
+      return { ok: false, reasons: [`No longer stars: ${missing.join(", ")}`], user };
+    }
+    return { ok: true, reasons: [], user };
+  } catch (e) {
+    if (e instanceof GithubUnavailableError) return { skipped: e.message, unavailable: true };
+    throw e;
+  }
+}
+
+async function notifyModLog(client, content) {
+  if (!MOD_LOGS_CHANNEL_ID) return;
+  try {
+    const ch = await client.channels.fetch(MOD_LOGS_CHANNEL_ID);
+    if (ch?.isTextBased?.()) await ch.send(content);
+  } catch (e) {
+    console.warn("[dev-reconcile] modlog send warn:", e?.message || e);
+  }
+}
+
+async function revokeDeveloper(client, guild, row, reasons) {
+  try {
+    const member = await guild.members.fetch(String(row.discord_id)).catch(() => null);
+    if (member?.roles.cache.has(DEV_ROLE_ID)) {
+      await member.roles.remove(DEV_ROLE_ID, "GitHub criteria no longer met (developer reconcile)");
+    }
+    if (member) {
+      try { await member.send(MSGS.developerRoleRevoked(guild.name, row.github_profile, reasons)); } catch {}
+    }
+  } catch (e) {
+    console.warn(`[dev-reconcile] role removal failed for ${row.discord_id}:`, e?.message || e);
+  }
+  await pool.query("DELETE FROM verifications WHERE id = $1", [row.id]);
+}
+
+// Keeps the stored id and profile URL in step with the account GitHub reported; returns the old login on a rename.
+async function syncGithubIdentity(row, user) {
+  if (!user || !Number.isFinite(user.id) || !user.login) return null;
+  const oldLogin = loginFromProfile(row.github_profile);
+  const renamed = oldLogin != null && oldLogin.toLowerCase() !== user.login.toLowerCase();
+  if (!renamed && Number(row.github_user_id) === user.id) return null;
+  const profile = renamed ? `https://github.com/${user.login}` : row.github_profile;
+  try {
+    await pool.query(
+      "UPDATE verifications SET github_user_id = $2, github_profile = $3 WHERE id = $1",
+      [row.id, user.id, profile]
+    );
+    row.github_profile = profile;
+  } catch (e) {
+    console.warn(`[dev-reconcile] could not store GitHub id for ${row.discord_id}:`, e?.message || e);
+  }
+  return renamed ? oldLogin : null;
+}
+
+async function reconcileDevelopers(client, { policy = DEV_RECONCILE_POLICY, http, debug = false } = {}) {
+  const github = createGithubClient(http ? { http } : {});
+  const revoke = policy === "revoke";
+
+  const { rows } = await pool.query(
+    `SELECT id, discord_id, github_profile, github_user_id
+       FROM verifications
+      WHERE role_type = 'Developer'
+        AND discord_id IS NOT NULL
+      ORDER BY verified_at`
+  );
+
+  const guild = revoke ? await client.guilds.fetch(DISCORD_GUILD_ID) : null;
+  const failing = [];
+  const renamed = [];
+  let checked = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    const result = await checkDeveloper(github, row.github_profile, row.github_user_id);
+    const oldLogin = await syncGithubIdentity(row, result.user);
+    if (oldLogin) renamed.push({ discordId: row.discord_id, from: oldLogin, to: result.user.login });
+    if (result.skipped) {
+      skipped++;
+      if (debug) console.warn(`[dev-reconcile] skipped ${row.github_profile}: ${result.skipped}`);
+      // Rate limit or outage: the remaining rows would fail the same way.
+      if (result.unavailable) {
+        skipped += rows.length - checked - skipped;
+        break;
+      }
+      continue;
+    }
+    checked++;
+    if (result.ok) continue;
+
+    failing.push({
+      discordId: row.discord_id,
+      githubProfile: row.github_profile,
+      reasons: result.reasons,
+      reportOnly: !!result.reportOnly,
+    });
+    if (revoke && !result.reportOnly) await revokeDeveloper(client, guild, row, result.reasons);
+  }
+
+  if (failing.length || renamed.length || debug) {
+    await notifyModLog(client, MSGS.developerReconcileReport({ failing, renamed, checked, skipped, revoked: revoke }));
+  }
+  if (debug) {
+    console.log(
+      `[dev-reconcile] checked=${checked} skipped=${skipped} failing=${failing.length} renamed=${renamed.length}`
+    );
+  }
+  return { failing, renamed, checked, skipped };
+}
+
+let devReconcileTask = null;
+function startDevReconcileScheduler(client) {
+  if (devReconcileTask || !DEV_RECONCILE_CRON) return;
+  if (!cron.validate(DEV_RECONCILE_CRON)) {
+    console.warn(`[dev-reconcile] invalid DEV_RECONCILE_CRON "${DEV_RECONCILE_CRON}", developer reconcile disabled`);
+    return;
+  }
+  devReconcileTask = cron.schedule(
+    DEV_RECONCILE_CRON,
+    () => {
+      reconcileDevelopers(client).catch((e) =>
+        console.warn("[dev-reconcile] scheduled run failed:", e?.message || e)
+      );
+    },
+    { timezone: "UTC" }
+  );
+  console.log(`⏰ Developer reconcile scheduled (${DEV_RECONCILE_CRON} UTC, policy: ${DEV_RECONCILE_POLICY})`);
+}
+
+module.exports = {
+  GithubUnavailableError,
+  MAX_STAR_PAGES,
+  createGithubClient,
+  checkDeveloper,
+  reconcileDevelopers,
+  startDevReconcileScheduler,
+};
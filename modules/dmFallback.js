@@ -0,0 +1,223 @@
+// modules/dmFallback.js
+/**
+ * Handling of members whose DMs are closed ("Cannot send messages to this user").
+ * Responsibilities:
+ * - recordDmFailure / clearDmFailures: counts consecutive closed-DM failures per member in `dm_failures`
+ *   (reset by the next successful DM). dmQueue.js calls them on every delivery.
+ * - useFallback(discordId): after DM_FALLBACK_THRESHOLD consecutive failures the member's DMs are routed to a
+ *   fallback; every DM_FALLBACK_RETRY_HOURS a real DM is attempted again, so reopened DMs are picked up.
+ * - deliverFallback(client, discordId, payload): posts the message in a private per-member "notifications"
+ *   thread in DM_FALLBACK_CHANNEL_ID (created on first use, id kept in `dm_failures.fallback_thread_id`).
+ *   Without that channel the message is dropped and the member only gets the notice below.
+ * - attachClosedDmNotice(client): when a member enters fallback mode, their next slash command gets one ephemeral
+ *   follow-up explaining that DMs are closed and where notifications go now (kept for the next command if the
+ *   handler did not reply in time).
+ * - startDmFailureSummary(client): node-cron job (DM_FAILURE_SUMMARY_CRON, UTC) posting one mod_logs summary of
+ *   new closed-DM members and dead-lettered DMs instead of one message per failure.
+ */
+const cron = require("node-cron");
+const { ChannelType } = require("discord.js");
+const { Pool } = require("pg");
+const { MSGS } = require("../utils/messages");
+
+const {
+  PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
+  MOD_LOGS_CHANNEL_ID, DISCORD_GUILD_ID,
+} = process.env;
+
+const FALLBACK_CHANNEL_ID = process.env.DM_FALLBACK_CHANNEL_ID || null;
+const THRESHOLD = Math.max(1, Number(process.env.DM_FALLBACK_THRESHOLD || 3));
+const RETRY_HOURS = Number(process.env.DM_FALLBACK_RETRY_HOURS || 24);
+const SUMMARY_CRON = (process.env.DM_FAILURE_SUMMARY_CRON ?? "0 9 * * *").trim();
+
+const NOTICE_WAIT_MS = 5000;
+
+const pool = new Pool({
+  user: PG_USER,
+  host: PG_HOST,
+  database: PG_DATABASE,
+  password: PG_PASSWORD,
+  port: PG_PORT,
+});
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Returns true when this failure put the member into fallback mode.
+async function recordDmFailure(discordId, error) {
+  const res = await pool.query(
+    `INSERT INTO dm_failures (discord_id, failures, last_error)
+     VALUES ($1, 1, $2)
+     ON CONFLICT (discord_id) DO UPDATE
+       SET failures = dm_failures.failures + 1,
+           last_failed_at = CURRENT_TIMESTAMP,
+           last_error = EXCLUDED.last_error
+     RETURNING failures`,
+    [String(discordId), String(error || "").slice(0, 300)]
+  );
+  const failures = res.rows[0].failures;
+  if (failures === THRESHOLD) {
+    await pool.query("UPDATE dm_failures SET notice_pending = TRUE WHERE discord_id = $1", [String(discordId)]);
+    return true;
+  }
+  return false;
+}
+
+async function clearDmFailures(discordId) {
+  await pool.query(
+    "UPDATE dm_failures SET failures = 0, notice_pending = FALSE WHERE discord_id = $1 AND failures > 0",
+    [String(discordId)]
+  );
+}
+
+async function useFallback(discordId) {
+  const res = await pool.query(
+    `SELECT 1 FROM dm_failures
+      WHERE discord_id = $1
+        AND failures >= $2
+        AND last_failed_at > CURRENT_TIMESTAMP - ($3::int * INTERVAL '1 hour')`,
+    [String(discordId), THRESHOLD, RETRY_HOURS]
+  );
+  return res.rowCount > 0;
+}
+
+async function getFallbackThread(client, discordId) {
+  if (!FALLBACK_CHANNEL_ID) return null;
+
+  const res = await pool.query("SELECT fallback_thread_id FROM dm_failures WHERE discord_id = $1", [String(discordId)]);
+  const threadId = res.rows[0]?.fallback_thread_id;
+  if (threadId) {
+    const existing = await client.channels.fetch(threadId).catch(() => null);
+    if (existing) {
+      if (existing.archived) await existing.setArchived(false).catch(() => {});
+      return existing;
+    }
+  }
+
+  const channel = await client.channels.fetch(FALLBACK_CHANNEL_ID).catch(() => null);
+  if (!channel?.threads) {
+    console.warn(`[dm-fallback] DM_FALLBACK_CHANNEL_ID ${FALLBACK_CHANNEL_ID} is not a text channel`);
+    return null;
+  }
+  const user = await client.users.fetch(String(discordId)).catch(() => null);
+  const thread = await channel.threads.create({
+    name: `notifications-${user?.username || discordId}`.slice(0, 100),
+    type: ChannelType.PrivateThread,
+    autoArchiveDuration: 10080,
+    invitable: false,
+    reason: "Fallback for a member with closed DMs",
+  });
+  await thread.members.add(String(discordId));
+  await pool.query("UPDATE dm_failures SET fallback_thread_id = $2 WHERE discord_id = $1", [String(discordId), thread.id]);
+  return thread;
+}
+
+async function deliverFallback(client, discordId, payload) {
+  try {
+    const thread = await getFallbackThread(client, discordId);
+    if (!thread) return false;
+    await thread.send({ ...payload, allowedMentions: { users: [String(discordId)], parse: [] } });
+    return true;
+  } catch (e) {
+    console.warn(`[dm-fallback] fallback delivery to ${discordId} failed:`, e?.message || e);
+    return false;
+  }
+}
+
+async function takeNotice(discordId) {
+  const res = await pool.query(
+    `UPDATE dm_failures SET notice_pending = FALSE
+      WHERE discord_id = $1 AND notice_pending = TRUE
+      RETURNING fallback_thread_id`,
+    [String(discordId)]
+  );
+  if (res.rowCount === 0) return null;
+  return { threadId: res.rows[0].fallback_thread_id };
+}
+
+function attachClosedDmNotice(client) {
+  client.on("interactionCreate", async (interaction) => {
+    if (!interaction.isChatInputCommand?.()) return;
+    try {
+      const notice = await takeNotice(interaction.user.id);
+      if (!notice) return;
+
+      // Let the command handler reply first; the notice is a follow-up to it.
+      const started = Date.now();
+      while (!interaction.replied && !interaction.deferred && Date.now() - started < NOTICE_WAIT_MS) {
+        await sleep(250);
+      }
+      if (!interaction.replied && !interaction.deferred) {
+        await pool.query("UPDATE dm_failures SET notice_pending = TRUE WHERE discord_id = $1", [interaction.user.id]);
+        return;
+      }
+      await interaction.followUp({ content: MSGS.dmClosedNotice(DISCORD_GUILD_ID, notice.threadId), flags: 64 });
+    } catch (e) {
+      console.warn("[dm-fallback] closed-DM notice failed:", e?.message || e);
+    }
+  });
+}
+
+let lastSummaryAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+async function postDmFailureSummary(client) {
+  const since = lastSummaryAt;
+  lastSummaryAt = new Date();
+
+  const closed = await pool.query(
+    `SELECT discord_id, failures, fallback_thread_id, last_error
+       FROM dm_failures
+      WHERE failures > 0
+        AND (reported_at IS NULL OR reported_at < last_failed_at)
+      ORDER BY last_failed_at DESC`
+  );
+  const dead = await pool.query(
+    "SELECT COUNT(*) AS n FROM dm_queue WHERE status = 'dead' AND updated_at > $1",
+    [since]
+  );
+  const deadCount = Number(dead.rows[0]?.n || 0);
+  if (!closed.rowCount && !deadCount) return;
+
+  const members = closed.rows.map((r) => ({
+    discordId: r.discord_id,
+    failures: r.failures,
+    fallback: r.failures >= THRESHOLD ? (r.fallback_thread_id ? "thread" : "notice") : null,
+  }));
+
+  if (MOD_LOGS_CHANNEL_ID) {
+    const ch = await client.channels.fetch(MOD_LOGS_CHANNEL_ID).catch(() => null);
+    if (ch?.isTextBased?.()) {
+      await ch.send({ content: MSGS.dmFailureSummary({ members, deadCount, since }), allowedMentions: { parse: [] } });
+    }
+  }
+  await pool.query(
+    "UPDATE dm_failures SET reported_at = CURRENT_TIMESTAMP WHERE discord_id = ANY($1::text[])",
+    [members.map((m) => m.discordId)]
+  );
+}
+
+let summaryTask = null;
+function startDmFailureSummary(client) {
+  if (summaryTask || !SUMMARY_CRON) return;
+  if (!cron.validate(SUMMARY_CRON)) {
+    console.warn(`[dm-fallback] invalid DM_FAILURE_SUMMARY_CRON "${SUMMARY_CRON}", summary disabled`);
+    return;
+  }
+  summaryTask = cron.schedule(
+    SUMMARY_CRON,
+    () => {
+      postDmFailureSummary(client).catch((e) =>
+        console.warn("[dm-fallback] summary failed:", e?.message || e)
+      );
+    },
+    { timezone: "UTC" }
+  );
+}
+
+module.exports = {
+  recordDmFailure,
+  clearDmFailures,
+  useFallback,
+  deliverFallback,
+  attachClosedDmNotice,
+  startDmFailureSummary,
+};
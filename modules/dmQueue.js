@@ -0,0 +1,268 @@
+// modules/dmQueue.js
+/**
+ * Persistent outbound DM queue (Postgres `dm_queue`) so chain event handling never waits on Discord delivery.
+ * Responsibilities:
+ * - enqueueDM(discordId, payload, category): stores a JSON message payload; returns the row id.
+ * - startDmQueue(client): single in-process worker that
+ *   • delivers per user in order (a user's next message waits until the previous one was sent or dead-lettered),
+ *   • keeps a global rate limit (DM_QUEUE_RATE_PER_SEC),
+ *   • retries failures with exponential backoff (DM_QUEUE_RETRY_BASE_MS · 2^(attempt-1), capped at one hour)
+ *     up to DM_QUEUE_MAX_ATTEMPTS; permanent errors (DMs closed, unknown user) are dead-lettered at once,
+ *   • routes members with closed DMs to their fallback (dmFallback.js) and counts closed-DM failures,
+ *   • logs dead letters (moderators get a periodic summary from dmFallback.js) and prunes delivered/dead rows
+ *     after DM_QUEUE_RETENTION_DAYS.
+ *   Rows left in `sending` by a crash are picked up again on start; rows stuck in `sending` because their status
+ *   update failed (DB blip) are reclaimed once their lease (SENDING_LEASE_MS) is over, so they do not block
+ *   the member's later DMs until a restart.
+ * - getDmQueueStats(): counts by status, retrying messages, age of the oldest due message and sent/dead in the
+ *   last hour, read from the table so any process can serve them (server.js: GET /metrics/dm-queue).
+ */
+const { Pool } = require("pg");
+const fallback = require("./dmFallback");
+
+const {
+  PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
+} = process.env;
+
+const RATE_PER_SEC = Math.max(0.1, Number(process.env.DM_QUEUE_RATE_PER_SEC || 5));
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.DM_QUEUE_MAX_ATTEMPTS || 6));
+const RETRY_BASE_MS = Number(process.env.DM_QUEUE_RETRY_BASE_MS || 30 * 1000);
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const RETENTION_DAYS = Number(process.env.DM_QUEUE_RETENTION_DAYS || 7);
+const POLL_MS = 1000;
+const BATCH_SIZE = 25;
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const SENDING_LEASE_MS = 5 * 60 * 1000;
+
+const DMS_CLOSED_CODE = 50007; // Cannot send messages to this user
+
+// Discord API errors that will not go away by retrying.
+const PERMANENT_CODES = new Set([
+  DMS_CLOSED_CODE,
+  10013, // Unknown user
+  50035, // Invalid form body
+]);
+
+const DEBUG =
+  (process.env.DM_QUEUE_DEBUG || "").toLowerCase() === "true" ||
+  process.env.DM_QUEUE_DEBUG === "1";
+
+const pool = new Pool({
+  user: PG_USER,
+  host: PG_HOST,
+  database: PG_DATABASE,
+  password: PG_PASSWORD,
+  port: PG_PORT,
+});
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function enqueueDM(discordId, payload, category = null) {
+  const res = await pool.query(
+    `INSERT INTO dm_queue (discord_id, payload, category)
+     VALUES ($1, $2, $3)
+     RETURNING id`,
+    [String(discordId), JSON.stringify(payload), category]
+  );
+  if (worker) worker.wake();
+  return res.rows[0].id;
+}
+
+// Oldest due message of every user whose earlier messages are all done. `sending` rows whose lease ran out
+// count as due again.
+async function claimBatch() {
+  const res = await pool.query(
+    `UPDATE dm_queue
+        SET status = 'sending', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT q.id
+          FROM dm_queue q
+         WHERE ((q.status = 'pending' AND q.next_attempt_at <= CURRENT_TIMESTAMP)
+                OR (q.status = 'sending' AND q.updated_at < CURRENT_TIMESTAMP - ($2::int * INTERVAL '1 millisecond')))
+           AND NOT EXISTS (
+             SELECT 1 FROM dm_queue o
+              WHERE o.discord_id = q.discord_id
+                AND o.status IN ('pending', 'sending')
+                AND o.id < q.id
+           )
+         ORDER BY q.id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, discord_id, payload, category, attempts`,
+    [BATCH_SIZE, SENDING_LEASE_MS]
+  );
+  return res.rows.sort((a, b) => Number(a.id) - Number(b.id));
+}
+
+async function markSent(id) {
+  await pool.query(
+    `UPDATE dm_queue
+        SET status = 'sent', sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP, last_error = NULL
+      WHERE id = $1`,
+    [id]
+  );
+}
+
+async function markFailed(row, err) {
+  const message = String(err?.message || err).slice(0, 500);
+  const permanent = PERMANENT_CODES.has(Number(err?.code));
+
+  if (permanent || row.attempts >= MAX_ATTEMPTS) {
+    await pool.query(
+      `UPDATE dm_queue
+          SET status = 'dead', last_error = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1`,
+      [row.id, message]
+    );
+    console.warn(`[dm-queue] #${row.id} to ${row.discord_id} dead-lettered: ${message}`);
+    return;
+  }
+
+  const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (row.attempts - 1));
+  await pool.query(
+    `UPDATE dm_queue
+        SET status = 'pending', last_error = $2, updated_at = CURRENT_TIMESTAMP,
+            next_attempt_at = CURRENT_TIMESTAMP + ($3::int * INTERVAL '1 millisecond')
+      WHERE id = $1`,
+    [row.id, message, delay]
+  );
+  if (DEBUG) console.log(`[dm-queue] #${row.id} to ${row.discord_id} failed (attempt ${row.attempts}), retry in ${delay} ms`);
+}
+
+async function deliverViaFallback(client, row) {
+  if (!(await fallback.deliverFallback(client, row.discord_id, row.payload))) return false;
+  await markSent(row.id);
+  if (DEBUG) console.log(`[dm-queue] #${row.id} delivered to the fallback of ${row.discord_id}`);
+  return true;
+}
+
+async function deliver(client, row) {
+  if (await fallback.useFallback(row.discord_id)) {
+    if (await deliverViaFallback(client, row)) return;
+    return markFailed(row, { code: DMS_CLOSED_CODE, message: "DMs closed and no fallback thread available" });
+  }
+
+  try {
+    await client.users.send(row.discord_id, row.payload);
+    await markSent(row.id);
+    await fallback.clearDmFailures(row.discord_id);
+    if (DEBUG) console.log(`[dm-queue] #${row.id} sent to ${row.discord_id}`);
+  } catch (e) {
+    if (Number(e?.code) === DMS_CLOSED_CODE) {
+      await fallback.recordDmFailure(row.discord_id, e?.message || e);
+      if ((await fallback.useFallback(row.discord_id)) && (await deliverViaFallback(client, row))) return;
+    }
+    await markFailed(row, e);
+  }
+}
+
+async function pruneQueue() {
+  const res = await pool.query(
+    `DELETE FROM dm_queue
+      WHERE status IN ('sent', 'dead')
+        AND updated_at < CURRENT_TIMESTAMP - ($1::int * INTERVAL '1 day')`,
+    [RETENTION_DAYS]
+  );
+  if (DEBUG && res.rowCount) console.log(`[dm-queue] pruned ${res.rowCount} row(s)`);
+}
+
+let worker = null;
+
+function startDmQueue(client) {
+  if (worker) return worker;
+
+  const interval = 1000 / RATE_PER_SEC;
+  let wakeUp = null;
+  let lastPrune = 0;
+
+  worker = {
+    wake() {
+      if (wakeUp) wakeUp();
+    },
+  };
+
+  const idle = () =>
+    new Promise((resolve) => {
+      const t = setTimeout(resolve, POLL_MS);
+      wakeUp = () => {
+        clearTimeout(t);
+        resolve();
+      };
+    }).finally(() => {
+      wakeUp = null;
+    });
+
+  (async () => {
+    try {
+      await pool.query("UPDATE dm_queue SET status = 'pending' WHERE status = 'sending'");
+    } catch (e) {
+      console.warn("[dm-queue] resetting in-flight rows failed:", e?.message || e);
+    }
+
+    for (;;) {
+      try {
+        if (Date.now() - lastPrune > PRUNE_INTERVAL_MS) {
+          lastPrune = Date.now();
+          await pruneQueue();
+        }
+
+        const batch = await claimBatch();
+        if (!batch.length) {
+          await idle();
+          continue;
+        }
+        for (const row of batch) {
+          const started = Date.now();
+          try {
+            await deliver(client, row);
+          } catch (e) {
+            // Status update failed; the row stays `sending` and is reclaimed after its lease.
+            console.warn(`[dm-queue] #${row.id} to ${row.discord_id} could not be updated:`, e?.message || e);
+          }
+          const wait = interval - (Date.now() - started);
+          if (wait > 0) await sleep(wait);
+        }
+      } catch (e) {
+        console.warn("[dm-queue] worker error:", e?.message || e);
+        await sleep(5000);
+      }
+    }
+  })();
+
+  console.log(`📬 DM queue started (${RATE_PER_SEC}/s, max ${MAX_ATTEMPTS} attempts)`);
+  return worker;
+}
+
+async function getDmQueueStats() {
+  const res = await pool.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE status = 'pending')                                        AS pending,
+       COUNT(*) FILTER (WHERE status = 'sending')                                        AS sending,
+       COUNT(*) FILTER (WHERE status = 'dead')                                           AS dead,
+       COUNT(*) FILTER (WHERE status = 'sent' AND sent_at > NOW() - INTERVAL '1 hour')   AS sent_last_hour,
+       COUNT(*) FILTER (WHERE status = 'dead' AND updated_at > NOW() - INTERVAL '1 hour') AS dead_last_hour,
+       COUNT(*) FILTER (WHERE status = 'pending' AND attempts > 0)                       AS retrying,
+       EXTRACT(EPOCH FROM NOW() - MIN(created_at) FILTER (
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ))                                                                                AS oldest_due_age_sec
+     FROM dm_queue`
+  );
+  const r = res.rows[0] || {};
+  const n = (x) => Number(x || 0);
+  return {
+    pending: n(r.pending),
+    sending: n(r.sending),
+    retrying: n(r.retrying),
+    dead: n(r.dead),
+    sentLastHour: n(r.sent_last_hour),
+    deadLastHour: n(r.dead_last_hour),
+    oldestDueAgeSec: r.oldest_due_age_sec == null ? null : Math.round(Number(r.oldest_due_age_sec)),
+  };
+}
+
+module.exports = {
+  enqueueDM,
+  startDmQueue,
+  getDmQueueStats,
+};
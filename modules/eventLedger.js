@@ -0,0 +1,114 @@
+// modules/eventLedger.js
+/**
+ * Idempotency ledger for notifications caused by on-chain events.
+ * Responsibilities:
+ * - runWithEvent({ blockHash, txHash, eventIndex }, fn): runs an alert handler with the on-chain event it
+ *   belongs to attached as async context (AsyncLocalStorage), so nested DM fan-outs — including the
+ *   short aggregation timers in alerts.js — know which event they are reporting.
+ * - claimDelivery(discordId, kind): records (block_hash, tx_hash, event_index, discord_id, kind) in
+ *   `processed_events` and returns false when that user already got this kind of message about the current
+ *   event (block replay, gap backfill overlapping the live stream, re-running a historical range). Different
+ *   kinds (e.g. "stake decreased" and "role revoked" for the same transaction) are delivered independently.
+ * - releaseDelivery(discordId, kind): drops that claim again when the delivery could not be handed off (DM not
+ *   queued, channel post failed), so a replay of the block retries it instead of treating it as done.
+ * - Outside an event context (e.g. reconcile or verification DMs) every delivery is allowed.
+ * - Prunes ledger rows older than EVENT_LEDGER_RETENTION_DAYS on a timer.
+ */
+const { AsyncLocalStorage } = require("async_hooks");
+const { Pool } = require("pg");
+
+const {
+  PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
+} = process.env;
+
+const RETENTION_DAYS = Number(process.env.EVENT_LEDGER_RETENTION_DAYS || 30);
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const DEBUG =
+  (process.env.TXL_DEBUG || "").toLowerCase() === "true" ||
+  process.env.TXL_DEBUG === "1";
+
+const pool = new Pool({
+  user: PG_USER,
+  host: PG_HOST,
+  database: PG_DATABASE,
+  password: PG_PASSWORD,
+  port: PG_PORT,
+});
+
+const storage = new AsyncLocalStorage();
+
+function runWithEvent({ blockHash, txHash, eventIndex }, fn) {
+  const ctx = {
+    blockHash: String(blockHash || ""),
+    txHash: String(txHash || ""),
+    eventIndex: Number.isFinite(Number(eventIndex)) ? Number(eventIndex) : 0,
+  };
+  ensurePruneTimer();
+  return storage.run(ctx, fn);
+}
+
+function currentEvent() {
+  return storage.getStore() || null;
+}
+
+async function claimDelivery(discordId, kind = "") {
+  const ev = currentEvent();
+  if (!ev || !ev.blockHash) return true;
+
+  try {
+    const res = await pool.query(
+      `INSERT INTO processed_events (block_hash, tx_hash, event_index, discord_id, kind)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT DO NOTHING`,
+      [ev.blockHash, ev.txHash, ev.eventIndex, String(discordId), String(kind || "")]
+    );
+    return res.rowCount === 1;
+  } catch (e) {
+    // Never drop a notification because the ledger itself is unavailable.
+    if (DEBUG) console.warn("[ledger] claimDelivery failed:", e?.message || e);
+    return true;
+  }
+}
+
+async function releaseDelivery(discordId, kind = "") {
+  const ev = currentEvent();
+  if (!ev || !ev.blockHash) return;
+
+  try {
+    await pool.query(
+      `DELETE FROM processed_events
+        WHERE block_hash = $1 AND tx_hash = $2 AND event_index = $3 AND discord_id = $4 AND kind = $5`,
+      [ev.blockHash, ev.txHash, ev.eventIndex, String(discordId), String(kind || "")]
+    );
+  } catch (e) {
+    console.warn("[ledger] releaseDelivery failed:", e?.message || e);
+  }
+}
+
+async function pruneLedger() {
+  if (!(RETENTION_DAYS > 0)) return;
+  try {
+    const res = await pool.query(
+      "DELETE FROM processed_events WHERE processed_at < NOW() - make_interval(days => $1::int)",
+      [Math.floor(RETENTION_DAYS)]
+    );
+    if (DEBUG && res.rowCount) console.log(`[ledger] pruned ${res.rowCount} row(s)`);
+  } catch (e) {
+    if (DEBUG) console.warn("[ledger] prune failed:", e?.message || e);
+  }
+}
+
+let pruneTimer = null;
+function ensurePruneTimer() {
+  if (pruneTimer) return;
+  pruneTimer = setInterval(pruneLedger, PRUNE_INTERVAL_MS);
+  if (typeof pruneTimer.unref === "function") pruneTimer.unref();
+}
+
+module.exports = {
+  runWithEvent,
+  currentEvent,
+  claimDelivery,
+  releaseDelivery,
+};
@@ -5,10 +5,12 @@
  * - Queries `verifications` by discord_id; if any:
  *   • For Validator rows, deletes corresponding `validator_commissions` entries.
  *   • Deletes all `verifications` rows for the user and logs the count.
+ *   • Deletes the opt-in pool role of the user's validators (poolRoles.removePoolRole).
  * - Posts a summary to the moderators log channel (if configured), mentioning any roles the user held
  *   (<@&VALIDATOR_ROLE_ID>, <@&DELEGATOR_ROLE_ID>, <@&DEV_ROLE_ID>).
  */
 const { Pool } = require('pg');
+const { removePoolRole } = require('./poolRoles');
 
 const {
   PG_USER,
@@ -85,6 +87,14 @@ async function handleMemberLeave(member) {
     const del = await pool.query(`DELETE FROM verifications WHERE discord_id = $1`, [discordId]);
     console.log(`✅ Removed ${del.rowCount} verification record(s) for discord_id: ${discordId}`);
 
+    for (const validatorId of validatorIds) {
+      try {
+        await removePoolRole(member.client, validatorId, 'validator owner left the server');
+      } catch (err) {
+        console.error(`❌ Failed to remove pool role for validator ${validatorId}:`, err.message);
+      }
+    }
+
     const hadValidator = result.rows.some(r => r.role_type === 'Validator');
     const hadDelegator = result.rows.some(r => r.role_type === 'Delegator');
     const hadDeveloper = result.rows.some(r => r.role_type === 'Developer');
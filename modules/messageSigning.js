@@ -0,0 +1,74 @@
+// modules/messageSigning.js
+/**
+ * Signed-message challenges for validator/delegator verification (free alternative to the memo transfer).
+ * Responsibilities:
+ * - createChallengeNonce() / buildChallenge({ discordId, address, nonce }): the exact text the user signs with
+ *   the account's keys in their wallet ("Sign message").
+ * - parseSignature(text): accepts the wallet output as JSON (`{"0":{"0":"<hex>"}}`, credential → key → signature)
+ *   or a bare 64-byte hex signature (credential 0, key 0); returns null for anything else, so ordinary thread
+ *   messages are not mistaken for signatures.
+ * - verifyChallengeSignature({ discordId, address, nonce }, signature): checks it against the on-chain
+ *   credential keys via chainQueries. Transport errors are rethrown so flows can answer "node unavailable".
+ * - signatureTxHash(nonce): value stored in `verifications.tx_hash` for signature-based verifications.
+ */
+const crypto = require("crypto");
+const chain = require("./chainQueries");
+
+const HEX_SIG = /^[0-9a-f]{128}$/i;
+
+function createChallengeNonce() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+function buildChallenge({ discordId, address, nonce }) {
+  return `Concordium Discord verification: account ${address} belongs to Discord user ${discordId}. Nonce: ${nonce}`;
+}
+
+function parseSignature(text) {
+  const raw = String(text || "")
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "")
+    .trim();
+  if (!raw) return null;
+
+  if (HEX_SIG.test(raw)) return { 0: { 0: raw.toLowerCase() } };
+  if (!raw.startsWith("{")) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    return null;
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return null;
+
+  const signature = {};
+  for (const [credIndex, keys] of Object.entries(parsed)) {
+    if (!/^\d+$/.test(credIndex) || !keys || typeof keys !== "object") return null;
+    signature[credIndex] = {};
+    for (const [keyIndex, sig] of Object.entries(keys)) {
+      if (!/^\d+$/.test(keyIndex) || typeof sig !== "string" || !HEX_SIG.test(sig)) return null;
+      signature[credIndex][keyIndex] = sig.toLowerCase();
+    }
+  }
+  return Object.keys(signature).length ? signature : null;
+}
+
+async function verifyChallengeSignature({ discordId, address, nonce }, signature) {
+  if (!address || !nonce || !signature) return false;
+  const message = buildChallenge({ discordId, address, nonce });
+  return chain.verifyAccountMessageSignature(address, message, signature);
+}
+
+function signatureTxHash(nonce) {
+  return `signature:${nonce}`;
+}
+
+module.exports = {
+  createChallengeNonce,
+  buildChallenge,
+  parseSignature,
+  verifyChallengeSignature,
+  signatureTxHash,
+};
@@ -0,0 +1,153 @@
+// modules/myStatus.js
+/**
+ * `/my-status`: what the bot knows about the calling member.
+ * Responsibilities:
+ * - Reads every `verifications` row of the caller (validator, delegator and developer links).
+ * - Enriches validator/delegator wallets with live chain data (chainQueries.getAccountStake): staked amount,
+ *   delegation target and pending cooldowns. When the node is unreachable the stored values are shown instead.
+ * - Shows the validator's suspension state (`verifications.is_suspended`; for delegators the target
+ *   validator's) and the pool commissions cached in `validator_commissions`.
+ * - Appends the caller's notification preferences (global switch, per-category subscriptions, PayDay delivery).
+ * - Replies ephemerally; formatting lives in MSGS.myStatus* and reuses the CCDScan link helpers.
+ */
+const { Pool } = require("pg");
+const { MSGS } = require("../utils/messages");
+const { formatPercent } = require("../utils/format");
+const chain = require("./chainQueries");
+const {
+  NOTIFICATION_CATEGORIES,
+  PAYDAY_DELIVERY_MODES,
+  isNotificationsEnabled,
+  getSubscriptions,
+  getPaydayDelivery,
+} = require("./notificationPrefs");
+
+const {
+  PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
+} = process.env;
+
+const pool = new Pool({
+  user: PG_USER,
+  host: PG_HOST,
+  database: PG_DATABASE,
+  password: PG_PASSWORD,
+  port: PG_PORT,
+});
+
+const SUSPENSION_LABELS = {
+  yes: "⛔ suspended",
+  no: "✅ active",
+  suspension_is_pending: "⚠️ primed for suspension",
+};
+
+function fmtCCD2(n) {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return "unknown";
+  return v.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+async function getCommissions(validatorId) {
+  if (validatorId == null) return null;
+  const res = await pool.query(
+    "SELECT baking_rate, transaction_fee_rate FROM validator_commissions WHERE validator_id = $1 LIMIT 1",
+    [Number(validatorId)]
+  );
+  if (res.rowCount === 0) return null;
+  return {
+    baking: formatPercent(res.rows[0].baking_rate),
+    txFee: formatPercent(res.rows[0].transaction_fee_rate),
+  };
+}
+
+async function getValidatorSuspension(validatorId) {
+  if (validatorId == null) return null;
+  const res = await pool.query(
+    `SELECT is_suspended FROM verifications
+      WHERE role_type = 'Validator' AND validator_id = $1
+      ORDER BY verified_at DESC LIMIT 1`,
+    [Number(validatorId)]
+  );
+  return res.rows[0]?.is_suspended ?? null;
+}
+
+async function describeStakingRow(row) {
+  const isValidator = row.role_type === "Validator";
+
+  let live = null;
+  let liveError = false;
+  try {
+    live = await chain.getAccountStake(row.wallet_address);
+  } catch (e) {
+    liveError = true;
+    console.warn(`[my-status] chain lookup failed for ${row.wallet_address}:`, e?.message || e);
+  }
+
+  const delegationTarget = isValidator
+    ? null
+    : (live?.delegationTarget ?? row.delegation_target ?? null);
+
+  const poolId = isValidator
+    ? (live?.validatorId ?? row.validator_id)
+    : (delegationTarget && delegationTarget !== "passive" ? Number(delegationTarget) : null);
+
+  const suspension = isValidator ? row.is_suspended : await getValidatorSuspension(poolId);
+
+  return {
+    roleType: row.role_type,
+    wallet: row.wallet_address,
+    validatorId: poolId,
+    delegationTarget,
+    stakedCCD: live && live.stakedCCD != null ? fmtCCD2(live.stakedCCD) : null,
+    notStaking: !!live && live.type === "none",
+    accountMissing: !liveError && !live,
+    liveError,
+    cooldowns: (live?.cooldowns || []).map((c) => ({
+      amountCCD: fmtCCD2(c.amountCCD),
+      when: c.availableAt ? c.availableAt.toUTCString() : "unknown",
+    })),
+    suspension: suspension ? SUSPENSION_LABELS[suspension] || suspension : null,
+    commissions: await getCommissions(poolId),
+  };
+}
+
+async function handleMyStatusCommand(interaction) {
+  try {
+    await interaction.deferReply({ flags: 64 });
+
+    const res = await pool.query(
+      `SELECT wallet_address, role_type, delegation_target, validator_id, is_suspended, github_profile, verified_at
+         FROM verifications
+        WHERE discord_id = $1
+        ORDER BY verified_at`,
+      [interaction.user.id]
+    );
+
+    const accounts = [];
+    for (const row of res.rows) {
+      if (row.role_type === "Developer") {
+        accounts.push({ roleType: row.role_type, githubProfile: row.github_profile });
+      } else {
+        accounts.push(await describeStakingRow(row));
+      }
+    }
+
+    const globalOn = await isNotificationsEnabled(interaction.user.id);
+    const subs = await getSubscriptions(interaction.user.id);
+    const delivery = await getPaydayDelivery(interaction.user.id);
+
+    const prefs = {
+      globalOn,
+      categories: NOTIFICATION_CATEGORIES.map((c) => ({ label: c.label, enabled: subs[c.key] })),
+      paydayDelivery: PAYDAY_DELIVERY_MODES.find((m) => m.value === delivery)?.label || delivery,
+    };
+
+    return interaction.editReply(MSGS.myStatus(accounts, prefs));
+  } catch (e) {
+    console.error("[my-status] failed:", e);
+    try {
+      await interaction.editReply("❌ Failed to load your status. Please try again later.");
+    } catch {}
+  }
+}
+
+module.exports = { handleMyStatusCommand };
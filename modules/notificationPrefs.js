@@ -6,9 +6,24 @@
  * - setNotificationPreference(discordId, "on"|"off"|boolean): UPSERTs into `notification_prefs` with timestamp.
  * - handleReceiveNotifications(interaction): slash-command handler for /receive-notifications (on/off),
  *   replies ephemerally using MSGS.notificationsTurnedOn/Off() if available.
+ * - Per-category subscriptions in `notification_subscriptions` (payday, commission, suspension, health, stake,
+ *   pool_membership, network); a missing row means subscribed, except for opt-in categories ("network":
+ *   DM copies of the public announcements), where it means not subscribed. The global switch above still wins.
+ *   • isSubscribed(discordId, category), setSubscription(...), getSubscriptions(discordId).
+ *   • listSubscribers(category): members who opted in to an opt-in category (global switch on).
+ *   • handleNotificationsCommand / handleNotificationsButton: /notifications panel with one toggle button
+ *     per category (customId `notif_toggle:<category>`, `notif_toggle:all` for the global switch).
+ * - PayDay delivery mode (`notification_prefs.payday_delivery`: immediate | daily | weekly), picked from the
+ *   panel's `notif_payday_delivery` select (handleNotificationsSelect); digests are sent by paydayRewards.js.
  * - Exports alias getNotificationPreference → isNotificationsEnabled.
  */
 const { Pool } = require("pg");
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+} = require("discord.js");
 const { MSGS } = require("../utils/messages");
 
 const {
@@ -23,6 +38,24 @@ const pool = new Pool({
   port: PG_PORT,
 });
 
+const NOTIFICATION_CATEGORIES = [
+  { key: "payday",          label: "PayDay rewards",     description: "Validator and delegator reward payouts" },
+  { key: "commission",      label: "Commission changes", description: "Commission rate changes of your pool" },
+  { key: "suspension",      label: "Validator status",   description: "Primed / suspended / resumed / removed validators" },
+  { key: "health",          label: "Validator health",   description: "Early warnings when your validator bakes fewer blocks than expected or seems offline" },
+  { key: "stake",           label: "Stake changes",      description: "Your own stake increases, decreases and cooldowns" },
+  { key: "pool_membership", label: "Pool delegators",    description: "Delegators joining, leaving or changing stake in your pool; your delegation target" },
+  { key: "network",         label: "Network-wide",       description: "DM copies of network announcements (new/removed validators, large-pool commission changes)", optIn: true },
+];
+const CATEGORY_KEYS = new Set(NOTIFICATION_CATEGORIES.map((c) => c.key));
+const OPT_IN_KEYS = new Set(NOTIFICATION_CATEGORIES.filter((c) => c.optIn).map((c) => c.key));
+
+const PAYDAY_DELIVERY_MODES = [
+  { value: "immediate", label: "Every PayDay",  description: "One DM per PayDay reward" },
+  { value: "daily",     label: "Daily digest",  description: "One summary per day" },
+  { value: "weekly",    label: "Weekly digest", description: "One summary per week" },
+];
+
 async function isNotificationsEnabled(discordId) {
   const id = String(discordId);
   const res = await pool.query(
@@ -49,6 +82,188 @@ async function setNotificationPreference(discordId, stateOrBool) {
   );
 }
 
+async function getSubscriptions(discordId) {
+  const res = await pool.query(
+    "SELECT category, enabled FROM notification_subscriptions WHERE discord_id = $1",
+    [String(discordId)]
+  );
+  const subs = {};
+  for (const c of NOTIFICATION_CATEGORIES) subs[c.key] = !c.optIn;
+  for (const r of res.rows) {
+    if (CATEGORY_KEYS.has(r.category)) subs[r.category] = r.enabled === true;
+  }
+  return subs;
+}
+
+async function isSubscribed(discordId, category) {
+  if (!(await isNotificationsEnabled(discordId))) return false;
+  if (!category || !CATEGORY_KEYS.has(category)) return true;
+
+  const res = await pool.query(
+    "SELECT enabled FROM notification_subscriptions WHERE discord_id = $1 AND category = $2 LIMIT 1",
+    [String(discordId), category]
+  );
+  if (res.rowCount === 0) return !OPT_IN_KEYS.has(category);
+  return res.rows[0].enabled === true;
+}
+
+async function listSubscribers(category) {
+  if (!OPT_IN_KEYS.has(category)) throw new Error(`Not an opt-in notification category: ${category}`);
+  const res = await pool.query(
+    `SELECT s.discord_id
+       FROM notification_subscriptions s
+       LEFT JOIN notification_prefs p ON p.discord_id::text = s.discord_id
+      WHERE s.category = $1
+        AND s.enabled = TRUE
+        AND COALESCE(p.receive, TRUE) = TRUE`,
+    [category]
+  );
+  return res.rows.map((r) => String(r.discord_id));
+}
+
+async function setSubscription(discordId, category, enabled) {
+  if (!CATEGORY_KEYS.has(category)) throw new Error(`Unknown notification category: ${category}`);
+  await pool.query(
+    `INSERT INTO notification_subscriptions (discord_id, category, enabled, updated_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (discord_id, category)
+     DO UPDATE SET enabled = EXCLUDED.enabled,
+                   updated_at = CURRENT_TIMESTAMP`,
+    [String(discordId), category, !!enabled]
+  );
+}
+
+async function getPaydayDelivery(discordId) {
+  const res = await pool.query(
+    "SELECT payday_delivery FROM notification_prefs WHERE discord_id = $1 LIMIT 1",
+    [String(discordId)]
+  );
+  return res.rows[0]?.payday_delivery || "immediate";
+}
+
+async function setPaydayDelivery(discordId, mode) {
+  if (!PAYDAY_DELIVERY_MODES.some((m) => m.value === mode)) {
+    throw new Error(`Unknown PayDay delivery mode: ${mode}`);
+  }
+  // The digest window starts when a digest mode is picked; earlier rewards were already DMed.
+  await pool.query(
+    `INSERT INTO notification_prefs (discord_id, payday_delivery, payday_digest_sent_at, updated_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+     ON CONFLICT (discord_id)
+     DO UPDATE SET payday_delivery = EXCLUDED.payday_delivery,
+                   payday_digest_sent_at = CASE
+                     WHEN notification_prefs.payday_delivery = EXCLUDED.payday_delivery
+                       THEN notification_prefs.payday_digest_sent_at
+                     ELSE CURRENT_TIMESTAMP
+                   END,
+                   updated_at = CURRENT_TIMESTAMP`,
+    [String(discordId), mode]
+  );
+}
+
+async function buildNotificationsPanel(discordId) {
+  const globalOn = await isNotificationsEnabled(discordId);
+  const subs = await getSubscriptions(discordId);
+  const delivery = await getPaydayDelivery(discordId);
+
+  const lines = NOTIFICATION_CATEGORIES.map(
+    (c) => `${subs[c.key] ? "🔔" : "🔕"} **${c.label}** — ${c.description}`
+  );
+
+  const buttons = [
+    new ButtonBuilder()
+      .setCustomId("notif_toggle:all")
+      .setLabel(globalOn ? "All DMs: ON" : "All DMs: OFF")
+      .setStyle(globalOn ? ButtonStyle.Primary : ButtonStyle.Danger),
+    ...NOTIFICATION_CATEGORIES.map((c) =>
+      new ButtonBuilder()
+        .setCustomId(`notif_toggle:${c.key}`)
+        .setLabel(c.label)
+        .setStyle(subs[c.key] ? ButtonStyle.Success : ButtonStyle.Secondary)
+        .setDisabled(!globalOn)
+    ),
+  ];
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 5) {
+    rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+  }
+
+  rows.push(
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId("notif_payday_delivery")
+        .setPlaceholder("PayDay reward delivery")
+        .setDisabled(!globalOn || !subs.payday)
+        .addOptions(
+          PAYDAY_DELIVERY_MODES.map((m) => ({ ...m, default: m.value === delivery }))
+        )
+    )
+  );
+
+  const deliveryLabel = PAYDAY_DELIVERY_MODES.find((m) => m.value === delivery)?.label || delivery;
+
+  return {
+    content: MSGS.notificationSettings(globalOn, lines, deliveryLabel),
+    components: rows,
+  };
+}
+
+async function handleNotificationsCommand(interaction) {
+  try {
+    const panel = await buildNotificationsPanel(interaction.user.id);
+    await interaction.reply({ ...panel, flags: 64 });
+  } catch (e) {
+    console.error("[prefs] /notifications failed:", e);
+    try {
+      await interaction.reply({
+        content: "❌ Failed to load your notification settings. Please try again later.",
+        flags: 64,
+      });
+    } catch {}
+  }
+}
+
+async function handleNotificationsButton(interaction) {
+  const category = String(interaction.customId || "").split(":")[1];
+  const userId = interaction.user.id;
+  try {
+    if (category === "all") {
+      await setNotificationPreference(userId, !(await isNotificationsEnabled(userId)));
+    } else if (CATEGORY_KEYS.has(category)) {
+      const subs = await getSubscriptions(userId);
+      await setSubscription(userId, category, !subs[category]);
+    } else {
+      return;
+    }
+    await interaction.update(await buildNotificationsPanel(userId));
+  } catch (e) {
+    console.error("[prefs] notification toggle failed:", e);
+    try {
+      await interaction.reply({
+        content: "❌ Failed to update your preference. Please try again later.",
+        flags: 64,
+      });
+    } catch {}
+  }
+}
+
+async function handleNotificationsSelect(interaction) {
+  try {
+    const mode = interaction.values?.[0];
+    await setPaydayDelivery(interaction.user.id, mode);
+    await interaction.update(await buildNotificationsPanel(interaction.user.id));
+  } catch (e) {
+    console.error("[prefs] payday delivery update failed:", e);
+    try {
+      await interaction.reply({
+        content: "❌ Failed to update your preference. Please try again later.",
+        flags: 64,
+      });
+    } catch {}
+  }
+}
+
 async function handleReceiveNotifications(interaction) {
   try {
     const state = interaction.options.getString("state", true);
@@ -76,8 +291,19 @@ async function handleReceiveNotifications(interaction) {
 }
 
 module.exports = {
+  NOTIFICATION_CATEGORIES,
+  PAYDAY_DELIVERY_MODES,
   isNotificationsEnabled,
   setNotificationPreference,
+  isSubscribed,
+  setSubscription,
+  getSubscriptions,
+  listSubscribers,
+  getPaydayDelivery,
+  setPaydayDelivery,
   handleReceiveNotifications,
+  handleNotificationsCommand,
+  handleNotificationsButton,
+  handleNotificationsSelect,
   getNotificationPreference: isNotificationsEnabled,
 };
\ No newline at end of file
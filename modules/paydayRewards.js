@@ -0,0 +1,380 @@
+// modules/paydayRewards.js
+/**
+ * PayDay reward history and daily/weekly reward digests.
+ * Responsibilities:
+ * - recordPaydayReward(...): stores one row per (account, PayDay block, Discord user) in `payday_rewards` for
+ *   the members the verified validator/delegator account is linked to at that moment, together with the account's staked amount as of the PayDay block (APY basis;
+ *   also right when the listener catches up on old blocks). NULL when the node could not answer.
+ * - getRewardSummary(discordId, from, to): per-PayDay totals across all of a user's verified accounts,
+ *   grand total and an effective APY estimate (mean reward/stake per PayDay, annualised without compounding).
+ *   Rewards whose stake is unknown are left out of both sides of the APY ratio.
+ * - Summaries, /rewards and the CSV export read the history by discord_id, so it stays available after an
+ *   account is unlinked (by the member or automatically, e.g. below the minimum stake).
+ * - startPaydayDigestScheduler(sendDM): node-cron job (PAYDAY_DIGEST_CRON, UTC) that DMs a digest to users whose
+ *   `notification_prefs.payday_delivery` is "daily" or "weekly" once their period has elapsed, then advances
+ *   `payday_digest_sent_at`. "immediate" users keep getting one DM per PayDay from alerts.js.
+ * - handleRewardsCommand(interaction): `/rewards period:<7d|30d|year|custom> [from] [to] [csv]` — ephemeral
+ *   per-account baking / finalization / transaction-fee totals for the caller's linked accounts, optionally with
+ *   a per-PayDay CSV attachment (for tax reporting). "year" is the current calendar year (UTC).
+ */
+const cron = require("node-cron");
+const { AttachmentBuilder } = require("discord.js");
+const { Pool } = require("pg");
+const { MSGS } = require("../utils/messages");
+const chain = require("./chainQueries");
+
+const {
+  PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
+} = process.env;
+
+const DIGEST_CRON = process.env.PAYDAY_DIGEST_CRON || "0 8 * * *";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BREAKDOWN_LINES = 14;
+
+const DEBUG =
+  (process.env.ALERTS_DEBUG || "").toLowerCase() === "true" ||
+  process.env.ALERTS_DEBUG === "1";
+
+const pool = new Pool({
+  user: PG_USER,
+  host: PG_HOST,
+  database: PG_DATABASE,
+  password: PG_PASSWORD,
+  port: PG_PORT,
+});
+
+function num(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function fmtCCD(n) {
+  return num(n).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 6 });
+}
+
+async function recordPaydayReward({
+  account,
+  discordIds = [],
+  roleType,
+  delegationTarget = null,
+  transactionFees = 0,
+  bakerReward = 0,
+  finalizationReward = 0,
+  blockHash,
+  timestampIso,
+}) {
+  const owners = [...new Set(discordIds.map(String))];
+  if (!account || !blockHash || !owners.length) return;
+
+  let stakedCCD = null;
+  try {
+    const acct = await chain.getAccountStake(account, blockHash);
+    stakedCCD = acct?.stakedCCD ?? null;
+  } catch (e) {
+    if (DEBUG) console.warn(`[payday] stake lookup failed for ${account}:`, e?.message || e);
+  }
+
+  const fees = num(transactionFees);
+  const baking = num(bakerReward);
+  const final = num(finalizationReward);
+
+  try {
+    await pool.query(
+      `INSERT INTO payday_rewards
+         (account_address, block_hash, discord_id, payday_at, role_type, delegation_target,
+          transaction_fees_ccd, baker_reward_ccd, finalization_reward_ccd, total_ccd, staked_ccd)
+       SELECT $1, $2, d.discord_id, COALESCE($3::timestamptz, NOW()), $4, $5, $6, $7, $8, $9, $10
+         FROM unnest($11::text[]) AS d(discord_id)
+       ON CONFLICT (account_address, block_hash, discord_id) DO NOTHING`,
+      [
+        String(account),
+        String(blockHash),
+        timestampIso || null,
+        roleType,
+        delegationTarget != null ? String(delegationTarget) : null,
+        fees,
+        baking,
+        final,
+        fees + baking + final,
+        stakedCCD,
+        owners,
+      ]
+    );
+  } catch (e) {
+    console.warn(`[payday] failed to record reward for ${account}:`, e?.message || e);
+  }
+}
+
+function estimateApyPct(paydays) {
+  const rates = paydays
+    .filter((p) => p.stakedCCD > 0)
+    .map((p) => p.apyRewardCCD / p.stakedCCD);
+  if (!rates.length) return null;
+
+  const gaps = [];
+  for (let i = 1; i < paydays.length; i++) {
+    const d = paydays[i].paydayAt - paydays[i - 1].paydayAt;
+    if (d > 0) gaps.push(d);
+  }
+  gaps.sort((a, b) => a - b);
+  const periodMs = gaps.length ? gaps[Math.floor(gaps.length / 2)] : DAY_MS;
+
+  const meanRate = rates.reduce((a, b) => a + b, 0) / rates.length;
+  return meanRate * ((365 * DAY_MS) / periodMs) * 100;
+}
+
+async function getRewardSummary(discordId, from, to) {
+  const res = await pool.query(
+    `SELECT pr.block_hash,
+            MIN(pr.payday_at)  AS payday_at,
+            SUM(pr.total_ccd)  AS total_ccd,
+            SUM(pr.total_ccd) FILTER (WHERE pr.staked_ccd IS NOT NULL) AS apy_reward_ccd,
+            SUM(pr.staked_ccd) AS staked_ccd
+       FROM payday_rewards pr
+      WHERE pr.discord_id = $1
+        AND pr.payday_at > $2 AND pr.payday_at <= $3
+      GROUP BY pr.block_hash
+      ORDER BY payday_at`,
+    [String(discordId), from, to]
+  );
+
+  const paydays = res.rows.map((r) => ({
+    blockHash: r.block_hash,
+    paydayAt: new Date(r.payday_at),
+    totalCCD: num(r.total_ccd),
+    apyRewardCCD: num(r.apy_reward_ccd),
+    stakedCCD: r.staked_ccd == null ? null : num(r.staked_ccd),
+  }));
+
+  return {
+    from,
+    to,
+    paydays,
+    totalCCD: paydays.reduce((a, p) => a + p.totalCCD, 0),
+    apyPct: estimateApyPct(paydays),
+  };
+}
+
+function breakdownLines(paydays) {
+  const lines = paydays
+    .slice(-MAX_BREAKDOWN_LINES)
+    .map((p) => `• ${p.paydayAt.toISOString().slice(0, 16).replace("T", " ")} UTC — **${fmtCCD(p.totalCCD)} CCD**`);
+  const hidden = paydays.length - lines.length;
+  if (hidden > 0) lines.unshift(`…and ${hidden} earlier PayDay(s)`);
+  return lines;
+}
+
+async function runPaydayDigests(sendDM, now = new Date()) {
+  const due = await pool.query(
+    `SELECT discord_id, payday_delivery, payday_digest_sent_at
+       FROM notification_prefs
+      WHERE payday_delivery IN ('daily', 'weekly')
+        AND (payday_digest_sent_at IS NULL
+             OR payday_digest_sent_at <= $1::timestamptz
+                - CASE payday_delivery WHEN 'weekly' THEN INTERVAL '7 days' ELSE INTERVAL '1 day' END
+                + INTERVAL '1 hour')`,
+    [now]
+  );
+
+  for (const row of due.rows) {
+    const uid = row.discord_id;
+    const periodMs = row.payday_delivery === "weekly" ? 7 * DAY_MS : DAY_MS;
+    const from = row.payday_digest_sent_at ? new Date(row.payday_digest_sent_at) : new Date(now - periodMs);
+
+    try {
+      const summary = await getRewardSummary(uid, from, now);
+      if (summary.paydays.length) {
+        const msg = MSGS.paydayDigest(`<@${uid}>`, {
+          period: row.payday_delivery,
+          totalCCD: fmtCCD(summary.totalCCD),
+          count: summary.paydays.length,
+          lines: breakdownLines(summary.paydays),
+          apyPct: summary.apyPct,
+        });
+        await sendDM(uid, msg, "payday");
+      }
+      await pool.query(
+        "UPDATE notification_prefs SET payday_digest_sent_at = $2 WHERE discord_id = $1",
+        [uid, now]
+      );
+    } catch (e) {
+      console.warn(`[payday] digest for ${uid} failed:`, e?.message || e);
+    }
+  }
+}
+
+function parseDay(s) {
+  const m = String(s || "").trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== m[0] ? null : d;
+}
+
+function resolvePeriod(period, fromStr, toStr, now = new Date()) {
+  switch (period) {
+    case "7d":
+      return { from: new Date(now - 7 * DAY_MS), to: now };
+    case "30d":
+      return { from: new Date(now - 30 * DAY_MS), to: now };
+    case "year":
+      return { from: new Date(Date.UTC(now.getUTCFullYear(), 0, 1)), to: now };
+    case "custom": {
+      const from = parseDay(fromStr);
+      const toDay = toStr ? parseDay(toStr) : null;
+      if (!from || (toStr && !toDay)) {
+        return { error: "Please provide dates as `YYYY-MM-DD` (e.g. `from:2025-01-01 to:2025-12-31`)." };
+      }
+      // `to` is inclusive: cover the whole day.
+      const to = toDay ? new Date(toDay.getTime() + DAY_MS) : now;
+      if (from >= to) return { error: "`from` must be before `to`." };
+      return { from, to };
+    }
+    default:
+      return { error: "Unknown period." };
+  }
+}
+
+async function getRewardRows(discordId, from, to) {
+  const res = await pool.query(
+    `SELECT pr.account_address, pr.role_type, pr.delegation_target, pr.block_hash, pr.payday_at,
+            pr.baker_reward_ccd, pr.finalization_reward_ccd, pr.transaction_fees_ccd, pr.total_ccd
+       FROM payday_rewards pr
+      WHERE pr.discord_id = $1
+        AND pr.payday_at >= $2 AND pr.payday_at < $3
+      ORDER BY pr.payday_at, pr.account_address`,
+    [String(discordId), from, to]
+  );
+  return res.rows;
+}
+
+function csvCell(v) {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function rewardsCsv(rows) {
+  const header = [
+    "payday_utc", "account", "role", "delegation_target",
+    "baking_ccd", "finalization_ccd", "transaction_fees_ccd", "total_ccd", "block_hash",
+  ];
+  const lines = rows.map((r) =>
+    [
+      new Date(r.payday_at).toISOString(),
+      r.account_address,
+      r.role_type,
+      r.delegation_target,
+      num(r.baker_reward_ccd),
+      num(r.finalization_reward_ccd),
+      num(r.transaction_fees_ccd),
+      num(r.total_ccd),
+      r.block_hash,
+    ].map(csvCell).join(",")
+  );
+  return [header.join(","), ...lines].join("\n") + "\n";
+}
+
+async function handleRewardsCommand(interaction) {
+  const period = interaction.options.getString("period", true);
+  const wantCsv = interaction.options.getBoolean("csv") === true;
+  const range = resolvePeriod(
+    period,
+    interaction.options.getString("from"),
+    interaction.options.getString("to")
+  );
+
+  if (range.error) {
+    return interaction.reply({ content: `❌ ${range.error}`, flags: 64 });
+  }
+
+  try {
+    await interaction.deferReply({ flags: 64 });
+
+    // Members without a linked account may still have reward history from accounts they unlinked.
+    const linked = await pool.query(
+      `SELECT 1 FROM verifications WHERE discord_id = $1 AND role_type IN ('Validator', 'Delegator')
+       UNION ALL
+       SELECT 1 FROM payday_rewards WHERE discord_id = $1
+       LIMIT 1`,
+      [interaction.user.id]
+    );
+    if (linked.rowCount === 0) {
+      return interaction.editReply(MSGS.rewardsNoLinkedAccounts);
+    }
+
+    const rows = await getRewardRows(interaction.user.id, range.from, range.to);
+
+    const byAccount = new Map();
+    for (const r of rows) {
+      const a = byAccount.get(r.account_address) || {
+        account: r.account_address,
+        role: r.role_type,
+        paydays: 0,
+        baking: 0,
+        finalization: 0,
+        fees: 0,
+        total: 0,
+      };
+      a.paydays += 1;
+      a.baking += num(r.baker_reward_ccd);
+      a.finalization += num(r.finalization_reward_ccd);
+      a.fees += num(r.transaction_fees_ccd);
+      a.total += num(r.total_ccd);
+      byAccount.set(r.account_address, a);
+    }
+
+    const accounts = [...byAccount.values()].map((a) => ({
+      ...a,
+      baking: fmtCCD(a.baking),
+      finalization: fmtCCD(a.finalization),
+      fees: fmtCCD(a.fees),
+      total: fmtCCD(a.total),
+    }));
+    const grandTotal = fmtCCD(rows.reduce((acc, r) => acc + num(r.total_ccd), 0));
+
+    const reply = MSGS.rewardsSummary({
+      fromIso: range.from.toISOString().slice(0, 10),
+      toIso: new Date(range.to - 1).toISOString().slice(0, 10),
+      accounts,
+      grandTotal,
+    });
+
+    if (wantCsv && rows.length) {
+      const name = `rewards_${range.from.toISOString().slice(0, 10)}_${new Date(range.to - 1).toISOString().slice(0, 10)}.csv`;
+      reply.files = [new AttachmentBuilder(Buffer.from(rewardsCsv(rows), "utf8"), { name })];
+    }
+
+    return interaction.editReply(reply);
+  } catch (e) {
+    console.error("[payday] /rewards failed:", e);
+    try {
+      await interaction.editReply("❌ Failed to load your rewards. Please try again later.");
+    } catch {}
+  }
+}
+
+let digestTask = null;
+function startPaydayDigestScheduler(sendDM) {
+  if (digestTask) return;
+  if (!cron.validate(DIGEST_CRON)) {
+    console.warn(`[payday] invalid PAYDAY_DIGEST_CRON "${DIGEST_CRON}", digests disabled`);
+    return;
+  }
+  digestTask = cron.schedule(
+    DIGEST_CRON,
+    () => {
+      runPaydayDigests(sendDM).catch((e) =>
+        console.warn("[payday] digest run failed:", e?.message || e)
+      );
+    },
+    { timezone: "UTC" }
+  );
+  console.log(`⏰ PayDay digest scheduled (${DIGEST_CRON} UTC)`);
+}
+
+module.exports = {
+  recordPaydayReward,
+  getRewardSummary,
+  runPaydayDigests,
+  startPaydayDigestScheduler,
+  handleRewardsCommand,
+};
@@ -0,0 +1,178 @@
+// modules/poolRoles.js
+/**
+ * Opt-in “pool roles”: a Discord role per validator pool, held by that pool's verified delegators.
+ * Responsibilities:
+ * - `/pool-role enable [name] [validator_id]`: a verified validator owner creates the role for their pool
+ *   (the bot creates it, so owners cannot hand out existing privileged roles), stores it in `pool_roles` and
+ *   assigns it to every verified delegator currently targeting that pool. Moderators may grant the role
+ *   access to a private channel for the pool's community.
+ * - `/pool-role disable [validator_id]`: deletes the role and its `pool_roles` row.
+ * - syncPoolRoles(client, discordId): makes the member hold exactly the pool roles of the pools their linked
+ *   delegator accounts target (`verifications.delegation_target`). Called after delegator verification,
+ *   on delegation target changes, when an account is unlinked and when a delegation stops.
+ * - removePoolRole(client, validatorId, reason): drops the role when the pool's validator is removed on-chain
+ *   or unlinked by its owner.
+ */
+const { Pool } = require("pg");
+const { MSGS } = require("../utils/messages");
+
+const {
+  PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
+  DISCORD_GUILD_ID, MOD_LOGS_CHANNEL_ID,
+} = process.env;
+
+const pool = new Pool({
+  user: PG_USER,
+  host: PG_HOST,
+  database: PG_DATABASE,
+  password: PG_PASSWORD,
+  port: PG_PORT,
+});
+
+async function sendModLog(client, content) {
+  if (!MOD_LOGS_CHANNEL_ID) return;
+  try {
+    const ch = await client.channels.fetch(MOD_LOGS_CHANNEL_ID).catch(() => null);
+    if (ch?.isTextBased?.()) await ch.send(content);
+  } catch (e) {
+    console.warn("[pool-roles] mod log failed:", e?.message || e);
+  }
+}
+
+async function getPoolRoles() {
+  const res = await pool.query("SELECT validator_id, role_id FROM pool_roles");
+  return res.rows.map((r) => ({ validatorId: Number(r.validator_id), roleId: r.role_id }));
+}
+
+async function syncPoolRoles(client, discordId) {
+  if (!client || !DISCORD_GUILD_ID) return;
+
+  try {
+    const roles = await getPoolRoles();
+    if (!roles.length) return;
+
+    const res = await pool.query(
+      "SELECT DISTINCT delegation_target FROM verifications WHERE discord_id = $1 AND role_type = 'Delegator'",
+      [String(discordId)]
+    );
+    const targets = new Set(
+      res.rows.map((r) => String(r.delegation_target)).filter((t) => /^\d+$/.test(t))
+    );
+
+    const guild = await client.guilds.fetch(DISCORD_GUILD_ID);
+    const member = await guild.members.fetch(String(discordId)).catch(() => null);
+    if (!member) return;
+
+    for (const { validatorId, roleId } of roles) {
+      const want = targets.has(String(validatorId));
+      const has = member.roles.cache.has(roleId);
+      if (want && !has) {
+        await member.roles.add(roleId, `Delegates to pool #${validatorId}`);
+      } else if (!want && has) {
+        await member.roles.remove(roleId, `No longer delegates to pool #${validatorId}`);
+      }
+    }
+  } catch (e) {
+    console.warn(`[pool-roles] sync for ${discordId} failed:`, e?.message || e);
+  }
+}
+
+async function removePoolRole(client, validatorId, reason) {
+  const res = await pool.query(
+    "DELETE FROM pool_roles WHERE validator_id = $1 RETURNING role_id",
+    [Number(validatorId)]
+  );
+  const roleId = res.rows[0]?.role_id;
+  if (!roleId || !client || !DISCORD_GUILD_ID) return false;
+
+  try {
+    const guild = await client.guilds.fetch(DISCORD_GUILD_ID);
+    const role = await guild.roles.fetch(roleId).catch(() => null);
+    if (role) await role.delete(reason);
+  } catch (e) {
+    console.warn(`[pool-roles] deleting role of pool #${validatorId} failed:`, e?.message || e);
+  }
+  await sendModLog(client, `🏊 Pool role of validator #${validatorId} removed (${reason}).`);
+  return true;
+}
+
+// The caller's validator for the command: the given ID if they own it, or their only one.
+async function resolveOwnedValidator(discordId, requestedId) {
+  const res = await pool.query(
+    "SELECT DISTINCT validator_id FROM verifications WHERE discord_id = $1 AND role_type = 'Validator' AND validator_id IS NOT NULL",
+    [String(discordId)]
+  );
+  const owned = res.rows.map((r) => Number(r.validator_id));
+  if (requestedId != null) return owned.includes(Number(requestedId)) ? { validatorId: Number(requestedId) } : { owned };
+  if (owned.length === 1) return { validatorId: owned[0] };
+  return { owned };
+}
+
+async function assignToPoolDelegators(client, validatorId) {
+  const res = await pool.query(
+    "SELECT DISTINCT discord_id FROM verifications WHERE role_type = 'Delegator' AND delegation_target = $1",
+    [String(validatorId)]
+  );
+  for (const { discord_id: discordId } of res.rows) {
+    await syncPoolRoles(client, discordId);
+  }
+  return res.rowCount;
+}
+
+async function handlePoolRoleCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const requestedId = interaction.options.getInteger("validator_id");
+
+  try {
+    await interaction.deferReply({ flags: 64 });
+
+    const { validatorId, owned } = await resolveOwnedValidator(interaction.user.id, requestedId);
+    if (validatorId == null) {
+      return interaction.editReply(
+        owned?.length ? MSGS.poolRoleChooseValidator(owned) : MSGS.poolRoleNotValidator
+      );
+    }
+
+    if (sub === "disable") {
+      const removed = await removePoolRole(interaction.client, validatorId, `disabled by <@${interaction.user.id}>`);
+      return interaction.editReply(removed ? MSGS.poolRoleDisabled(validatorId) : MSGS.poolRoleNotEnabled(validatorId));
+    }
+
+    const existing = await pool.query("SELECT role_id FROM pool_roles WHERE validator_id = $1", [validatorId]);
+    if (existing.rowCount > 0) {
+      return interaction.editReply(MSGS.poolRoleAlreadyEnabled(validatorId, existing.rows[0].role_id));
+    }
+
+    const name = (interaction.options.getString("name") || `Pool #${validatorId} delegators`).slice(0, 100);
+    const role = await interaction.guild.roles.create({
+      name,
+      mentionable: true,
+      permissions: [],
+      reason: `Pool role for validator #${validatorId}, requested by ${interaction.user.tag}`,
+    });
+
+    await pool.query(
+      "INSERT INTO pool_roles (validator_id, role_id, created_by) VALUES ($1, $2, $3)",
+      [validatorId, role.id, interaction.user.id]
+    );
+
+    const delegators = await assignToPoolDelegators(interaction.client, validatorId);
+    await sendModLog(
+      interaction.client,
+      `🏊 <@${interaction.user.id}> enabled pool role <@&${role.id}> for validator #${validatorId} ` +
+        `(${delegators} verified delegator(s)).`
+    );
+    return interaction.editReply(MSGS.poolRoleEnabled(validatorId, role.id, delegators));
+  } catch (e) {
+    console.error("[pool-roles] /pool-role failed:", e);
+    try {
+      await interaction.editReply("❌ Failed to update the pool role. Please try again later or contact a moderator.");
+    } catch {}
+  }
+}
+
+module.exports = {
+  syncPoolRoles,
+  removePoolRole,
+  handlePoolRoleCommand,
+};
@@ -1,24 +1,55 @@
 // modules/roleReconciler.js
 /**
- * Reconciles Discord roles & DB state after downtime via /reconcile_roles:
+ * Reconciles Discord roles & DB state with the chain (after downtime, on a schedule or via /reconcile_roles):
  * - Delegators:
- *    • if no longer delegating -> remove Discord role, (optionally) delete row from verifications, DM user, log to mod_logs
+ *    • if no longer delegating -> (optionally) delete row from verifications; remove Discord role, DM user and
+ *      log to mod_logs once no other linked delegator account of that user remains
  *    • if delegating to a different target -> UPDATE verifications.delegation_target (no notifications here)
  *      and refresh validator_delegators for old/new pools (if module present)
  * - Validators:
  *    • if no longer validator -> remove Discord role, cleanup validator_* tables,
  *      (optionally) delete verifications row, DM user, log to mod_logs
+ * - Orphans: guild members holding VALIDATOR_ROLE_ID, DELEGATOR_ROLE_ID or DEV_ROLE_ID without a matching
+ *   `verifications` row (granted by hand, v1 leftovers). RECONCILE_ORPHANS: report (default; only listed),
+ *   notify (role kept, member is DMed a re-verify link once; tracked in `role_orphan_notices`) or strip
+ *   (role removed, member DMed the link). Report-only entries and already notified members go to `plan.reported`:
+ *   they are shown in reports but are not changes, so they neither trigger a scheduled report nor need approval.
+ *   Before notifying or stripping, the member's verification is looked up again.
+ * - Works in two phases: planReconcile(client) only reads the chain and DB and returns the list of actions;
+ *   applyReconcilePlan(client, plan) performs them. reconcileRoles(client, opts) does both in one go.
+ * - Dry runs: createPendingPlan(client) keeps a plan in memory (RECONCILE_PLAN_TTL_MS) and
+ *   reconcileReport(plan, planId) renders the diff with Approve / Discard buttons
+ *   (`reconcile_approve:<id>` / `reconcile_discard:<id>`, handled by handleReconcileButton). An approved plan is
+ *   applied with `recheck`: every action is checked against the current DB row and chain state first and skipped
+ *   when it no longer applies (e.g. the member re-delegated since the dry run).
+ * - startReconcileScheduler(client): node-cron job (RECONCILE_CRON, UTC; empty = off). RECONCILE_MODE=apply
+ *   applies directly; dry-run posts the report to mod_logs for approval (nothing is posted when in sync).
+ *   Only one run is in flight at a time.
  */
 
 const { Pool } = require('pg');
-const { runCommandWithRetry } = require('../utils/retry');
+const cron = require('node-cron');
+const crypto = require('crypto');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const chain = require('./chainQueries');
+const { MSGS } = require('../utils/messages');
 
 const {
   PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
-  DISCORD_GUILD_ID, VALIDATOR_ROLE_ID, DELEGATOR_ROLE_ID, MOD_LOGS_CHANNEL_ID,
-  CONCORDIUM_CLIENT_PATH, GRPC_IP, GRPC_PORT, GRPC_TLS,
+  DISCORD_GUILD_ID, VALIDATOR_ROLE_ID, DELEGATOR_ROLE_ID, DEV_ROLE_ID, MOD_LOGS_CHANNEL_ID, TEAM_ROLE_ID,
+  CLAIM_CHANNEL_ID,
 } = process.env;
 
+const RECONCILE_CRON = (process.env.RECONCILE_CRON || '').trim();
+const RECONCILE_MODE = (process.env.RECONCILE_MODE || 'dry-run').trim().toLowerCase();
+const RECONCILE_DELETE_ROWS = !/^(0|false|no|off)$/i.test(String(process.env.RECONCILE_DELETE_ROWS || '').trim());
+const PLAN_TTL_MS = Number(process.env.RECONCILE_PLAN_TTL_MS || 60 * 60 * 1000);
+const ORPHAN_POLICIES = ['off', 'report', 'notify', 'strip'];
+const RECONCILE_ORPHANS = (() => {
+  const v = (process.env.RECONCILE_ORPHANS || 'report').trim().toLowerCase();
+  return ORPHAN_POLICIES.includes(v) ? v : 'report';
+})();
+
 // ---------- DB pool ----------
 const pool = new Pool({
   user: PG_USER,
@@ -30,12 +61,7 @@ const pool = new Pool({
 });
 pool.on('error', (e) => console.error('[db] idle client error', e));
 
-// ---------- Concordium CLI helpers ----------
-const CLIENT_PATH = CONCORDIUM_CLIENT_PATH || 'concordium-client';
-const HOST = GRPC_IP || '127.0.0.1';
-const PORT = Number(GRPC_PORT || 20000);
-const USE_TLS = String(GRPC_TLS || '').toLowerCase() === 'true' || GRPC_TLS === '1';
-
+// ---------- Chain helpers ----------
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 const strip = (s) => (s == null ? null : String(s).trim());
 const toNum = (x) => {
@@ -43,57 +69,12 @@ const toNum = (x) => {
   return Number.isFinite(n) ? n : null;
 };
 
-function buildCli(args) {
-  const flags = [`--grpc-ip ${HOST}`, `--grpc-port ${PORT}`];
-  if (USE_TLS) flags.push('--secure');
-  return `${CLIENT_PATH} ${args.join(' ')} ${flags.join(' ')}`;
-}
-async function execCli(args) {
-  const cmd = buildCli(args);
-  const out = await runCommandWithRetry(cmd);
-  return String(out || '');
-}
-
-// ---------- Parsers ----------
-function parseDelegationFromAccountShow(out) {
-  const s = String(out || '');
-  const mDeleg = s.match(/\bDelegating\s+stake\s*:\s*(yes|no)\b/i);
-  const isDelegating = mDeleg ? /yes/i.test(mDeleg[1]) : null;
-
-  let target = null;
-  const mTargetLine = s.match(/\bDelegation\s+target\s*:\s*([^\n\r]+)/i);
-  if (mTargetLine) {
-    const tail = mTargetLine[1].trim();
-    if (/passive/i.test(tail)) target = 'passive';
-    else {
-      const mId = tail.match(/(\d{1,12})/);
-      if (mId) target = String(Number(mId[1]));
-    }
-  }
-  return { isDelegating, target };
-}
-
-function parseValidatorFromAccountShow(out) {
-  const s = String(out || '');
-  const mNew = s.match(/^\s*Validator\s*:\s*#\s*(\d{1,12})\b/im);
-  if (mNew) return Number(mNew[1]);
-  const mId = s.match(/\b(Baker\s*ID|BakerId|Pool\s*owner\s*ID)\s*:\s*(\d{1,12})\b/i);
-  return mId ? Number(mId[2]) : null;
-}
-
+// Throws on transport errors so callers skip the row instead of revoking roles while the node is down.
 async function isStillValidator(validatorId, wallet) {
-  try {
-    await execCli(['pool', 'status', String(validatorId)]);
-    return true;
-  } catch {
-    try {
-      const out = await execCli(['account', 'show', String(wallet)]);
-      const vid = parseValidatorFromAccountShow(out);
-      return Number.isFinite(vid);
-    } catch {
-      return false;
-    }
-  }
+  const poolStatus = await chain.getPoolStatus(validatorId);
+  if (poolStatus) return true;
+  const acct = await chain.getAccountStake(wallet);
+  return Number.isFinite(acct?.validatorId);
 }
 
 // ---------- Mod-log / DM helpers ----------
@@ -112,13 +93,9 @@ async function safeDM(member, text) {
   try { await member.send(text); } catch { }
 }
 
-// ---------- Delegators ----------
-async function reconcileDelegators(client, { deleteRows = true, debug = false } = {}) {
-  const guild = await client.guilds.fetch(DISCORD_GUILD_ID);
-  const roleId = DELEGATOR_ROLE_ID;
-
-  let vdel = null;
-  try { vdel = require('../modules/validatorDelegators'); } catch {}
+// ---------- Plan: Delegators ----------
+async function planDelegators({ debug = false } = {}) {
+  const actions = [];
 
   const { rows } = await pool.query(`
     SELECT id, discord_id, wallet_address, delegation_target
@@ -127,82 +104,52 @@ async function reconcileDelegators(client, { deleteRows = true, debug = false }
        AND discord_id IS NOT NULL
   `);
 
+  const stopped = [];
+  const stoppedIds = new Set();
+
   for (const r of rows) {
     const did = strip(r.discord_id);
     const addr = strip(r.wallet_address);
     const dbTarget = strip(r.delegation_target);
     if (!did || !addr) continue;
 
-    let parsed;
+    let acct;
     try {
-      const out = await execCli(['account', 'show', addr]);
-      parsed = parseDelegationFromAccountShow(out);
+      acct = await chain.getAccountStake(addr);
     } catch (e) {
-      if (debug) console.warn(`[reconcile] account show failed for ${addr}: ${e?.message || e}`);
+      if (debug) console.warn(`[reconcile] account lookup failed for ${addr}: ${e?.message || e}`);
       continue;
     }
 
-    const nowDelegating = parsed.isDelegating === true;
-    const chainTarget = parsed.target; // 'passive' | '<vid>' | null
+    const nowDelegating = acct?.type === 'delegator';
+    const chainTarget = nowDelegating ? acct.delegationTarget : null; // 'passive' | '<vid>' | null
 
     if (!nowDelegating) {
-      try {
-        const member = await guild.members.fetch(did).catch(() => null);
-        if (member?.roles.cache.has(roleId)) {
-          await member.roles.remove(roleId, 'Stopped delegating (reconcile)');
-          if (debug) console.log(`[reconcile] delegator role removed for ${did}`);
-          await safeDM(member,
-            `Hi! Your **Delegator** role on **${guild.name}** was removed because you no longer delegate on-chain.
-If this was a mistake, please re-delegate and re-verify.`);
-          await notifyModLog(client, `🧹 Removed **Delegator** from <@${did}> (addr \`${short(addr)}\`) — stopped delegating (reconcile).`);
-          await sleep(200);
-        }
-      } catch (e) {
-        if (debug) console.warn(`[reconcile] remove delegator role warn ${did}: ${e?.message || e}`);
-      }
-
-      try {
-        if (deleteRows) {
-          await pool.query('DELETE FROM verifications WHERE id = $1', [r.id]);
-          if (debug) console.log(`[reconcile] delegator row deleted id=${r.id}`);
-        } else {
-          await pool.query('UPDATE verifications SET delegation_target = NULL WHERE id = $1', [r.id]);
-          if (debug) console.log(`[reconcile] delegator target nulled id=${r.id}`);
-        }
-      } catch (e) {
-        if (debug) console.warn(`[reconcile] delete/update delegator row warn id=${r.id}: ${e?.message || e}`);
-      }
-
-      const oldVid = toNum(dbTarget);
-      if (vdel && oldVid != null) {
-        try { await vdel.refreshValidatorDelegators(oldVid); } catch {}
-      }
+      stopped.push({ rowId: r.id, discordId: did, wallet: addr, oldTarget: dbTarget });
+      stoppedIds.add(r.id);
       continue;
     }
 
     if (chainTarget && chainTarget !== dbTarget) {
-      try {
-        await pool.query('UPDATE verifications SET delegation_target = $2 WHERE id = $1', [r.id, chainTarget]);
-        if (debug) console.log(`[reconcile] delegation_target updated id=${r.id}: ${dbTarget ?? 'NULL'} -> ${chainTarget}`);
-      } catch (e) {
-        if (debug) console.warn(`[reconcile] update target warn id=${r.id}: ${e?.message || e}`);
-      }
-
-      const oldVid = toNum(dbTarget);
-      const newVid = toNum(chainTarget);
-      if (vdel) {
-        try { if (oldVid != null) await vdel.refreshValidatorDelegators(oldVid); } catch {}
-        await sleep(150);
-        try { if (newVid != null) await vdel.refreshValidatorDelegators(newVid); } catch {}
-      }
+      actions.push({ kind: 'delegator-target', rowId: r.id, discordId: did, wallet: addr, from: dbTarget, to: chainTarget });
     }
   }
+
+  // Users may link several delegator accounts; keep the role while another one is still linked.
+  // (recheckAction recomputes removeRole when an approved plan is applied later.)
+  for (const s of stopped) {
+    const otherLinked = rows.some((r) =>
+      strip(r.discord_id) === s.discordId && !stoppedIds.has(r.id) && r.delegation_target != null
+    );
+    actions.push({ kind: 'delegator-stopped', ...s, removeRole: !otherLinked });
+  }
+
+  return actions;
 }
 
-// ---------- Validators ----------
-async function reconcileValidators(client, { deleteRows = true, debug = false } = {}) {
-  const guild = await client.guilds.fetch(DISCORD_GUILD_ID);
-  const roleId = VALIDATOR_ROLE_ID;
+// ---------- Plan: Validators ----------
+async function planValidators({ debug = false } = {}) {
+  const actions = [];
 
   const { rows } = await pool.query(`
     SELECT id, discord_id, wallet_address, validator_id
@@ -220,35 +167,12 @@ async function reconcileValidators(client, { deleteRows = true, debug = false }
 
     let still = false;
     try { still = await isStillValidator(vid, addr); }
-    catch (e) { if (debug) console.warn(`[reconcile] isStillValidator err vid=${vid}: ${e?.message || e}`); }
-
-    if (still) continue;
-
-    try {
-      const member = await guild.members.fetch(did).catch(() => null);
-      if (member?.roles.cache.has(roleId)) {
-        await member.roles.remove(roleId, 'No longer validator (reconcile)');
-        if (debug) console.log(`[reconcile] validator role removed for ${did}`);
-        await safeDM(member,
-          `Hi! Your **Validator** role on **${guild.name}** was removed because you are no longer a validator on-chain.`);
-        await notifyModLog(client, `🧹 Removed **Validator** from <@${did}> (vid \`${vid}\`, addr \`${short(addr)}\`) — no longer validator (reconcile).`);
-        await sleep(200);
-      }
-    } catch (e) {
-      if (debug) console.warn(`[reconcile] remove validator role warn ${did}: ${e?.message || e}`);
+    catch (e) {
+      if (debug) console.warn(`[reconcile] isStillValidator err vid=${vid}: ${e?.message || e}`);
+      continue;
     }
 
-    try {
-      await pool.query('DELETE FROM validator_delegators WHERE validator_id = $1', [vid]);
-      if (deleteRows) {
-        await pool.query('DELETE FROM verifications WHERE id = $1', [r.id]);
-      } else {
-        await pool.query('UPDATE verifications SET validator_id = NULL WHERE id = $1', [r.id]);
-      }
-      if (debug) console.log(`[reconcile] validator cleaned up vid=${vid}, row=${r.id}`);
-    } catch (e) {
-      if (debug) console.warn(`[reconcile] validator cleanup warn vid=${vid}: ${e?.message || e}`);
-    }
+    if (!still) actions.push({ kind: 'validator-gone', rowId: r.id, discordId: did, wallet: addr, validatorId: vid });
   }
 
   const { rows: rowsNoId } = await pool.query(`
@@ -264,60 +188,460 @@ async function reconcileValidators(client, { deleteRows = true, debug = false }
     const addr = strip(r.wallet_address);
     if (!did || !addr) continue;
 
-    let acctOut;
+    let acct;
     try {
-      acctOut = await execCli(['account', 'show', addr]);
+      acct = await chain.getAccountStake(addr);
     } catch (e) {
-      if (debug) console.warn(`[reconcile] account show failed for ${addr}: ${e?.message || e}`);
+      if (debug) console.warn(`[reconcile] account lookup failed for ${addr}: ${e?.message || e}`);
       continue;
     }
 
-    const parsedVid = parseValidatorFromAccountShow(acctOut);
-
+    const parsedVid = acct?.validatorId ?? null;
     if (Number.isFinite(parsedVid)) {
-      try {
-        await pool.query('UPDATE verifications SET validator_id = $2 WHERE id = $1', [r.id, parsedVid]);
-        if (debug) console.log(`[reconcile] enriched validator row id=${r.id}: set validator_id=${parsedVid}`);
-      } catch (e) {
-        if (debug) console.warn(`[reconcile] enrich validator_id warn id=${r.id}: ${e?.message || e}`);
-      }
+      actions.push({ kind: 'validator-enrich', rowId: r.id, discordId: did, wallet: addr, validatorId: parsedVid });
+    } else {
+      actions.push({ kind: 'validator-gone', rowId: r.id, discordId: did, wallet: addr, validatorId: null });
+    }
+  }
+
+  return actions;
+}
+
+// ---------- Plan: Orphaned roles ----------
+const ORPHAN_ROLES = [
+  { roleType: 'Validator', roleId: VALIDATOR_ROLE_ID },
+  { roleType: 'Delegator', roleId: DELEGATOR_ROLE_ID },
+  { roleType: 'Developer', roleId: DEV_ROLE_ID },
+];
+
+async function planOrphans(client, { debug = false, orphans = RECONCILE_ORPHANS } = {}) {
+  const actions = [];
+  const reported = [];
+  const guild = await client.guilds.fetch(DISCORD_GUILD_ID);
+  await guild.members.fetch();
+
+  const { rows } = await pool.query(`
+    SELECT DISTINCT discord_id, role_type
+      FROM verifications
+     WHERE discord_id IS NOT NULL
+  `);
+  const verified = new Set(rows.map((r) => `${strip(r.discord_id)}:${r.role_type}`));
+  const { rows: noticeRows } = await pool.query('SELECT discord_id, role_type FROM role_orphan_notices');
+  const notified = new Set(noticeRows.map((r) => `${r.discord_id}:${r.role_type}`));
+
+  for (const { roleType, roleId } of ORPHAN_ROLES) {
+    if (!roleId) continue;
+    const role = guild.roles.cache.get(roleId);
+    if (!role) {
+      if (debug) console.warn(`[reconcile] ${roleType} role ${roleId} not found in guild`);
       continue;
     }
+    for (const member of role.members.values()) {
+      if (member.user.bot || verified.has(`${member.id}:${roleType}`)) continue;
+      const a = { kind: 'role-orphan', discordId: member.id, roleType, roleId };
+      if (orphans === 'report') reported.push(a);
+      else if (orphans === 'notify' && notified.has(`${member.id}:${roleType}`)) reported.push({ ...a, notified: true });
+      else actions.push(a);
+    }
+  }
+  return { actions, reported };
+}
 
-    try {
-      const member = await guild.members.fetch(did).catch(() => null);
-      if (member?.roles.cache.has(roleId)) {
-        await member.roles.remove(roleId, 'No longer validator (reconcile, by address)');
-        if (debug) console.log(`[reconcile] validator role (by addr) removed for ${did}`);
-        await safeDM(member,
-          `Hi! Your **Validator** role on **${guild.name}** was removed because you are no longer a validator on-chain.`);
-        await notifyModLog(client, `🧹 Removed **Validator** from <@${did}> (addr \`${short(addr)}\`) — no longer validator (reconcile).`);
-        await sleep(200);
-      }
-    } catch (e) {
-      if (debug) console.warn(`[reconcile] remove validator role warn ${did}: ${e?.message || e}`);
+async function planReconcile(client, opts = {}) {
+  const { debug = false, orphans = RECONCILE_ORPHANS } = opts;
+  if (debug) console.log('[reconcile] planning');
+  const actions = [...(await planDelegators(opts)), ...(await planValidators(opts))];
+  let reported = [];
+  if (orphans !== 'off') {
+    const o = await planOrphans(client, { ...opts, orphans });
+    actions.push(...o.actions);
+    reported = o.reported;
+  }
+  if (debug) console.log(`[reconcile] plan has ${actions.length} action(s), ${reported.length} reported`);
+  return { createdAt: Date.now(), actions, reported, orphans };
+}
+
+// ---------- Apply ----------
+async function applyDelegatorStopped(client, guild, a, { deleteRows, debug, vdel }) {
+  const { rowId, discordId: did, wallet: addr } = a;
+  try {
+    const member = a.removeRole ? await guild.members.fetch(did).catch(() => null) : null;
+    if (!a.removeRole) {
+      await notifyModLog(client, `🧹 Unlinked delegator account \`${short(addr)}\` of <@${did}> — stopped delegating (reconcile); role kept.`);
+    } else if (member?.roles.cache.has(DELEGATOR_ROLE_ID)) {
+      await member.roles.remove(DELEGATOR_ROLE_ID, 'Stopped delegating (reconcile)');
+      if (debug) console.log(`[reconcile] delegator role removed for ${did}`);
+      await safeDM(member,
+        `Hi! Your **Delegator** role on **${guild.name}** was removed because you no longer delegate on-chain.
+If this was a mistake, please re-delegate and re-verify.`);
+      await notifyModLog(client, `🧹 Removed **Delegator** from <@${did}> (addr \`${short(addr)}\`) — stopped delegating (reconcile).`);
+      await sleep(200);
     }
+  } catch (e) {
+    if (debug) console.warn(`[reconcile] remove delegator role warn ${did}: ${e?.message || e}`);
+  }
 
-    try {
-      if (deleteRows) {
-        await pool.query('DELETE FROM verifications WHERE id = $1', [r.id]);
-      } else {
-        await pool.query('UPDATE verifications SET validator_id = NULL WHERE id = $1', [r.id]);
+  try {
+    if (deleteRows) {
+      await pool.query('DELETE FROM verifications WHERE id = $1', [rowId]);
+      if (debug) console.log(`[reconcile] delegator row deleted id=${rowId}`);
+    } else {
+      await pool.query('UPDATE verifications SET delegation_target = NULL WHERE id = $1', [rowId]);
+      if (debug) console.log(`[reconcile] delegator target nulled id=${rowId}`);
+    }
+  } catch (e) {
+    if (debug) console.warn(`[reconcile] delete/update delegator row warn id=${rowId}: ${e?.message || e}`);
+  }
+
+  const oldVid = toNum(a.oldTarget);
+  if (vdel && oldVid != null) {
+    try { await vdel.refreshValidatorDelegators(oldVid); } catch {}
+  }
+}
+
+async function applyDelegatorTarget(a, { debug, vdel }) {
+  try {
+    await pool.query('UPDATE verifications SET delegation_target = $2 WHERE id = $1', [a.rowId, a.to]);
+    if (debug) console.log(`[reconcile] delegation_target updated id=${a.rowId}: ${a.from ?? 'NULL'} -> ${a.to}`);
+  } catch (e) {
+    if (debug) console.warn(`[reconcile] update target warn id=${a.rowId}: ${e?.message || e}`);
+  }
+
+  const oldVid = toNum(a.from);
+  const newVid = toNum(a.to);
+  if (vdel) {
+    try { if (oldVid != null) await vdel.refreshValidatorDelegators(oldVid); } catch {}
+    await sleep(150);
+    try { if (newVid != null) await vdel.refreshValidatorDelegators(newVid); } catch {}
+  }
+}
+
+async function applyValidatorGone(client, guild, a, { deleteRows, debug }) {
+  const { rowId, discordId: did, wallet: addr, validatorId: vid } = a;
+  try {
+    const member = await guild.members.fetch(did).catch(() => null);
+    if (member?.roles.cache.has(VALIDATOR_ROLE_ID)) {
+      await member.roles.remove(VALIDATOR_ROLE_ID, vid != null ? 'No longer validator (reconcile)' : 'No longer validator (reconcile, by address)');
+      if (debug) console.log(`[reconcile] validator role removed for ${did}`);
+      await safeDM(member,
+        `Hi! Your **Validator** role on **${guild.name}** was removed because you are no longer a validator on-chain.`);
+      await notifyModLog(client, vid != null
+        ? `🧹 Removed **Validator** from <@${did}> (vid \`${vid}\`, addr \`${short(addr)}\`) — no longer validator (reconcile).`
+        : `🧹 Removed **Validator** from <@${did}> (addr \`${short(addr)}\`) — no longer validator (reconcile).`);
+      await sleep(200);
+    }
+  } catch (e) {
+    if (debug) console.warn(`[reconcile] remove validator role warn ${did}: ${e?.message || e}`);
+  }
+
+  try {
+    if (vid != null) await pool.query('DELETE FROM validator_delegators WHERE validator_id = $1', [vid]);
+    if (deleteRows) {
+      await pool.query('DELETE FROM verifications WHERE id = $1', [rowId]);
+    } else {
+      await pool.query('UPDATE verifications SET validator_id = NULL WHERE id = $1', [rowId]);
+    }
+    if (debug) console.log(`[reconcile] validator cleaned up vid=${vid ?? '-'}, row=${rowId}`);
+  } catch (e) {
+    if (debug) console.warn(`[reconcile] validator cleanup warn vid=${vid ?? '-'}: ${e?.message || e}`);
+  }
+}
+
+async function applyValidatorEnrich(a, { debug }) {
+  try {
+    await pool.query('UPDATE verifications SET validator_id = $2 WHERE id = $1', [a.rowId, a.validatorId]);
+    if (debug) console.log(`[reconcile] enriched validator row id=${a.rowId}: set validator_id=${a.validatorId}`);
+  } catch (e) {
+    if (debug) console.warn(`[reconcile] enrich validator_id warn id=${a.rowId}: ${e?.message || e}`);
+  }
+}
+
+function reverifyLink() {
+  return CLAIM_CHANNEL_ID ? `https://discord.com/channels/${DISCORD_GUILD_ID}/${CLAIM_CHANNEL_ID}` : null;
+}
+
+async function applyRoleOrphan(client, guild, a, { orphans, debug }) {
+  const { discordId: did, roleType, roleId } = a;
+  try {
+    const member = await guild.members.fetch(did).catch(() => null);
+    if (!member?.roles.cache.has(roleId)) return;
+
+    // The member may have verified since the plan was made.
+    const verified = await pool.query(
+      'SELECT 1 FROM verifications WHERE discord_id = $1 AND role_type = $2 LIMIT 1',
+      [did, roleType]
+    );
+    if (verified.rowCount > 0) {
+      if (debug) console.log(`[reconcile] ${did} verified as ${roleType} since planning, orphan skipped`);
+      return;
+    }
+
+    if (orphans === 'strip') {
+      await member.roles.remove(roleId, `No ${roleType} verification on record (reconcile)`);
+      if (debug) console.log(`[reconcile] orphaned ${roleType} role removed for ${did}`);
+      await safeDM(member, MSGS.orphanRoleRemoved(guild.name, roleType, reverifyLink()));
+      await notifyModLog(client, `🧹 Removed **${roleType}** from <@${did}> — no verification on record (reconcile).`);
+      await pool.query('DELETE FROM role_orphan_notices WHERE discord_id = $1 AND role_type = $2', [did, roleType]);
+      await sleep(200);
+      return;
+    }
+
+    const res = await pool.query(
+      `INSERT INTO role_orphan_notices (discord_id, role_type) VALUES ($1, $2)
+       ON CONFLICT (discord_id, role_type) DO NOTHING`,
+      [did, roleType]
+    );
+    if (res.rowCount === 0) return;
+    await safeDM(member, MSGS.orphanRoleReverify(guild.name, roleType, reverifyLink()));
+    if (debug) console.log(`[reconcile] re-verify link sent to ${did} (${roleType})`);
+    await sleep(200);
+  } catch (e) {
+    if (debug) console.warn(`[reconcile] orphan ${roleType} warn ${did}: ${e?.message || e}`);
+  }
+}
+
+// Members who re-verified or lost the role get a fresh notice if they become orphans again.
+async function pruneOrphanNotices(plan) {
+  const orphaned = [...plan.actions, ...(plan.reported || [])].filter((a) => a.kind === 'role-orphan');
+  await pool.query(
+    `DELETE FROM role_orphan_notices n
+      WHERE NOT EXISTS (
+        SELECT 1 FROM unnest($1::text[], $2::text[]) AS o(discord_id, role_type)
+         WHERE o.discord_id = n.discord_id AND o.role_type = n.role_type
+      )`,
+    [orphaned.map((a) => a.discordId), orphaned.map((a) => a.roleType)]
+  );
+}
+
+// ---------- Re-check (approved dry runs) ----------
+// Returns false when the action no longer applies; refreshes the fields that may have moved since planning.
+// Throws on transport errors, so the action is skipped rather than applied blindly while the node is down.
+async function recheckAction(a) {
+  if (a.kind === 'role-orphan') return true;
+
+  const { rows } = await pool.query(
+    'SELECT discord_id, wallet_address, delegation_target, validator_id FROM verifications WHERE id = $1',
+    [a.rowId]
+  );
+  const row = rows[0];
+  if (!row || strip(row.discord_id) !== a.discordId || strip(row.wallet_address) !== a.wallet) return false;
+
+  if (a.kind === 'delegator-stopped') {
+    if (row.delegation_target == null) return false;
+    const acct = await chain.getAccountStake(a.wallet);
+    if (acct?.type === 'delegator') return false;
+    // Other stopped rows of this member that were applied before are gone (or have no target) by now.
+    const others = await pool.query(
+      `SELECT 1 FROM verifications
+        WHERE role_type = 'Delegator' AND discord_id = $1 AND id <> $2 AND delegation_target IS NOT NULL`,
+      [a.discordId, a.rowId]
+    );
+    a.removeRole = others.rowCount === 0;
+    return true;
+  }
+
+  if (a.kind === 'delegator-target') {
+    const acct = await chain.getAccountStake(a.wallet);
+    if (acct?.type !== 'delegator' || !acct.delegationTarget) return false;
+    if (acct.delegationTarget === strip(row.delegation_target)) return false;
+    a.from = strip(row.delegation_target);
+    a.to = acct.delegationTarget;
+    return true;
+  }
+
+  if (a.kind === 'validator-gone') {
+    if (a.validatorId != null) {
+      if (Number(row.validator_id) !== a.validatorId) return false;
+      return !(await isStillValidator(a.validatorId, a.wallet));
+    }
+    if (row.validator_id != null) return false;
+    const acct = await chain.getAccountStake(a.wallet);
+    return !Number.isFinite(acct?.validatorId);
+  }
+
+  if (a.kind === 'validator-enrich') {
+    if (row.validator_id != null) return false;
+    const acct = await chain.getAccountStake(a.wallet);
+    if (!Number.isFinite(acct?.validatorId)) return false;
+    a.validatorId = acct.validatorId;
+    return true;
+  }
+
+  return false;
+}
+
+async function applyReconcilePlan(client, plan, { deleteRows = true, debug = false, recheck = false } = {}) {
+  const guild = await client.guilds.fetch(DISCORD_GUILD_ID);
+
+  let vdel = null;
+  try { vdel = require('../modules/validatorDelegators'); } catch {}
+
+  const orphans = plan.orphans ?? RECONCILE_ORPHANS;
+  const ctx = { deleteRows, debug, vdel, orphans };
+  let skipped = 0;
+  for (const a of plan.actions) {
+    if (recheck) {
+      let current = false;
+      try { current = await recheckAction(a); }
+      catch (e) { if (debug) console.warn(`[reconcile] recheck warn ${a.kind} ${a.discordId}: ${e?.message || e}`); }
+      if (!current) {
+        skipped++;
+        if (debug) console.log(`[reconcile] skipped ${a.kind} for ${a.discordId}: no longer applies`);
+        continue;
       }
-      if (debug) console.log(`[reconcile] validator (by addr) cleaned row=${r.id}`);
-    } catch (e) {
-      if (debug) console.warn(`[reconcile] validator (by addr) cleanup warn row=${r.id}: ${e?.message || e}`);
     }
+
+    if (a.kind === 'delegator-stopped') await applyDelegatorStopped(client, guild, a, ctx);
+    else if (a.kind === 'delegator-target') await applyDelegatorTarget(a, ctx);
+    else if (a.kind === 'validator-gone') await applyValidatorGone(client, guild, a, ctx);
+    else if (a.kind === 'validator-enrich') await applyValidatorEnrich(a, ctx);
+    else if (a.kind === 'role-orphan') await applyRoleOrphan(client, guild, a, ctx);
+  }
+
+  if (orphans !== 'off') {
+    try { await pruneOrphanNotices(plan); }
+    catch (e) { if (debug) console.warn(`[reconcile] prune orphan notices warn: ${e?.message || e}`); }
+  }
+  return { skipped };
+}
+
+// ---------- Single-flight guard ----------
+let running = false;
+async function exclusive(fn) {
+  if (running) throw new Error('a reconcile run is already in progress');
+  running = true;
+  try {
+    return await fn();
+  } finally {
+    running = false;
   }
 }
 
 // ---------- Public API ----------
 async function reconcileRoles(client, opts = {}) {
   const { debug = false } = opts;
-  if (debug) console.log('[reconcile] started');
-  await reconcileDelegators(client, opts);
-  await reconcileValidators(client, opts);
-  if (debug) console.log('[reconcile] finished');
+  return exclusive(async () => {
+    if (debug) console.log('[reconcile] started');
+    const plan = await planReconcile(client, opts);
+    await applyReconcilePlan(client, plan, opts);
+    if (debug) console.log('[reconcile] finished');
+    return plan;
+  });
+}
+
+// ---------- Dry runs ----------
+const pendingPlans = new Map();
+
+function prunePlans() {
+  const now = Date.now();
+  for (const [id, p] of pendingPlans) {
+    if (now - p.createdAt > PLAN_TTL_MS) pendingPlans.delete(id);
+  }
+}
+
+async function createPendingPlan(client, { deleteRows = true, debug = false } = {}) {
+  prunePlans();
+  const plan = await exclusive(() => planReconcile(client, { debug }));
+  const planId = crypto.randomBytes(6).toString('hex');
+  pendingPlans.set(planId, { ...plan, deleteRows });
+  return { planId, plan: pendingPlans.get(planId) };
+}
+
+function reconcileReport(plan, planId) {
+  const content = MSGS.reconcileReport(plan);
+  if (!planId || plan.actions.length === 0) return { content, components: [] };
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`reconcile_approve:${planId}`)
+      .setLabel('✅ Apply')
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`reconcile_discard:${planId}`)
+      .setLabel('Discard')
+      .setStyle(ButtonStyle.Secondary)
+  );
+  return { content, components: [row] };
 }
 
-module.exports = { reconcileRoles };
\ No newline at end of file
+async function handleReconcileButton(interaction) {
+  const [action, planId] = interaction.customId.split(':');
+  const who = `<@${interaction.user.id}>`;
+
+  const member = interaction.guild
+    ? await interaction.guild.members.fetch(interaction.user.id).catch(() => null)
+    : null;
+  if (!member || !member.roles.cache.has(TEAM_ROLE_ID)) {
+    return interaction.reply({ content: '❌ You do not have permission to use this button.', flags: 64 });
+  }
+
+  prunePlans();
+  const plan = pendingPlans.get(planId);
+  if (!plan) {
+    return interaction.update({ content: MSGS.reconcilePlanExpired, components: [] });
+  }
+
+  if (action === 'reconcile_discard') {
+    pendingPlans.delete(planId);
+    await notifyModLog(interaction.client, `🗑️ Reconcile plan \`${planId}\` discarded by ${who}`);
+    return interaction.update({ content: `${MSGS.reconcileReport(plan)}\n\n🗑️ Discarded by ${who}.`, components: [] });
+  }
+
+  pendingPlans.delete(planId);
+  await interaction.update({ content: `${MSGS.reconcileReport(plan)}\n\n⏳ Applying (approved by ${who})…`, components: [] });
+  try {
+    const { skipped } = await exclusive(() =>
+      applyReconcilePlan(interaction.client, plan, { deleteRows: plan.deleteRows, debug: true, recheck: true })
+    );
+    const skippedNote = skipped ? ` ${skipped} change(s) no longer applied and were skipped.` : '';
+    await interaction.editReply({ content: `${MSGS.reconcileReport(plan)}\n\n✅ Applied (approved by ${who}).${skippedNote}` });
+    await notifyModLog(interaction.client, `✅ Reconcile plan \`${planId}\` applied (approved by ${who}).${skippedNote}`);
+  } catch (e) {
+    console.error('[reconcile] apply failed:', e);
+    try { await interaction.editReply({ content: `${MSGS.reconcileReport(plan)}\n\n❌ Apply failed: ${e?.message || e}` }); } catch {}
+  }
+}
+
+// ---------- Scheduler ----------
+async function runScheduledReconcile(client) {
+  if (RECONCILE_MODE === 'apply') {
+    const plan = await reconcileRoles(client, { deleteRows: RECONCILE_DELETE_ROWS });
+    if (plan.actions.length) {
+      await notifyModLog(client, `✅ Scheduled reconcile applied ${plan.actions.length} change(s).`);
+    }
+    return;
+  }
+
+  const { planId, plan } = await createPendingPlan(client, { deleteRows: RECONCILE_DELETE_ROWS });
+  if (!plan.actions.length || !MOD_LOGS_CHANNEL_ID) return;
+  const ch = await client.channels.fetch(MOD_LOGS_CHANNEL_ID).catch(() => null);
+  if (ch?.isTextBased?.()) await ch.send(reconcileReport(plan, planId));
+}
+
+let reconcileTask = null;
+function startReconcileScheduler(client) {
+  if (reconcileTask || !RECONCILE_CRON) return;
+  if (!cron.validate(RECONCILE_CRON)) {
+    console.warn(`[reconcile] invalid RECONCILE_CRON "${RECONCILE_CRON}", scheduled reconcile disabled`);
+    return;
+  }
+  reconcileTask = cron.schedule(
+    RECONCILE_CRON,
+    () => {
+      runScheduledReconcile(client).catch((e) =>
+        console.warn('[reconcile] scheduled run failed:', e?.message || e)
+      );
+    },
+    { timezone: 'UTC' }
+  );
+  console.log(`⏰ Role reconcile scheduled (${RECONCILE_CRON} UTC, mode: ${RECONCILE_MODE})`);
+}
+
+module.exports = {
+  reconcileRoles,
+  planReconcile,
+  applyReconcilePlan,
+  createPendingPlan,
+  reconcileReport,
+  handleReconcileButton,
+  startReconcileScheduler,
+};
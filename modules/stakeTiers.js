@@ -0,0 +1,190 @@
+// modules/stakeTiers.js
+/**
+ * Stake-tier roles on top of the base Validator/Delegator roles (e.g. "Delegator 100k+", "Whale").
+ * Responsibilities:
+ * - Keeps the tier table in Postgres (`stake_tiers`: role type, Discord role, minimum stake in CCD).
+ * - syncStakeTiers(client, discordId, roleType): sums the live stake of the member's linked accounts of that
+ *   role type (delegated stake for delegators, equity capital for validators; chainQueries.getAccountStake),
+ *   keeps exactly the highest tier whose minimum is met and removes the other tier roles of that type.
+ *   Members without linked accounts lose all tier roles. Nothing changes while the node is unreachable.
+ * - Called after verification, on stake increase/decrease events, on unlink and when an account stops
+ *   delegating/validating.
+ * - handleStakeTiersCommand(interaction): `/stake_tiers list|add|remove` for moderators (permission is
+ *   checked by bot.js, like /reconcile_roles). After a change every linked member of that role type is
+ *   re-evaluated in the background; a removed tier's role is taken off them.
+ */
+const { Pool } = require("pg");
+const { MSGS } = require("../utils/messages");
+const chain = require("./chainQueries");
+
+const {
+  PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
+  DISCORD_GUILD_ID,
+} = process.env;
+
+const pool = new Pool({
+  user: PG_USER,
+  host: PG_HOST,
+  database: PG_DATABASE,
+  password: PG_PASSWORD,
+  port: PG_PORT,
+});
+
+const TIER_ROLE_TYPES = ["Delegator", "Validator"];
+
+async function listTiers(roleType = null) {
+  const res = await pool.query(
+    `SELECT id, role_type, role_id, min_stake_ccd
+       FROM stake_tiers
+      WHERE ($1::text IS NULL OR role_type = $1)
+      ORDER BY role_type, min_stake_ccd`,
+    [roleType]
+  );
+  return res.rows.map((r) => ({ ...r, min_stake_ccd: Number(r.min_stake_ccd) }));
+}
+
+async function addTier({ roleType, roleId, minStakeCCD, createdBy }) {
+  await pool.query(
+    `INSERT INTO stake_tiers (role_type, role_id, min_stake_ccd, created_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (role_id) DO UPDATE
+       SET role_type = EXCLUDED.role_type,
+           min_stake_ccd = EXCLUDED.min_stake_ccd,
+           created_by = EXCLUDED.created_by,
+           created_at = CURRENT_TIMESTAMP`,
+    [roleType, String(roleId), minStakeCCD, createdBy ? String(createdBy) : null]
+  );
+}
+
+async function removeTier(roleId) {
+  const res = await pool.query("DELETE FROM stake_tiers WHERE role_id = $1 RETURNING role_type", [String(roleId)]);
+  return res.rows[0]?.role_type ?? null;
+}
+
+function pickTier(tiers, totalCCD) {
+  let best = null;
+  for (const t of tiers) {
+    if (totalCCD >= t.min_stake_ccd && (!best || t.min_stake_ccd > best.min_stake_ccd)) best = t;
+  }
+  return best;
+}
+
+async function getLinkedStakeCCD(discordId, roleType) {
+  const res = await pool.query(
+    "SELECT wallet_address FROM verifications WHERE discord_id = $1 AND role_type = $2",
+    [String(discordId), roleType]
+  );
+  let total = 0;
+  for (const r of res.rows) {
+    const live = await chain.getAccountStake(r.wallet_address);
+    const staked = Number(live?.stakedCCD);
+    if (Number.isFinite(staked)) total += staked;
+  }
+  return { linked: res.rowCount, totalCCD: total };
+}
+
+async function syncStakeTiers(client, discordId, roleType) {
+  if (!client || !DISCORD_GUILD_ID || !TIER_ROLE_TYPES.includes(roleType)) return null;
+
+  try {
+    const tiers = await listTiers(roleType);
+    if (!tiers.length) return null;
+
+    const { linked, totalCCD } = await getLinkedStakeCCD(discordId, roleType);
+    const target = linked > 0 ? pickTier(tiers, totalCCD) : null;
+
+    const guild = await client.guilds.fetch(DISCORD_GUILD_ID);
+    const member = await guild.members.fetch(String(discordId)).catch(() => null);
+    if (!member) return null;
+
+    for (const t of tiers) {
+      const want = target?.role_id === t.role_id;
+      const has = member.roles.cache.has(t.role_id);
+      if (want && !has) {
+        await member.roles.add(t.role_id, `${roleType} stake tier: ${totalCCD.toFixed(2)} CCD ≥ ${t.min_stake_ccd} CCD`);
+        console.log(`[tiers] ${discordId}: +${t.role_id} (${roleType}, ${totalCCD.toFixed(2)} CCD)`);
+      } else if (!want && has) {
+        await member.roles.remove(t.role_id, `${roleType} stake tier no longer matches (${totalCCD.toFixed(2)} CCD)`);
+        console.log(`[tiers] ${discordId}: -${t.role_id} (${roleType}, ${totalCCD.toFixed(2)} CCD)`);
+      }
+    }
+    return { tier: target, totalCCD };
+  } catch (e) {
+    console.warn(`[tiers] sync ${roleType} tiers for ${discordId} failed:`, e?.message || e);
+    return null;
+  }
+}
+
+async function resyncRoleType(client, roleType, { removedRoleId = null } = {}) {
+  const res = await pool.query(
+    "SELECT DISTINCT discord_id FROM verifications WHERE role_type = $1",
+    [roleType]
+  );
+  const guild = removedRoleId ? await client.guilds.fetch(DISCORD_GUILD_ID).catch(() => null) : null;
+
+  for (const { discord_id: discordId } of res.rows) {
+    if (guild) {
+      try {
+        const member = await guild.members.fetch(String(discordId)).catch(() => null);
+        if (member?.roles?.cache?.has(removedRoleId)) {
+          await member.roles.remove(removedRoleId, `${roleType} stake tier deleted`);
+        }
+      } catch (e) {
+        console.warn(`[tiers] removing deleted tier role from ${discordId} failed:`, e?.message || e);
+      }
+    }
+    await syncStakeTiers(client, discordId, roleType);
+  }
+}
+
+async function handleStakeTiersCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+
+  try {
+    if (sub === "list") {
+      return interaction.reply({ content: MSGS.stakeTiersList(await listTiers()), flags: 64 });
+    }
+
+    if (sub === "add") {
+      const roleType = interaction.options.getString("role_type", true);
+      const role = interaction.options.getRole("role", true);
+      const minStakeCCD = interaction.options.getNumber("min_ccd", true);
+      if (!TIER_ROLE_TYPES.includes(roleType) || !(minStakeCCD >= 0)) {
+        return interaction.reply({ content: MSGS.stakeTierInvalid, flags: 64 });
+      }
+      await addTier({ roleType, roleId: role.id, minStakeCCD, createdBy: interaction.user.id });
+      await interaction.reply({ content: MSGS.stakeTierSaved(roleType, role.id, minStakeCCD), flags: 64 });
+      resyncRoleType(interaction.client, roleType).catch((e) =>
+        console.warn(`[tiers] resync after add failed:`, e?.message || e)
+      );
+      return;
+    }
+
+    if (sub === "remove") {
+      const role = interaction.options.getRole("role", true);
+      const roleType = await removeTier(role.id);
+      await interaction.reply({
+        content: roleType ? MSGS.stakeTierRemoved(roleType, role.id) : MSGS.stakeTierNotFound(role.id),
+        flags: 64,
+      });
+      if (roleType) {
+        resyncRoleType(interaction.client, roleType, { removedRoleId: role.id }).catch((e) =>
+          console.warn(`[tiers] resync after remove failed:`, e?.message || e)
+        );
+      }
+      return;
+    }
+  } catch (e) {
+    console.error("[tiers] /stake_tiers failed:", e);
+    try {
+      await interaction.reply({ content: "❌ Failed to update stake tiers. Please try again later.", flags: 64 });
+    } catch {}
+  }
+}
+
+module.exports = {
+  TIER_ROLE_TYPES,
+  listTiers,
+  syncStakeTiers,
+  handleStakeTiersCommand,
+};
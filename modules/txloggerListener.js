@@ -3,21 +3,40 @@
  * High-throughput Concordium gRPC block/tx listener with gap recovery.
  * Responsibilities:
  * - Streams finalized blocks via @concordium/web-sdk; backfills height gaps when missed.
- * - For each tx, extracts sender & MEMO (gRPC first; falls back to `concordium-client transaction status`).
+ * - Persists the last fully processed height in Postgres (`txlogger_cursor`) and resumes from it on
+ *   startup via getFinalizedBlocksFrom, bounded by TXL_MAX_CATCHUP_BLOCKS. A block whose transaction or special
+ *   events could not be read does not advance the cursor; the reconnect loop retries from that height.
+ * - For each tx, extracts sender & MEMO from the block item summary (CBOR-decoded via chainQueries; falls back
+ *   to getBlockItemStatus when the streamed summary lacks them).
  * - Drives verification “memo waiters”:
  *   • Delegators: registerDelegatorMemoWaiter(...) + wrong-memo & TTL-expiry notifiers.
  *   • Validators:  registerValidatorMemoWaiter(...) + wrong-memo & TTL-expiry notifiers.
- *   (Pruned on a schedule via TXL_WAITER_TTL_MINUTES / TXL_PRUNE_INTERVAL_MS.)
+ *   (Pruned on a schedule via TXL_WAITER_TTL_MINUTES / TXL_PRUNE_INTERVAL_MS. The TTL window starts when
+ *   the waiter is registered, so a session restored from `verification_sessions` gets a fresh one, and a
+ *   waiter is never pruned while its backlog scan is still running.)
+ *   • Waiters registered with `fromHeight` also scan finalized blocks from that height to the tip
+ *     (at most TXL_MEMO_BACKLOG_MAX_BLOCKS) for a matching transfer, so transactions sent during downtime
+ *     or before the waiter existed still complete verification. Only blocks in which the account's nonce
+ *     advanced are fetched (binary search on getAccountInfo). A waiter fires at most once.
+ *   • A memo is bound to its waiter's address: a pending memo seen in a transfer from any other sender is
+ *     logged as a possible impersonation attempt and passed to setMemoImpersonationNotifier(fn).
  * - Normalizes hashes/addresses and derives block ISO timestamp for freshness checks.
  * - Fans out on-chain events to the alerts module:
  *   • Delegation add/remove/target change; stake increased/decreased; new delegators; PayDay account rewards.
  *   • Validator commission updates, suspended/resumed/removed, and “primed for suspension” specials.
  *   • Uses validator_delegators mapping to DM validators about join/leave/stake-change events.
- * - Configurable logging/filtering via TXL_* env flags; TLS via GRPC_TLS; CLI path via CONCORDIUM_CLIENT_PATH.
+ *   • Each tx/special event handler runs inside an eventLedger context (block hash, tx hash, event index),
+ *     so replays of the same block never DM a user twice for one on-chain event.
+ * - Acts as the single block/event bus: other modules subscribeToEvents(tags, handler) instead of opening
+ *   their own finalized-block streams. Subscribers run after the alerts fan-out, in block order.
+ *   subscribeToBlocks(handler) gets one call per processed block with { blockHash, height, bakerId, timestampIso }.
+ * - Configurable logging/filtering via TXL_* env flags; TLS via GRPC_TLS.
  */
-const { execFile } = require("child_process");
+const { Pool } = require("pg");
 let ConcordiumGRPCNodeClient, credentials;
 const vdel = require("./validatorDelegators");
+const ledger = require("./eventLedger");
+const chain = require("./chainQueries");
 
 const alerts = require("./alerts");
 const LOG_TX = (process.env.TXL_LOG_TX || "").toLowerCase() === "true" || process.env.TXL_LOG_TX === "1";
@@ -64,7 +83,17 @@ const WAITER_TTL_MIN =
 const WAITER_TTL_MS = Math.max(1, WAITER_TTL_MIN) * 60 * 1000;
 const PRUNE_INTERVAL_MS = Number(process.env.TXL_PRUNE_INTERVAL_MS || 60 * 1000);
 
-const CLIENT_PATH = process.env.CONCORDIUM_CLIENT_PATH || "concordium-client";
+const MAX_CATCHUP_BLOCKS = Number(process.env.TXL_MAX_CATCHUP_BLOCKS || 20000);
+const MEMO_BACKLOG_MAX_BLOCKS = Number(process.env.TXL_MEMO_BACKLOG_MAX_BLOCKS || 5000);
+const CURSOR_NAME = "txlogger";
+
+const pool = new Pool({
+  user: process.env.PG_USER,
+  host: process.env.PG_HOST,
+  database: process.env.PG_DATABASE,
+  password: process.env.PG_PASSWORD,
+  port: process.env.PG_PORT,
+});
 
 const delegatorWaiters = new Map();
 let delegatorWrongMemoNotifier = null;
@@ -74,6 +103,8 @@ const validatorWaiters = new Map();
 let validatorWrongMemoNotifier = null;
 let validatorExpiredNotifier = null;
 
+let memoImpersonationNotifier = null;
+
 function normAddr(a) {
   if (!a) return "";
   return String(a).trim().toLowerCase();
@@ -166,58 +197,51 @@ function normTagName(x) {
   return String(x || "").replace(/[_\s-]/g, "").toLowerCase();
 }
 
-function memoFromCLI(txHash) {
-  return new Promise((resolve) => {
-    const args = [
-      "transaction",
-      "status",
-      txHash,
-      "--grpc-ip",
-      GRPC_HOST,
-      "--grpc-port",
-      String(GRPC_PORT),
-    ];
-    if (USE_TLS) args.push("--secure");
-
-    execFile(CLIENT_PATH, args, { maxBuffer: 1024 * 1024 }, (err, stdout) => {
-      if (err) {
-        if (DEBUG) console.log(`[memo][cli] failed for ${txHash}: ${err.message || err}`);
-        return resolve({ text: null, hex: null });
-      }
-      const lines = String(stdout).split(/\r?\n/);
-      const idx = lines.findIndex((l) => l.trim() === "Transfer memo:");
-      let text = null;
-      if (idx !== -1 && idx + 1 < lines.length) {
-        text = lines[idx + 1].trim() || null;
-      }
-      const hex = text ? Buffer.from(text, "utf8").toString("hex") : null;
-      return resolve({ text, hex, _raw: lines });
-    });
-  });
+const eventSubscribers = new Set();
+
+function subscribeToEvents(tags, handler) {
+  if (typeof handler !== "function") return () => {};
+  const list = tags == null ? null : (Array.isArray(tags) ? tags : [tags]);
+  const sub = { tags: list ? new Set(list) : null, handler };
+  eventSubscribers.add(sub);
+  if (DEBUG) console.log(`[bus] subscriber added for ${list ? list.join(",") : "*"}`);
+  return () => eventSubscribers.delete(sub);
 }
-function senderFromCLI(txHash) {
-  return new Promise((resolve) => {
-    const args = [
-      "transaction",
-      "status",
-      txHash,
-      "--grpc-ip",
-      GRPC_HOST,
-      "--grpc-port",
-      String(GRPC_PORT),
-    ];
-    if (USE_TLS) args.push("--secure");
-
-    execFile(CLIENT_PATH, args, { maxBuffer: 1024 * 1024 }, (err, stdout) => {
-      if (err) {
-        if (DEBUG) console.log(`[sender][cli] failed for ${txHash}: ${err.message || err}`);
-        return resolve(null);
-      }
-      const m = String(stdout).match(/from account '([^']+)'/);
-      resolve(m?.[1] || null);
-    });
-  });
+
+const blockSubscribers = new Set();
+
+function subscribeToBlocks(handler) {
+  if (typeof handler !== "function") return () => {};
+  blockSubscribers.add(handler);
+  if (DEBUG) console.log("[bus] block subscriber added");
+  return () => blockSubscribers.delete(handler);
+}
+
+async function dispatchBlock(meta) {
+  for (const handler of blockSubscribers) {
+    try {
+      await handler(meta);
+    } catch (e) {
+      console.warn("[bus] block subscriber failed:", e?.message || e);
+    }
+  }
+}
+
+async function dispatchEvent(tag, ev, meta) {
+  if (!eventSubscribers.size || !tag) return;
+  for (const sub of eventSubscribers) {
+    if (sub.tags && !sub.tags.has(tag)) continue;
+    try {
+      await ledger.runWithEvent(
+        { blockHash: meta.blockHash, txHash: meta.txHash || "", eventIndex: meta.eventIndex },
+        () => sub.handler(ev, { tag, ...meta })
+      );
+    } catch (e) {
+      console.warn(`[bus] subscriber for ${tag} failed:`, e?.message || e);
+    }
+  }
 }
+
 function anyWaiters() {
   return delegatorWaiters.size > 0 || validatorWaiters.size > 0;
 }
@@ -225,6 +249,8 @@ function anyWaiters() {
 function setDelegatorWrongMemoNotifier(fn) { delegatorWrongMemoNotifier = typeof fn === "function" ? fn : null; }
 function setValidatorWrongMemoNotifier(fn) { validatorWrongMemoNotifier = typeof fn === "function" ? fn : null; }
 
+function setMemoImpersonationNotifier(fn) { memoImpersonationNotifier = typeof fn === "function" ? fn : null; }
+
 function setDelegatorWaiterExpiredNotifier(fn) { delegatorExpiredNotifier = typeof fn === "function" ? fn : null; }
 function setValidatorWaiterExpiredNotifier(fn) { validatorExpiredNotifier = typeof fn === "function" ? fn : null; }
 
@@ -234,12 +260,18 @@ function registerDelegatorMemoWaiter({
   accountAddress,
   expectedMemo,
   onSuccess,
+  fromHeight,
 }) {
   const key = normAddr(accountAddress);
   if (DEBUG) console.log(
     `[waiter] register delegator addr=${key} expected="${expectedMemo}" discordId=${discordId}`
   );
-  delegatorWaiters.set(key, { expectedMemo, discordId, threadId, onSuccess, createdAt: Date.now() });
+  const w = {
+    expectedMemo, discordId, threadId, onSuccess,
+    createdAt: Date.now(),
+  };
+  delegatorWaiters.set(key, w);
+  if (Number.isFinite(fromHeight)) scanWaiterBacklog(delegatorWaiters, key, w, accountAddress, fromHeight);
   return () => delegatorWaiters.delete(key);
 }
 function registerValidatorMemoWaiter({
@@ -249,6 +281,7 @@ function registerValidatorMemoWaiter({
   validatorAddress,
   expectedMemo,
   onSuccess,
+  fromHeight,
 }) {
   const key = normAddr(validatorAddress);
   if (DEBUG) {
@@ -256,15 +289,132 @@ function registerValidatorMemoWaiter({
       `[waiter] register validator addr=${key} validatorId=${validatorId} expected="${expectedMemo}" discordId=${discordId}`
     );
   }
-  validatorWaiters.set(key, { expectedMemo, validatorId, discordId, threadId, onSuccess, createdAt: Date.now() });
+  const w = {
+    expectedMemo, validatorId, discordId, threadId, onSuccess,
+    createdAt: Date.now(),
+  };
+  validatorWaiters.set(key, w);
+  if (Number.isFinite(fromHeight)) scanWaiterBacklog(validatorWaiters, key, w, validatorAddress, fromHeight);
   return () => validatorWaiters.delete(key);
 }
 
+function findWaiterByMemo(memoText) {
+  const wanted = normMemo(memoText);
+  if (!wanted) return null;
+  for (const [flow, waiters] of [["Delegator", delegatorWaiters], ["Validator", validatorWaiters]]) {
+    for (const [key, w] of waiters) {
+      if (!w.matched && normMemo(w.expectedMemo) === wanted) return { flow, key, waiter: w };
+    }
+  }
+  return null;
+}
+
+async function checkMemoImpersonation({ item, memo, senderKey, sender, txHash, blockHash }) {
+  const seen = memo.text ? memo : chain.memoFromSummary(item);
+  const owner = seen.text ? findWaiterByMemo(seen.text) : null;
+  if (!owner || owner.key === senderKey) return;
+
+  console.warn(
+    `[waiter] possible impersonation: ${owner.flow.toLowerCase()} memo "${seen.text}" of ${owner.key} ` +
+    `(discordId=${owner.waiter.discordId}) sent from ${sender || "<unknown>"} in tx ${txHash}`
+  );
+  if (!memoImpersonationNotifier) return;
+  try {
+    await memoImpersonationNotifier({
+      flow: owner.flow,
+      discordId: owner.waiter.discordId,
+      threadId: owner.waiter.threadId,
+      expectedAddress: owner.key,
+      sender,
+      memo: seen.text,
+      txHash,
+      blockHash,
+    });
+  } catch {}
+}
+
+// Heights in [from, to] whose block contains a transaction sent by `address` (its nonce advanced there).
+async function findSenderHeights(address, from, to) {
+  const heights = [];
+  async function walk(lo, hi, nonceBefore, nonceAtHi) {
+    if (lo > hi || nonceBefore == null || nonceAtHi == null || nonceBefore === nonceAtHi) return;
+    if (lo === hi) {
+      heights.push(lo);
+      return;
+    }
+    const mid = Math.floor((lo + hi) / 2);
+    const nonceAtMid = await chain.getAccountNonceAt(address, mid);
+    await walk(lo, mid, nonceBefore, nonceAtMid);
+    await walk(mid + 1, hi, nonceAtMid, nonceAtHi);
+  }
+  const before = from > 0 ? await chain.getAccountNonceAt(address, from - 1) : 0n;
+  await walk(from, to, before, await chain.getAccountNonceAt(address, to));
+  return heights;
+}
+
+async function findMemoTxInBacklog({ accountAddress, expectedMemo, fromHeight }) {
+  const tip = await chain.getLastFinalizedHeight();
+  if (!Number.isFinite(tip)) return null;
+
+  const from = Math.max(Number(fromHeight), tip - MEMO_BACKLOG_MAX_BLOCKS, 0);
+  if (from > tip) return null;
+
+  const key = normAddr(accountAddress);
+  const grpcClient = await chain.getGrpc();
+
+  for (const h of await findSenderHeights(accountAddress, from, tip)) {
+    const blockHash = await chain.getBlockHashAtHeight(h);
+    if (!blockHash) continue;
+
+    for await (const item of grpcClient.getBlockTransactionEvents(blockHash)) {
+      const txHash = normalizeTxHash(item?.hash ?? item?.transactionHash ?? item?.blockItem);
+      let sender = pickSender(item);
+      if (!sender && txHash) sender = await chain.getTransactionSender(txHash).catch(() => null);
+      if (normAddr(sender) !== key) continue;
+
+      let memo = chain.memoFromSummary(item);
+      if (!memo.text && txHash) memo = await chain.getTransactionMemo(txHash).catch(() => memo);
+      if (!memo.text || normMemo(memo.text) !== normMemo(expectedMemo)) continue;
+
+      return {
+        txHash,
+        blockHash: normalizeBlockHash(blockHash),
+        sender,
+        memoText: memo.text,
+        memoHex: memo.hex,
+        timestampIso: await getBlockTimeIso(grpcClient, blockHash),
+      };
+    }
+  }
+  return null;
+}
+
+function scanWaiterBacklog(waiters, key, w, accountAddress, fromHeight) {
+  w.scanning = true;
+  findMemoTxInBacklog({ accountAddress, expectedMemo: w.expectedMemo, fromHeight })
+    .then(async (hit) => {
+      if (!hit || waiters.get(key) !== w || w.matched) return;
+      if (DEBUG) console.log(`[waiter] backlog match addr=${key} tx=${hit.txHash}`);
+      w.matched = true;
+      try {
+        await w.onSuccess?.({ ...hit, validatorId: w.validatorId });
+      } finally {
+        if (waiters.get(key) === w) waiters.delete(key);
+      }
+    })
+    .catch((e) => {
+      console.warn(`[waiter] backlog scan failed for ${key}:`, e?.message || e);
+    })
+    .finally(() => {
+      w.scanning = false;
+    });
+}
+
 function pruneWaiters() {
   const now = Date.now();
 
   for (const [key, w] of delegatorWaiters) {
-    if (now - (w.createdAt || now) > WAITER_TTL_MS) {
+    if (!w.scanning && now - (w.createdAt || now) > WAITER_TTL_MS) {
       delegatorWaiters.delete(key);
       if (delegatorExpiredNotifier) {
         try { delegatorExpiredNotifier({ discordId: w.discordId, threadId: w.threadId, expected: w.expectedMemo, minutes: WAITER_TTL_MIN }); } catch {}
@@ -273,7 +423,7 @@ function pruneWaiters() {
     }
   }
   for (const [key, w] of validatorWaiters) {
-    if (now - (w.createdAt || now) > WAITER_TTL_MS) {
+    if (!w.scanning && now - (w.createdAt || now) > WAITER_TTL_MS) {
       validatorWaiters.delete(key);
       if (validatorExpiredNotifier) {
         try { validatorExpiredNotifier({ discordId: w.discordId, threadId: w.threadId, expected: w.expectedMemo, minutes: WAITER_TTL_MIN }); } catch {}
@@ -294,8 +444,23 @@ function extractValidatorId(ev) {
 }
 
 async function getBlockTimeIso(grpcClient, blockHash) {
+  return (await getBlockMeta(grpcClient, blockHash)).timestampIso;
+}
+
+// Slot time (ISO) and baker of a block; nulls when the node does not answer.
+async function getBlockMeta(grpcClient, blockHash) {
+  let info;
+  try {
+    info = await grpcClient.getBlockInfo(blockHash);
+  } catch (e) {
+    if (DEBUG) console.log("[grpc] getBlockInfo failed:", e?.message || e);
+    return { timestampIso: null, bakerId: null };
+  }
+  return { timestampIso: blockInfoTimeIso(info), bakerId: info?.blockBaker == null ? null : toNum(info.blockBaker) };
+}
+
+function blockInfoTimeIso(info) {
   try {
-    const info = await grpcClient.getBlockInfo(blockHash);
     let tsMs = null;
     const candidate =
       info?.blockSlotTime ??
@@ -329,7 +494,7 @@ async function getBlockTimeIso(grpcClient, blockHash) {
     if (!Number.isFinite(tsMs) || tsMs <= 0) return null;
     return new Date(tsMs).toISOString();
   } catch (e) {
-    if (DEBUG) console.log("[grpc] getBlockInfo failed:", e?.message || e);
+    if (DEBUG) console.log("[grpc] block time parse failed:", e?.message || e);
     return null;
   }
 }
@@ -363,93 +528,57 @@ function parseDelegationTargetFromEvent(ev) {
   return null;
 }
 
-async function handleTxAlerts(events, { txHash, blockHash, timestampIso }) {
-  const newDelegatorsInTx = new Set();
-
-  const bakerAddedMap = new Map();
-
-  for (const e of events) {
-    const t = eventTag(e);
-    if (!t) continue;
+async function handleTxEvent(ev, { txHash, blockHash, timestampIso, newDelegatorsInTx }) {
+  const tag = eventTag(ev);
+  if (!tag) return;
 
-    if (t === "DelegationAdded") {
-      const id = toNum(e?.delegatorId ?? e?.delegator_id);
-      if (id != null) newDelegatorsInTx.add(id);
-    }
+  if (tag === "DelegationRemoved") {
+    const delegatorId = toNum(ev?.delegatorId ?? ev?.delegator_id);
+    const account =
+      extractAccountString(ev?.account) ||
+      extractAccountString(ev?.address) ||
+      extractAccountString(ev?.owner);
 
-    if (t === "BakerAdded") {
-      const vid = extractValidatorId(e);
-      if (vid != null) {
-        const current = bakerAddedMap.get(String(vid)) || {};
-        current.sawAdded = true;
-        current.account = extractAccountString(e?.account) || current.account || null;
-        current.stakeMicro = toNum(e?.stake) ?? current.stakeMicro ?? null;
-        if (typeof e?.restakeEarnings === "boolean") current.restakeEarnings = e.restakeEarnings;
-        bakerAddedMap.set(String(vid), current);
-      }
-    } else if (t === "BakerSetRestakeEarnings") {
-      const vid = extractValidatorId(e);
-      if (vid != null) {
-        const current = bakerAddedMap.get(String(vid)) || {};
-        if (typeof e?.restakeEarnings === "boolean") current.restakeEarnings = e.restakeEarnings;
-        current.account = extractAccountString(e?.account) || current.account || null;
-        bakerAddedMap.set(String(vid), current);
-      }
-    } else if (t === "BakerSetOpenStatus") {
-      const vid = extractValidatorId(e);
-      if (vid != null) {
-        const current = bakerAddedMap.get(String(vid)) || {};
-        current.openStatus = e?.openStatus || current.openStatus || null;
-        current.account = extractAccountString(e?.account) || current.account || null;
-        bakerAddedMap.set(String(vid), current);
-      }
-    } else if (t === "BakerSetTransactionFeeCommission") {
-      const vid = extractValidatorId(e);
-      if (vid != null) {
-        const current = bakerAddedMap.get(String(vid)) || {};
-        current.txFee = toNum(e?.transactionFeeCommission);
-        current.account = extractAccountString(e?.account) || current.account || null;
-        bakerAddedMap.set(String(vid), current);
-      }
-    } else if (t === "BakerSetBakingRewardCommission") {
-      const vid = extractValidatorId(e);
-      if (vid != null) {
-        const current = bakerAddedMap.get(String(vid)) || {};
-        current.baking = toNum(e?.bakingRewardCommission);
-        current.account = extractAccountString(e?.account) || current.account || null;
-        bakerAddedMap.set(String(vid), current);
-      }
-    } else if (t === "BakerSetFinalizationRewardCommission") {
-      const vid = extractValidatorId(e);
-      if (vid != null) {
-        const current = bakerAddedMap.get(String(vid)) || {};
-        current.finalization = toNum(e?.finalizationRewardCommission);
-        current.account = extractAccountString(e?.account) || current.account || null;
-        bakerAddedMap.set(String(vid), current);
+    if (delegatorId != null) {
+      let mappings = [];
+      try {
+        mappings = await vdel.getPoolsForDelegator(delegatorId);
+      } catch (e) {
+        if (DEBUG) console.warn("[vdel] getPoolsForDelegator failed:", e?.message || e);
       }
-    } else if (t === "BakerSetMetadataURL") {
-      const vid = extractValidatorId(e);
-      if (vid != null) {
-        const current = bakerAddedMap.get(String(vid)) || {};
-        current.metadataUrl = (e?.metadataURL ?? e?.metadataUrl ?? "").trim();
-        current.account = extractAccountString(e?.account) || current.account || null;
-        bakerAddedMap.set(String(vid), current);
+
+      if (mappings && mappings.length) {
+        for (const m of mappings) {
+          const vid = m.validator_id ?? m.validatorId ?? m.pool_id ?? m.poolId;
+          const acc = account || m.account_address || m.account;
+          try {
+            await alerts.handleDelegatorLeftPool({
+              validatorId: String(vid),
+              delegatorId: String(delegatorId),
+              account: String(acc || ""),
+              txHash,
+              blockHash,
+              timestampIso,
+            });
+          } catch (e) {
+            if (DEBUG) console.warn("[alerts] handleDelegatorLeftPool failed:", e?.message || e);
+          }
+        }
+      } else if (DEBUG) {
+        console.log(`[vdel] no mapping for delegator ${delegatorId} at removal; skip validator DM`);
       }
+
+      try { await vdel.markDelegatorInactiveEverywhere(delegatorId); } catch {}
     }
   }
 
-  for (const ev of events) {
-    const tag = eventTag(ev);
-    if (!tag) continue;
-
-    if (tag === "DelegationRemoved") {
-      const delegatorId = toNum(ev?.delegatorId ?? ev?.delegator_id);
-      const account =
-        extractAccountString(ev?.account) ||
-        extractAccountString(ev?.address) ||
-        extractAccountString(ev?.owner);
+  if (tag === "DelegationSetDelegationTarget") {
+    const delegatorId = toNum(ev?.delegatorId ?? ev?.delegator_id);
+    const account     = extractAccountString(ev?.account);
+    const target      = parseDelegationTargetFromEvent(ev);
 
-      if (delegatorId != null) {
+    if (delegatorId != null && account && target) {
+      if (target.type === "passive") {
         let mappings = [];
         try {
           mappings = await vdel.getPoolsForDelegator(delegatorId);
@@ -474,35 +603,27 @@ async function handleTxAlerts(events, { txHash, blockHash, timestampIso }) {
               if (DEBUG) console.warn("[alerts] handleDelegatorLeftPool failed:", e?.message || e);
             }
           }
-        } else if (DEBUG) {
-          console.log(`[vdel] no mapping for delegator ${delegatorId} at removal; skip validator DM`);
         }
 
         try { await vdel.markDelegatorInactiveEverywhere(delegatorId); } catch {}
-      }
-    }
-
-    if (tag === "DelegationSetDelegationTarget") {
-      const delegatorId = toNum(ev?.delegatorId ?? ev?.delegator_id);
-      const account     = extractAccountString(ev?.account);
-      const target      = parseDelegationTargetFromEvent(ev);
+      } else if (target.type === "pool" && Number.isFinite(target.poolId)) {
+        const newPoolId = Number(target.poolId);
 
-      if (delegatorId != null && account && target) {
-        if (target.type === "passive") {
-          let mappings = [];
-          try {
-            mappings = await vdel.getPoolsForDelegator(delegatorId);
-          } catch (e) {
-            if (DEBUG) console.warn("[vdel] getPoolsForDelegator failed:", e?.message || e);
-          }
+        let oldMappings = [];
+        try {
+          oldMappings = await vdel.getPoolsForDelegator(delegatorId);
+        } catch (e) {
+          if (DEBUG) console.warn("[vdel] getPoolsForDelegator failed:", e?.message || e);
+        }
 
-          if (mappings && mappings.length) {
-            for (const m of mappings) {
-              const vid = m.validator_id ?? m.validatorId ?? m.pool_id ?? m.poolId;
+        if (oldMappings && oldMappings.length) {
+          for (const m of oldMappings) {
+            const oldVid = Number(m.validator_id ?? m.validatorId ?? m.pool_id ?? m.poolId);
+            if (Number.isFinite(oldVid) && oldVid !== newPoolId) {
               const acc = account || m.account_address || m.account;
               try {
                 await alerts.handleDelegatorLeftPool({
-                  validatorId: String(vid),
+                  validatorId: String(oldVid),
                   delegatorId: String(delegatorId),
                   account: String(acc || ""),
                   txHash,
@@ -514,145 +635,56 @@ async function handleTxAlerts(events, { txHash, blockHash, timestampIso }) {
               }
             }
           }
-
-          try { await vdel.markDelegatorInactiveEverywhere(delegatorId); } catch {}
-        } else if (target.type === "pool" && Number.isFinite(target.poolId)) {
-          const newPoolId = Number(target.poolId);
-
-          let oldMappings = [];
-          try {
-            oldMappings = await vdel.getPoolsForDelegator(delegatorId);
-          } catch (e) {
-            if (DEBUG) console.warn("[vdel] getPoolsForDelegator failed:", e?.message || e);
-          }
-
-          if (oldMappings && oldMappings.length) {
-            for (const m of oldMappings) {
-              const oldVid = Number(m.validator_id ?? m.validatorId ?? m.pool_id ?? m.poolId);
-              if (Number.isFinite(oldVid) && oldVid !== newPoolId) {
-                const acc = account || m.account_address || m.account;
-                try {
-                  await alerts.handleDelegatorLeftPool({
-                    validatorId: String(oldVid),
-                    delegatorId: String(delegatorId),
-                    account: String(acc || ""),
-                    txHash,
-                    blockHash,
-                    timestampIso,
-                  });
-                } catch (e) {
-                  if (DEBUG) console.warn("[alerts] handleDelegatorLeftPool failed:", e?.message || e);
-                }
-              }
-            }
-          }
-
-          const wasInSamePool =
-            Array.isArray(oldMappings) &&
-            oldMappings.some((m) => Number(m.validator_id ?? m.validatorId ?? m.pool_id ?? m.poolId) === newPoolId);
-
-          if (!wasInSamePool) {
-            if (!newDelegatorsInTx.has(delegatorId)) {
-              try {
-                await alerts.handleDelegatorJoinedPool({
-                  validatorId: String(newPoolId),
-                  delegatorId: String(delegatorId),
-                  account: String(account || ""),
-                  txHash,
-                  blockHash,
-                  timestampIso,
-                });
-              } catch (e) {
-                if (DEBUG) console.warn("[alerts] handleDelegatorJoinedPool failed:", e?.message || e);
-              }
-            }
-          }
-
-          try { await vdel.setDelegatorActiveForPool(delegatorId, account, newPoolId); } catch {}
         }
-      }
-    }
 
-    if (tag === "DelegationStakeIncreased") {
-      const account = extractAccountString(ev?.account);
-      const newStakeMicro = Number(ev?.newStake);
-      if (account && Number.isFinite(newStakeMicro)) {
-        try {
-          await alerts.handleDelegatorStakeIncreased({
-            account,
-            newStakeMicro,
-            txHash,
-            blockHash,
-            timestampIso,
-          });
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] handleDelegatorStakeIncreased failed:", e?.message || e);
-        }
-      }
+        const wasInSamePool =
+          Array.isArray(oldMappings) &&
+          oldMappings.some((m) => Number(m.validator_id ?? m.validatorId ?? m.pool_id ?? m.poolId) === newPoolId);
 
-      const delegatorId = toNum(ev?.delegatorId ?? ev?.delegator_id);
-      if (delegatorId != null) {
-        if (newDelegatorsInTx.has(delegatorId)) {
-          if (DEBUG) console.log("[alerts] skip stake-change DM for new delegator in same tx", { delegatorId, txHash });
-        } else {
-          let mappings = [];
-          try { mappings = await vdel.getPoolsForDelegator(delegatorId); } catch {}
-          if (Array.isArray(mappings) && mappings.length) {
-            for (const m of mappings) {
-              const vid = Number(m.validator_id ?? m.validatorId ?? m.pool_id ?? m.poolId);
-              if (!Number.isFinite(vid)) continue;
-              const acc = account || m.account_address || "";
-              try {
-                await alerts.handleDelegatorStakeChangedForValidator({
-                  validatorId: String(vid),
-                  delegatorId: String(delegatorId),
-                  account: String(acc),
-                  direction: "increased",
-                  newStakeMicro: String(ev?.newStake),
-                  txHash,
-                  blockHash,
-                  timestampIso,
-                });
-              } catch (e) {
-                if (DEBUG) console.warn("[alerts] handleDelegatorStakeChangedForValidator (inc) failed:", e?.message || e);
-              }
+        if (!wasInSamePool) {
+          if (!newDelegatorsInTx.has(delegatorId)) {
+            try {
+              await alerts.handleDelegatorJoinedPool({
+                validatorId: String(newPoolId),
+                delegatorId: String(delegatorId),
+                account: String(account || ""),
+                txHash,
+                blockHash,
+                timestampIso,
+              });
+            } catch (e) {
+              if (DEBUG) console.warn("[alerts] handleDelegatorJoinedPool failed:", e?.message || e);
             }
           }
         }
-      }
 
-      const delegatorIdND = ev?.delegatorId ?? ev?.delegator_id;
-      if (delegatorIdND != null && ev?.newStake != null) {
-        try {
-          await alerts.handleNewDelegator_StakeIncreased({
-            delegatorId: String(delegatorIdND),
-            newStakeMicro: String(ev.newStake),
-            txHash,
-          });
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] handleNewDelegator_StakeIncreased failed:", e?.message || e);
-        }
+        try { await vdel.setDelegatorActiveForPool(delegatorId, account, newPoolId); } catch {}
       }
     }
-    else if (tag === "DelegationStakeDecreased") {
-      const account = extractAccountString(ev?.account);
-      const newStakeMicro = Number(ev?.newStake);
-      if (account && Number.isFinite(newStakeMicro)) {
-        try {
-          await alerts.handleDelegatorStakeDecreased({
-            account,
-            newStakeMicro,
-            txHash,
-            blockHash,
-            timestampIso,
-          });
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] handleDelegatorStakeDecreased failed:", e?.message || e);
-        }
+  }
+
+  if (tag === "DelegationStakeIncreased") {
+    const account = extractAccountString(ev?.account);
+    const newStakeMicro = Number(ev?.newStake);
+    if (account && Number.isFinite(newStakeMicro)) {
+      try {
+        await alerts.handleDelegatorStakeIncreased({
+          account,
+          newStakeMicro,
+          txHash,
+          blockHash,
+          timestampIso,
+        });
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] handleDelegatorStakeIncreased failed:", e?.message || e);
       }
+    }
 
-      const delegatorId = toNum(ev?.delegatorId ?? ev?.delegator_id);
-      if (delegatorId != null) {
+    const delegatorId = toNum(ev?.delegatorId ?? ev?.delegator_id);
+    if (delegatorId != null) {
+      if (newDelegatorsInTx.has(delegatorId)) {
+        if (DEBUG) console.log("[alerts] skip stake-change DM for new delegator in same tx", { delegatorId, txHash });
+      } else {
         let mappings = [];
         try { mappings = await vdel.getPoolsForDelegator(delegatorId); } catch {}
         if (Array.isArray(mappings) && mappings.length) {
@@ -665,238 +697,383 @@ async function handleTxAlerts(events, { txHash, blockHash, timestampIso }) {
                 validatorId: String(vid),
                 delegatorId: String(delegatorId),
                 account: String(acc),
-                direction: "decreased",
+                direction: "increased",
                 newStakeMicro: String(ev?.newStake),
                 txHash,
                 blockHash,
                 timestampIso,
               });
             } catch (e) {
-              if (DEBUG) console.warn("[alerts] handleDelegatorStakeChangedForValidator (dec) failed:", e?.message || e);
+              if (DEBUG) console.warn("[alerts] handleDelegatorStakeChangedForValidator (inc) failed:", e?.message || e);
             }
           }
         }
       }
     }
 
-    if (tag === "DelegationAdded") {
-      const delegatorId = ev?.delegatorId ?? ev?.delegator_id;
-      const account     = extractAccountString(ev?.account);
-      if (delegatorId != null && account) {
-        try {
-          await alerts.handleNewDelegator_DelegationAdded({
-            delegatorId: String(delegatorId),
-            account: String(account),
-            txHash,
-          });
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] handleNewDelegator_DelegationAdded failed:", e?.message || e);
-        }
+    const delegatorIdND = ev?.delegatorId ?? ev?.delegator_id;
+    if (delegatorIdND != null && ev?.newStake != null) {
+      try {
+        await alerts.handleNewDelegator_StakeIncreased({
+          delegatorId: String(delegatorIdND),
+          newStakeMicro: String(ev.newStake),
+          txHash,
+        });
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] handleNewDelegator_StakeIncreased failed:", e?.message || e);
       }
     }
-
-    if (tag === "DelegationSetDelegationTarget") {
-      const delegatorId = ev?.delegatorId ?? ev?.delegator_id;
-      const t = parseDelegationTargetFromEvent(ev);
-      if (delegatorId != null && t?.type === "pool" && Number.isFinite(t.poolId)) {
-        try {
-          await alerts.handleNewDelegator_TargetSet({
-            delegatorId: String(delegatorId),
-            bakerId: String(t.poolId),
-            txHash,
-          });
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] handleNewDelegator_TargetSet failed:", e?.message || e);
-        }
+  }
+  else if (tag === "DelegationStakeDecreased") {
+    const account = extractAccountString(ev?.account);
+    const newStakeMicro = Number(ev?.newStake);
+    if (account && Number.isFinite(newStakeMicro)) {
+      try {
+        await alerts.handleDelegatorStakeDecreased({
+          account,
+          newStakeMicro,
+          txHash,
+          blockHash,
+          timestampIso,
+        });
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] handleDelegatorStakeDecreased failed:", e?.message || e);
       }
     }
 
-    if (tag === "BakerSetTransactionFeeCommission") {
-      const validatorIdNum = extractValidatorId(ev);
-      const transactionFeeCommission = toNum(ev?.transactionFeeCommission);
-      if (validatorIdNum != null && transactionFeeCommission != null) {
-        try {
-          await alerts.handleCommissionUpdate({
-            validatorId: String(validatorIdNum),
-            bakingRewardCommission: null,
-            transactionFeeCommission,
-            blockHash,
-            txHash,
-            timestampIso,
-          });
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] handleCommissionUpdate (tx fee) failed:", e?.message || e);
+    const delegatorId = toNum(ev?.delegatorId ?? ev?.delegator_id);
+    if (delegatorId != null) {
+      let mappings = [];
+      try { mappings = await vdel.getPoolsForDelegator(delegatorId); } catch {}
+      if (Array.isArray(mappings) && mappings.length) {
+        for (const m of mappings) {
+          const vid = Number(m.validator_id ?? m.validatorId ?? m.pool_id ?? m.poolId);
+          if (!Number.isFinite(vid)) continue;
+          const acc = account || m.account_address || "";
+          try {
+            await alerts.handleDelegatorStakeChangedForValidator({
+              validatorId: String(vid),
+              delegatorId: String(delegatorId),
+              account: String(acc),
+              direction: "decreased",
+              newStakeMicro: String(ev?.newStake),
+              txHash,
+              blockHash,
+              timestampIso,
+            });
+          } catch (e) {
+            if (DEBUG) console.warn("[alerts] handleDelegatorStakeChangedForValidator (dec) failed:", e?.message || e);
+          }
         }
       }
-    } else if (tag === "BakerSetBakingRewardCommission") {
-      const validatorIdNum = extractValidatorId(ev);
-      const bakingRewardCommission = toNum(ev?.bakingRewardCommission);
-      if (validatorIdNum != null && bakingRewardCommission != null) {
-        try {
-          await alerts.handleCommissionUpdate({
-            validatorId: String(validatorIdNum),
-            bakingRewardCommission,
-            transactionFeeCommission: null,
-            blockHash,
-            txHash,
-            timestampIso,
-          });
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] handleCommissionUpdate (baking) failed:", e?.message || e);
-        }
+    }
+  }
+
+  if (tag === "DelegationAdded") {
+    const delegatorId = ev?.delegatorId ?? ev?.delegator_id;
+    const account     = extractAccountString(ev?.account);
+    if (delegatorId != null && account) {
+      try {
+        await alerts.handleNewDelegator_DelegationAdded({
+          delegatorId: String(delegatorId),
+          account: String(account),
+          txHash,
+        });
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] handleNewDelegator_DelegationAdded failed:", e?.message || e);
       }
     }
-    else if (tag === "BakerSuspended") {
-      const validatorIdNum = extractValidatorId(ev);
-      if (validatorIdNum != null) {
-        try {
-          await alerts.handleValidatorSuspended({
-            validatorId: String(validatorIdNum),
-            blockHash,
-            txHash,
-            timestampIso,
-          });
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] handleValidatorSuspended failed:", e?.message || e);
-        }
+  }
+
+  if (tag === "DelegationSetDelegationTarget") {
+    const delegatorId = ev?.delegatorId ?? ev?.delegator_id;
+    const t = parseDelegationTargetFromEvent(ev);
+    if (delegatorId != null && t?.type === "pool" && Number.isFinite(t.poolId)) {
+      try {
+        await alerts.handleNewDelegator_TargetSet({
+          delegatorId: String(delegatorId),
+          bakerId: String(t.poolId),
+          txHash,
+        });
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] handleNewDelegator_TargetSet failed:", e?.message || e);
       }
     }
-    else if (tag === "BakerResumed") {
-      const validatorIdNum = extractValidatorId(ev);
-      if (validatorIdNum != null) {
-        try {
-          await alerts.handleValidatorResumed({
-            validatorId: String(validatorIdNum),
-            blockHash,
-            txHash,
-            timestampIso,
-          });
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] handleValidatorResumed failed:", e?.message || e);
-        }
+  }
+
+  if (tag === "BakerSetTransactionFeeCommission") {
+    const validatorIdNum = extractValidatorId(ev);
+    const transactionFeeCommission = toNum(ev?.transactionFeeCommission);
+    if (validatorIdNum != null && transactionFeeCommission != null) {
+      try {
+        await alerts.handleCommissionUpdate({
+          validatorId: String(validatorIdNum),
+          bakingRewardCommission: null,
+          transactionFeeCommission,
+          blockHash,
+          txHash,
+          timestampIso,
+        });
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] handleCommissionUpdate (tx fee) failed:", e?.message || e);
       }
     }
-    else if (tag === "DelegationSetDelegationTarget") {
-      const target = parseDelegationTargetFromEvent(ev);
-      const account =
-        extractAccountString(ev?.account) ||
-        extractAccountString(ev?.address) ||
-        extractAccountString(ev?.owner);
+  } else if (tag === "BakerSetBakingRewardCommission") {
+    const validatorIdNum = extractValidatorId(ev);
+    const bakingRewardCommission = toNum(ev?.bakingRewardCommission);
+    if (validatorIdNum != null && bakingRewardCommission != null) {
+      try {
+        await alerts.handleCommissionUpdate({
+          validatorId: String(validatorIdNum),
+          bakingRewardCommission,
+          transactionFeeCommission: null,
+          blockHash,
+          txHash,
+          timestampIso,
+        });
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] handleCommissionUpdate (baking) failed:", e?.message || e);
+      }
+    }
+  }
+  else if (tag === "BakerSuspended") {
+    const validatorIdNum = extractValidatorId(ev);
+    if (validatorIdNum != null) {
+      try {
+        await alerts.handleValidatorSuspended({
+          validatorId: String(validatorIdNum),
+          blockHash,
+          txHash,
+          timestampIso,
+        });
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] handleValidatorSuspended failed:", e?.message || e);
+      }
+    }
+  }
+  else if (tag === "BakerResumed") {
+    const validatorIdNum = extractValidatorId(ev);
+    if (validatorIdNum != null) {
+      try {
+        await alerts.handleValidatorResumed({
+          validatorId: String(validatorIdNum),
+          blockHash,
+          txHash,
+          timestampIso,
+        });
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] handleValidatorResumed failed:", e?.message || e);
+      }
+    }
+  }
+  else if (tag === "DelegationSetDelegationTarget") {
+    const target = parseDelegationTargetFromEvent(ev);
+    const account =
+      extractAccountString(ev?.account) ||
+      extractAccountString(ev?.address) ||
+      extractAccountString(ev?.owner);
 
-      if (account && target) {
-        const newTarget =
-          target.type === "passive" ? "passive" : String(target.poolId);
+    if (account && target) {
+      const newTarget =
+        target.type === "passive" ? "passive" : String(target.poolId);
 
-        try {
-          await alerts.handleDelegationTargetChanged({
-            account,
-            newTarget,
-            blockHash,
-            txHash,
-            timestampIso,
-          });
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] handleDelegationTargetChanged failed:", e?.message || e);
-        }
+      try {
+        await alerts.handleDelegationTargetChanged({
+          account,
+          newTarget,
+          blockHash,
+          txHash,
+          timestampIso,
+        });
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] handleDelegationTargetChanged failed:", e?.message || e);
       }
     }
-    else if (tag === "BakerRemoved") {
-      const validatorId = extractValidatorId(ev);
-      const account = extractAccountString(ev?.account)
-                  || extractAccountString(ev?.address)
-                  || extractAccountString(ev?.owner);
-      if (validatorId != null) {
-        let impactedDiscordIds = [];
-        try {
-          impactedDiscordIds = await alerts.getDelegatorDiscordIdsByValidator(String(validatorId));
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] getDelegatorDiscordIdsByValidator failed:", e?.message || e);
-        }
+  }
+  else if (tag === "BakerRemoved") {
+    const validatorId = extractValidatorId(ev);
+    const account = extractAccountString(ev?.account)
+                || extractAccountString(ev?.address)
+                || extractAccountString(ev?.owner);
+    if (validatorId != null) {
+      let impactedDiscordIds = [];
+      try {
+        impactedDiscordIds = await alerts.getDelegatorDiscordIdsByValidator(String(validatorId));
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] getDelegatorDiscordIdsByValidator failed:", e?.message || e);
+      }
 
-        try {
-          await alerts.handleValidatorRemoved({
-            validatorId,
-            blockHash,
-            txHash,
-            timestampIso,
-          });
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] handleValidatorRemoved failed:", e?.message || e);
-        }
+      try {
+        await alerts.handleValidatorRemoved({
+          validatorId,
+          blockHash,
+          txHash,
+          timestampIso,
+        });
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] handleValidatorRemoved failed:", e?.message || e);
+      }
 
-        try {
-          await alerts.handleNetworkValidatorRemoved({
-            validatorId,
-            account: account ? String(account) : null,
-            txHash,
-            blockHash,
-            excludeDiscordIds: impactedDiscordIds,
-          });
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] handleNetworkValidatorRemoved failed:", e?.message || e);
-        }
+      try {
+        await alerts.handleNetworkValidatorRemoved({
+          validatorId,
+          account: account ? String(account) : null,
+          txHash,
+          blockHash,
+          excludeDiscordIds: impactedDiscordIds,
+        });
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] handleNetworkValidatorRemoved failed:", e?.message || e);
       }
     }
-    else if (tag === "BakerStakeIncreased") {
-      const validatorIdNum = extractValidatorId(ev);
-      const newStakeMicro = toNum(ev?.newStake);
-      const account = extractAccountString(ev?.account);
-      if (validatorIdNum != null && newStakeMicro != null) {
-        try {
-          await alerts.handleValidatorStakeIncreased({
-            validatorId: String(validatorIdNum),
-            account: account ? String(account) : null,
-            newStakeMicro,
-            txHash,
-            blockHash,
-            timestampIso,
-          });
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] handleValidatorStakeIncreased failed:", e?.message || e);
-        }
+  }
+  else if (tag === "BakerStakeIncreased") {
+    const validatorIdNum = extractValidatorId(ev);
+    const newStakeMicro = toNum(ev?.newStake);
+    const account = extractAccountString(ev?.account);
+    if (validatorIdNum != null && newStakeMicro != null) {
+      try {
+        await alerts.handleValidatorStakeIncreased({
+          validatorId: String(validatorIdNum),
+          account: account ? String(account) : null,
+          newStakeMicro,
+          txHash,
+          blockHash,
+          timestampIso,
+        });
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] handleValidatorStakeIncreased failed:", e?.message || e);
       }
     }
-    else if (tag === "BakerStakeDecreased") {
-      const validatorIdNum = extractValidatorId(ev);
-      const account = extractAccountString(ev?.account)
-                   || extractAccountString(ev?.address)
-                   || extractAccountString(ev?.owner);
-      const newStakeMicro = toNum(ev?.newStake);
-      if (validatorIdNum != null && account && newStakeMicro != null) {
-        try {
-          await alerts.handleValidatorStakeDecreased({
-            validatorId: String(validatorIdNum),
-            account: String(account),
-            newStakeMicro,
-            txHash,
-            blockHash,
-            timestampIso,
-          });
-        } catch (e) {
-          if (DEBUG) console.warn("[alerts] handleValidatorStakeDecreased failed:", e?.message || e);
-        }
+  }
+  else if (tag === "BakerStakeDecreased") {
+    const validatorIdNum = extractValidatorId(ev);
+    const account = extractAccountString(ev?.account)
+                 || extractAccountString(ev?.address)
+                 || extractAccountString(ev?.owner);
+    const newStakeMicro = toNum(ev?.newStake);
+    if (validatorIdNum != null && account && newStakeMicro != null) {
+      try {
+        await alerts.handleValidatorStakeDecreased({
+          validatorId: String(validatorIdNum),
+          account: String(account),
+          newStakeMicro,
+          txHash,
+          blockHash,
+          timestampIso,
+        });
+      } catch (e) {
+        if (DEBUG) console.warn("[alerts] handleValidatorStakeDecreased failed:", e?.message || e);
       }
     }
   }
+}
+
+async function handleTxAlerts(events, { txHash, blockHash, timestampIso }) {
+  const newDelegatorsInTx = new Set();
+
+  const bakerAddedMap = new Map();
+
+  for (let i = 0; i < events.length; i++) {
+    const e = events[i];
+    const t = eventTag(e);
+    if (!t) continue;
+
+    if (t === "DelegationAdded") {
+      const id = toNum(e?.delegatorId ?? e?.delegator_id);
+      if (id != null) newDelegatorsInTx.add(id);
+    }
+
+    if (t === "BakerAdded") {
+      const vid = extractValidatorId(e);
+      if (vid != null) {
+        const current = bakerAddedMap.get(String(vid)) || {};
+        current.sawAdded = true;
+        current.eventIndex = i;
+        current.account = extractAccountString(e?.account) || current.account || null;
+        current.stakeMicro = toNum(e?.stake) ?? current.stakeMicro ?? null;
+        if (typeof e?.restakeEarnings === "boolean") current.restakeEarnings = e.restakeEarnings;
+        bakerAddedMap.set(String(vid), current);
+      }
+    } else if (t === "BakerSetRestakeEarnings") {
+      const vid = extractValidatorId(e);
+      if (vid != null) {
+        const current = bakerAddedMap.get(String(vid)) || {};
+        if (typeof e?.restakeEarnings === "boolean") current.restakeEarnings = e.restakeEarnings;
+        current.account = extractAccountString(e?.account) || current.account || null;
+        bakerAddedMap.set(String(vid), current);
+      }
+    } else if (t === "BakerSetOpenStatus") {
+      const vid = extractValidatorId(e);
+      if (vid != null) {
+        const current = bakerAddedMap.get(String(vid)) || {};
+        current.openStatus = e?.openStatus || current.openStatus || null;
+        current.account = extractAccountString(e?.account) || current.account || null;
+        bakerAddedMap.set(String(vid), current);
+      }
+    } else if (t === "BakerSetTransactionFeeCommission") {
+      const vid = extractValidatorId(e);
+      if (vid != null) {
+        const current = bakerAddedMap.get(String(vid)) || {};
+        current.txFee = toNum(e?.transactionFeeCommission);
+        current.account = extractAccountString(e?.account) || current.account || null;
+        bakerAddedMap.set(String(vid), current);
+      }
+    } else if (t === "BakerSetBakingRewardCommission") {
+      const vid = extractValidatorId(e);
+      if (vid != null) {
+        const current = bakerAddedMap.get(String(vid)) || {};
+        current.baking = toNum(e?.bakingRewardCommission);
+        current.account = extractAccountString(e?.account) || current.account || null;
+        bakerAddedMap.set(String(vid), current);
+      }
+    } else if (t === "BakerSetFinalizationRewardCommission") {
+      const vid = extractValidatorId(e);
+      if (vid != null) {
+        const current = bakerAddedMap.get(String(vid)) || {};
+        current.finalization = toNum(e?.finalizationRewardCommission);
+        current.account = extractAccountString(e?.account) || current.account || null;
+        bakerAddedMap.set(String(vid), current);
+      }
+    } else if (t === "BakerSetMetadataURL") {
+      const vid = extractValidatorId(e);
+      if (vid != null) {
+        const current = bakerAddedMap.get(String(vid)) || {};
+        current.metadataUrl = (e?.metadataURL ?? e?.metadataUrl ?? "").trim();
+        current.account = extractAccountString(e?.account) || current.account || null;
+        bakerAddedMap.set(String(vid), current);
+      }
+    }
+  }
+
+  for (let i = 0; i < events.length; i++) {
+    const ev = events[i];
+    if (!eventTag(ev)) continue;
+    await ledger.runWithEvent({ blockHash, txHash, eventIndex: i }, () =>
+      handleTxEvent(ev, { txHash, blockHash, timestampIso, newDelegatorsInTx })
+    );
+  }
 
   if (bakerAddedMap.size) {
     for (const [vid, info] of bakerAddedMap) {
       if (info?.sawAdded === true) {
         try {
-          await alerts.handleNetworkValidatorAdded({
-            validatorId: String(vid),
-            account: info.account || null,
-            stakeMicro: info.stakeMicro ?? null,
-            openStatus: info.openStatus ?? null,
-            commissions: {
-              baking: typeof info.baking === "number" ? info.baking : undefined,
-              txFee: typeof info.txFee === "number" ? info.txFee : undefined,
-              finalization: typeof info.finalization === "number" ? info.finalization : undefined,
-            },
-            txHash,
-            blockHash,
-            metadataUrl: info.metadataUrl || null,
-          });
+          await ledger.runWithEvent({ blockHash, txHash, eventIndex: info.eventIndex }, () =>
+            alerts.handleNetworkValidatorAdded({
+              validatorId: String(vid),
+              account: info.account || null,
+              stakeMicro: info.stakeMicro ?? null,
+              openStatus: info.openStatus ?? null,
+              commissions: {
+                baking: typeof info.baking === "number" ? info.baking : undefined,
+                txFee: typeof info.txFee === "number" ? info.txFee : undefined,
+                finalization: typeof info.finalization === "number" ? info.finalization : undefined,
+              },
+              txHash,
+              blockHash,
+              metadataUrl: info.metadataUrl || null,
+            })
+          );
         } catch (e) {
           if (DEBUG) console.warn("[alerts] handleNetworkValidatorAdded failed:", e?.message || e);
         }
@@ -981,7 +1158,7 @@ async function processBlock(grpcClient, blockHash, height) {
     console.log(`🧱 [grpc] new block ${hash} (height=${height ?? "?"})`);
   }
 
-  const blockTimeIso = await getBlockTimeIso(grpcClient, blockHash);
+  const { timestampIso: blockTimeIso, bakerId } = await getBlockMeta(grpcClient, blockHash);
 
   try {
     for await (const item of grpcClient.getBlockTransactionEvents(blockHash)) {
@@ -994,7 +1171,11 @@ async function processBlock(grpcClient, blockHash, height) {
       let sender = pickSender(item);
 
       if (haveWaiters && !sender && txHash) {
-        sender = await senderFromCLI(txHash);
+        try {
+          sender = await chain.getTransactionSender(txHash);
+        } catch (e) {
+          if (DEBUG) console.log(`[sender] lookup failed for ${txHash}: ${e?.message || e}`);
+        }
       }
 
       const key = normAddr(sender);
@@ -1010,16 +1191,24 @@ async function processBlock(grpcClient, blockHash, height) {
       let memo = { text: null, hex: null };
 
       if ((hasDelegatorWaiter || hasValidatorWaiter) && txHash) {
-        memo = await memoFromCLI(txHash);
+        memo = chain.memoFromSummary(item);
+        if (!memo.text) {
+          try {
+            memo = await chain.getTransactionMemo(txHash);
+          } catch (e) {
+            if (DEBUG) console.log(`[memo] lookup failed for ${txHash}: ${e?.message || e}`);
+          }
+        }
         if (DEBUG && memo.text) {
-          console.log(`[memo] extracted via cli: "${memo.text}" (hex:${memo.hex}) tx=${txHash}`);
+          console.log(`[memo] extracted: "${memo.text}" (hex:${memo.hex}) tx=${txHash}`);
         }
       }
 
       if (hasDelegatorWaiter) {
         const w = delegatorWaiters.get(key);
         const ok = memo.text && normMemo(memo.text) === normMemo(w.expectedMemo);
-        if (ok) {
+        if (ok && !w.matched) {
+          w.matched = true;
           try {
             await w.onSuccess?.({
               txHash,
@@ -1032,7 +1221,7 @@ async function processBlock(grpcClient, blockHash, height) {
           } finally {
             delegatorWaiters.delete(key);
           }
-        } else if (memo.text && delegatorWrongMemoNotifier) {
+        } else if (!ok && memo.text && delegatorWrongMemoNotifier) {
           try {
             await delegatorWrongMemoNotifier({
               discordId: w.discordId,
@@ -1047,7 +1236,8 @@ async function processBlock(grpcClient, blockHash, height) {
       if (hasValidatorWaiter) {
         const vw = validatorWaiters.get(key);
         const ok = memo.text && normMemo(memo.text) === normMemo(vw.expectedMemo);
-        if (ok) {
+        if (ok && !vw.matched) {
+          vw.matched = true;
           try {
             await vw.onSuccess?.({
               txHash,
@@ -1061,7 +1251,7 @@ async function processBlock(grpcClient, blockHash, height) {
           } finally {
             validatorWaiters.delete(key);
           }
-        } else if (memo.text && validatorWrongMemoNotifier) {
+        } else if (!ok && memo.text && validatorWrongMemoNotifier) {
           try {
             await validatorWrongMemoNotifier({
               discordId: vw.discordId,
@@ -1073,6 +1263,10 @@ async function processBlock(grpcClient, blockHash, height) {
         }
       }
 
+      if (haveWaiters && txHash) {
+        await checkMemoImpersonation({ item, memo, senderKey: key, sender, txHash, blockHash: hash });
+      }
+
       const events = getItemEvents(item);
       if (txHash) {
         if (LOG_TX) {
@@ -1089,6 +1283,17 @@ async function processBlock(grpcClient, blockHash, height) {
           } catch (e) {
             if (DEBUG) console.warn("[alerts] handleTxAlerts failed:", e?.message || e);
           }
+
+          for (let i = 0; i < events.length; i++) {
+            await dispatchEvent(eventTag(events[i]), events[i], {
+              txHash,
+              blockHash: hash,
+              height,
+              eventIndex: i,
+              timestampIso: blockTimeIso,
+              special: false,
+            });
+          }
         }
 
         if (LOG_TX_EVENTS && events && events.length) {
@@ -1107,19 +1312,34 @@ async function processBlock(grpcClient, blockHash, height) {
       }
     }
   } catch (e) {
-    console.warn("[grpc] getBlockTransactionEvents failed:", e?.message || e);
+    // Rethrown so the cursor stays before this block and the reconnect loop retries it (the ledger dedupes DMs).
+    console.warn(`[grpc] getBlockTransactionEvents failed at height ${height ?? "?"}:`, e?.message || e);
+    throw e;
   }
 
   try {
+    let specialIndex = 0;
     for await (const se of grpcClient.getBlockSpecialEvents(blockHash)) {
       const tag = se?.tag || se?.type || se?._tag;
+      const eventIndex = specialIndex++;
 
       if (tag) {
         try {
-          await handleSpecialAlerts(tag, se, { blockHash: hash, timestampIso: blockTimeIso });
+          await ledger.runWithEvent({ blockHash: hash, txHash: "", eventIndex }, () =>
+            handleSpecialAlerts(tag, se, { blockHash: hash, timestampIso: blockTimeIso })
+          );
         } catch (e) {
           if (DEBUG) console.warn("[alerts] handleSpecialAlerts failed:", e?.message || e);
         }
+
+        await dispatchEvent(tag, se, {
+          txHash: null,
+          blockHash: hash,
+          height,
+          eventIndex,
+          timestampIso: blockTimeIso,
+          special: true,
+        });
       }
 
       if (LOG_SPECIAL) {
@@ -1137,12 +1357,78 @@ async function processBlock(grpcClient, blockHash, height) {
       }
     }
   } catch (e) {
-    console.warn("[grpc] getBlockSpecialEvents failed:", e?.message || e);
+    console.warn(`[grpc] getBlockSpecialEvents failed at height ${height ?? "?"}:`, e?.message || e);
+    throw e;
+  }
+
+  if (blockSubscribers.size) {
+    await dispatchBlock({ blockHash: hash, height, bakerId, timestampIso: blockTimeIso });
   }
 }
 
 let lastHeight = null;
 
+async function loadCursor() {
+  try {
+    const res = await pool.query(
+      "SELECT last_height FROM txlogger_cursor WHERE name = $1",
+      [CURSOR_NAME]
+    );
+    if (res.rowCount === 0) return null;
+    const n = Number(res.rows[0].last_height);
+    return Number.isFinite(n) ? n : null;
+  } catch (e) {
+    console.warn("[grpc] could not load block cursor:", e?.message || e);
+    return null;
+  }
+}
+
+async function saveCursor(height) {
+  try {
+    await pool.query(
+      `INSERT INTO txlogger_cursor (name, last_height, updated_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP)
+       ON CONFLICT (name) DO UPDATE
+         SET last_height = EXCLUDED.last_height,
+             updated_at = CURRENT_TIMESTAMP`,
+      [CURSOR_NAME, height]
+    );
+  } catch (e) {
+    if (DEBUG) console.warn(`[grpc] could not save block cursor at ${height}:`, e?.message || e);
+  }
+}
+
+async function resolveStartHeight(consensusStatus) {
+  const cursor = await loadCursor();
+  if (cursor == null) {
+    console.log("ℹ️ [grpc] no stored block cursor, starting from the live tip");
+    return null;
+  }
+
+  const tip = Number(consensusStatus?.lastFinalizedBlockHeight);
+  if (!Number.isFinite(tip)) return cursor;
+
+  const behind = tip - cursor;
+  if (behind <= 0) return cursor;
+
+  if (MAX_CATCHUP_BLOCKS <= 0) {
+    console.warn(`⚠️ [grpc] catch-up disabled (TXL_MAX_CATCHUP_BLOCKS=0); skipping ${cursor + 1}..${tip}`);
+    return tip;
+  }
+
+  if (behind > MAX_CATCHUP_BLOCKS) {
+    const from = tip - MAX_CATCHUP_BLOCKS;
+    console.warn(
+      `⚠️ [grpc] cursor ${cursor} is ${behind} blocks behind tip ${tip}; ` +
+      `catching up only the last ${MAX_CATCHUP_BLOCKS} blocks (skipping ${cursor + 1}..${from})`
+    );
+    return from;
+  }
+
+  console.log(`⏪ [grpc] resuming from cursor ${cursor}, catching up ${behind} block(s) to tip ${tip}`);
+  return cursor;
+}
+
 async function startTxLoggerListener() {
   if (!ConcordiumGRPCNodeClient) {
     ({ ConcordiumGRPCNodeClient, credentials } = await import("@concordium/web-sdk/nodejs"));
@@ -1152,13 +1438,20 @@ async function startTxLoggerListener() {
 
   console.log(`🔌 [grpc] connecting to ${GRPC_HOST}:${GRPC_PORT} (tls=${USE_TLS ? "on" : "off"})`);
 
-  await grpcClient
+  const consensusStatus = await grpcClient
     .getConsensusStatus()
-    .then(() => console.log("✅ [grpc] consensus status OK, starting block stream"))
+    .then((status) => {
+      console.log("✅ [grpc] consensus status OK, starting block stream");
+      return status;
+    })
     .catch((e) => { throw new Error(`Could not reach node: ${e?.message || e}`); });
 
   ensurePruneTimer();
 
+  if (lastHeight == null) {
+    lastHeight = await resolveStartHeight(consensusStatus);
+  }
+
   while (true) {
     try {
       const stream =
@@ -1181,19 +1474,17 @@ async function startTxLoggerListener() {
           const missingTo = h - 1;
           console.warn(`⚠️ [grpc] height gap: had ${lastHeight}, got ${h}. Backfilling ${missingFrom}..${missingTo}`);
           for (let hh = missingFrom; hh <= missingTo; hh++) {
-            try {
-              for await (const bh of grpcClient.getBlocksAtHeight(BigInt(hh))) {
-                await processBlock(grpcClient, bh, hh);
-                break;
-              }
-            } catch (e) {
-              console.warn(`[grpc] backfill failed at height ${hh}:`, e?.message || e);
-            }
+            const hashes = await grpcClient.getBlocksAtHeight(BigInt(hh));
+            if (!hashes?.length) throw new Error(`backfill: no block at height ${hh}`);
+            await processBlock(grpcClient, hashes[0], hh);
+            lastHeight = hh;
+            await saveCursor(hh);
           }
         }
 
         await processBlock(grpcClient, hash, h);
         lastHeight = h;
+        await saveCursor(h);
       }
 
       await new Promise((r) => setTimeout(r, 1000));
@@ -1217,10 +1508,13 @@ async function pingTxLogger() {
 module.exports = {
   startTxLoggerListener,
   pingTxLogger,
+  subscribeToEvents,
+  subscribeToBlocks,
   registerDelegatorMemoWaiter,
   setDelegatorWrongMemoNotifier,
   setDelegatorWaiterExpiredNotifier,
   registerValidatorMemoWaiter,
   setValidatorWrongMemoNotifier,
   setValidatorWaiterExpiredNotifier,
+  setMemoImpersonationNotifier,
 };
\ No newline at end of file
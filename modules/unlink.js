@@ -0,0 +1,192 @@
+// modules/unlink.js
+/**
+ * Self-service `/unlink`: lets a member drop one of their verified links without leaving the server.
+ * Responsibilities:
+ * - handleUnlinkCommand(interaction): lists the caller's `verifications` rows in an ephemeral select menu
+ *   (customId `unlink_select`, one option per row id).
+ * - handleUnlinkSelect(interaction): deletes the chosen row (only if it belongs to the caller), cleans up
+ *   `validator_commissions` / `validator_delegators` for a validator link the same way member-leave-handler.js
+ *   does (unless another Validator row still references that validator; its pool role goes too), removes the
+ *   Discord role when no other row of the same role type remains, re-evaluates stake-tier and pool roles and
+ *   writes an entry to the mod log.
+ */
+const { Pool } = require("pg");
+const { ActionRowBuilder, StringSelectMenuBuilder } = require("discord.js");
+const { MSGS } = require("../utils/messages");
+const { TIER_ROLE_TYPES, syncStakeTiers } = require("./stakeTiers");
+const { syncPoolRoles, removePoolRole } = require("./poolRoles");
+
+const {
+  PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
+  DISCORD_GUILD_ID, MOD_LOGS_CHANNEL_ID,
+  VALIDATOR_ROLE_ID, DELEGATOR_ROLE_ID, DEV_ROLE_ID,
+} = process.env;
+
+const pool = new Pool({
+  user: PG_USER,
+  host: PG_HOST,
+  database: PG_DATABASE,
+  password: PG_PASSWORD,
+  port: PG_PORT,
+});
+
+const ROLE_IDS = {
+  Validator: VALIDATOR_ROLE_ID,
+  Delegator: DELEGATOR_ROLE_ID,
+  Developer: DEV_ROLE_ID,
+};
+
+const MAX_OPTIONS = 25;
+
+const short = (s) => (s ? `${String(s).slice(0, 6)}…${String(s).slice(-4)}` : "");
+
+function describeRow(r) {
+  if (r.role_type === "Developer") {
+    return { label: "Developer", description: r.github_profile ? String(r.github_profile).slice(0, 100) : "GitHub link" };
+  }
+  if (r.role_type === "Validator") {
+    return {
+      label: `Validator #${r.validator_id ?? "?"} — ${short(r.wallet_address)}`,
+      description: String(r.wallet_address).slice(0, 100),
+    };
+  }
+  const target = r.delegation_target === "passive"
+    ? "passive"
+    : r.delegation_target ? `pool #${r.delegation_target}` : "unknown target";
+  return {
+    label: `Delegator (${target}) — ${short(r.wallet_address)}`,
+    description: String(r.wallet_address).slice(0, 100),
+  };
+}
+
+async function sendModLog(client, content) {
+  if (!MOD_LOGS_CHANNEL_ID) return;
+  try {
+    const ch = await client.channels.fetch(MOD_LOGS_CHANNEL_ID).catch(() => null);
+    if (ch?.isTextBased?.()) await ch.send(content);
+  } catch (e) {
+    console.warn("[unlink] mod log failed:", e?.message || e);
+  }
+}
+
+async function handleUnlinkCommand(interaction) {
+  try {
+    const res = await pool.query(
+      `SELECT id, role_type, wallet_address, validator_id, delegation_target, github_profile
+         FROM verifications
+        WHERE discord_id = $1
+        ORDER BY verified_at`,
+      [interaction.user.id]
+    );
+
+    if (res.rowCount === 0) {
+      return interaction.reply({ content: MSGS.unlinkNothingLinked, flags: 64 });
+    }
+
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId("unlink_select")
+      .setPlaceholder("Choose a link to remove")
+      .addOptions(
+        res.rows.slice(0, MAX_OPTIONS).map((r) => {
+          const { label, description } = describeRow(r);
+          return { label: label.slice(0, 100), description, value: String(r.id) };
+        })
+      );
+
+    return interaction.reply({
+      content: MSGS.unlinkPrompt,
+      components: [new ActionRowBuilder().addComponents(menu)],
+      flags: 64,
+    });
+  } catch (e) {
+    console.error("[unlink] /unlink failed:", e);
+    try {
+      await interaction.reply({ content: "❌ Failed to load your links. Please try again later.", flags: 64 });
+    } catch {}
+  }
+}
+
+async function handleUnlinkSelect(interaction) {
+  const discordId = interaction.user.id;
+  const rowId = Number(interaction.values?.[0]);
+
+  try {
+    const res = await pool.query(
+      `SELECT id, role_type, wallet_address, validator_id
+         FROM verifications
+        WHERE id = $1 AND discord_id = $2`,
+      [rowId, discordId]
+    );
+    if (res.rowCount === 0) {
+      return interaction.update({ content: MSGS.unlinkAlreadyRemoved, components: [] });
+    }
+    const row = res.rows[0];
+
+    await pool.query("DELETE FROM verifications WHERE id = $1", [row.id]);
+
+    const validatorId = Number(row.validator_id);
+    if (row.role_type === "Validator" && Number.isFinite(validatorId)) {
+      const stillLinked = await pool.query(
+        "SELECT 1 FROM verifications WHERE role_type = 'Validator' AND validator_id = $1 LIMIT 1",
+        [validatorId]
+      );
+      if (stillLinked.rowCount === 0) {
+        try {
+          await pool.query("DELETE FROM validator_commissions WHERE validator_id = $1", [validatorId]);
+          await pool.query("DELETE FROM validator_delegators WHERE validator_id = $1", [validatorId]);
+          await removePoolRole(interaction.client, validatorId, `validator unlinked by <@${discordId}>`);
+        } catch (e) {
+          console.warn(`[unlink] validator cleanup failed for #${validatorId}:`, e?.message || e);
+        }
+      }
+    }
+
+    const remaining = await pool.query(
+      "SELECT COUNT(*)::int AS n FROM verifications WHERE discord_id = $1 AND role_type = $2",
+      [discordId, row.role_type]
+    );
+    const keepRole = (remaining.rows[0]?.n ?? 0) > 0;
+
+    if (TIER_ROLE_TYPES.includes(row.role_type)) {
+      await syncStakeTiers(interaction.client, discordId, row.role_type);
+    }
+    if (row.role_type === "Delegator") await syncPoolRoles(interaction.client, discordId);
+
+    let roleRemoved = false;
+    const roleId = ROLE_IDS[row.role_type];
+    if (!keepRole && roleId) {
+      try {
+        const guild = await interaction.client.guilds.fetch(DISCORD_GUILD_ID);
+        const member = await guild.members.fetch(discordId).catch(() => null);
+        if (member?.roles?.cache?.has(roleId)) {
+          await member.roles.remove(roleId, "Unlinked by user (/unlink)");
+          roleRemoved = true;
+        }
+      } catch (e) {
+        console.warn(`[unlink] role removal failed for ${discordId}:`, e?.message || e);
+      }
+    }
+
+    await sendModLog(
+      interaction.client,
+      `🔓 <@${discordId}> unlinked **${row.role_type}**` +
+        (row.role_type === "Developer" ? "" : ` (address \`${row.wallet_address}\`)`) +
+        (roleRemoved ? ` and lost <@&${roleId}>.` : keepRole ? "; role kept (other linked rows)." : ".")
+    );
+
+    return interaction.update({
+      content: MSGS.unlinkDone(row.role_type, row.role_type === "Developer" ? null : row.wallet_address, roleRemoved),
+      components: [],
+    });
+  } catch (e) {
+    console.error("[unlink] unlink failed:", e);
+    try {
+      await interaction.update({ content: "❌ Failed to unlink. Please try again later.", components: [] });
+    } catch {}
+  }
+}
+
+module.exports = {
+  handleUnlinkCommand,
+  handleUnlinkSelect,
+};
@@ -2,7 +2,7 @@
 /**
  * Maintains the `validator_delegators` table by syncing on-chain delegators per validator.
  * Responsibilities:
- * - Connects to a Concordium node via @concordium/web-sdk/nodejs (TLS optional; GRPC_IP/PORT/TLS envs).
+ * - Uses the shared Concordium gRPC client from chainQueries (TLS optional; GRPC_IP/PORT/TLS envs).
  * - Fetches current pool delegators (getPoolDelegators + getAccountInfo), normalizes IDs/addresses.
  * - Upserts rows with `first_seen_at` / `last_seen_at` and prunes delegators no longer in the pool.
  * - Helpers:
@@ -14,13 +14,8 @@ const { Pool } = require("pg");
 
 const {
   PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
-  GRPC_IP, GRPC_PORT, GRPC_TLS
 } = process.env;
 
-const USE_TLS = (String(GRPC_TLS || "")).toLowerCase() === "true" || GRPC_TLS === "1";
-const HOST = GRPC_IP || "127.0.0.1";
-const PORT = Number(GRPC_PORT || 20000);
-
 const pool = new Pool({
   user: PG_USER,
   host: PG_HOST,
@@ -29,14 +24,7 @@ const pool = new Pool({
   port: PG_PORT,
 });
 
-let ConcordiumGRPCNodeClient, credentials;
-async function getGrpc() {
-  if (!ConcordiumGRPCNodeClient) {
-    ({ ConcordiumGRPCNodeClient, credentials } = await import("@concordium/web-sdk/nodejs"));
-  }
-  const creds = USE_TLS ? credentials.createSsl() : credentials.createInsecure();
-  return new ConcordiumGRPCNodeClient(HOST, PORT, creds);
-}
+const { getGrpc } = require("./chainQueries");
 
 function stripQuotes(s) {
   if (s == null) return null;
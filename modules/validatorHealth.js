@@ -0,0 +1,161 @@
+// modules/validatorHealth.js
+/**
+ * Periodic health check of verified validators, well before the chain primes them for suspension.
+ * Responsibilities:
+ * - checkValidatorHealth(): reads the current PayDay status of every pool (chain.getPoolStatus). The network's
+ *   blocks baked so far this PayDay times a validator's lottery power is its expected block count; a verified
+ *   validator that baked less than VALIDATOR_HEALTH_MIN_RATIO of it (once at least VALIDATOR_HEALTH_MIN_EXPECTED
+ *   blocks were expected, to keep early-PayDay noise out) gets an early-warning DM (category "health").
+ * - Warnings repeat at most every VALIDATOR_HEALTH_COOLDOWN_HOURS per validator; the state lives in
+ *   `validator_health` and is cleared once the validator is back on track. Suspended or primed validators are
+ *   skipped (the chain's own events cover them).
+ * - startValidatorHealthMonitor(): node-cron job (VALIDATOR_HEALTH_CRON, UTC; empty = off). A run is skipped
+ *   when the node is unreachable.
+ */
+const cron = require("node-cron");
+const { Pool } = require("pg");
+const { MSGS } = require("../utils/messages");
+const chain = require("./chainQueries");
+const { safeDM } = require("./alerts");
+
+const {
+  PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
+} = process.env;
+
+const HEALTH_CRON = (process.env.VALIDATOR_HEALTH_CRON ?? "*/30 * * * *").trim();
+const MIN_RATIO = Number(process.env.VALIDATOR_HEALTH_MIN_RATIO || 0.5);
+const MIN_EXPECTED = Number(process.env.VALIDATOR_HEALTH_MIN_EXPECTED || 10);
+const COOLDOWN_HOURS = Number(process.env.VALIDATOR_HEALTH_COOLDOWN_HOURS || 12);
+
+const DEBUG =
+  (process.env.ALERTS_DEBUG || "").toLowerCase() === "true" ||
+  process.env.ALERTS_DEBUG === "1";
+
+const pool = new Pool({
+  user: PG_USER,
+  host: PG_HOST,
+  database: PG_DATABASE,
+  password: PG_PASSWORD,
+  port: PG_PORT,
+});
+
+async function getVerifiedValidators() {
+  const res = await pool.query(
+    `SELECT validator_id, array_agg(DISTINCT discord_id) AS owners
+       FROM verifications
+      WHERE role_type = 'Validator'
+        AND validator_id IS NOT NULL
+        AND discord_id IS NOT NULL
+      GROUP BY validator_id`
+  );
+  return res.rows.map((r) => ({ validatorId: Number(r.validator_id), owners: r.owners.map(String) }));
+}
+
+// Current PayDay status of every pool plus the network's blocks baked so far in this PayDay.
+async function getPaydayStats() {
+  const ids = await chain.listValidatorIds();
+  const pools = new Map();
+  let networkBlocks = 0;
+  for (const id of ids) {
+    const st = await chain.getPoolStatus(id);
+    if (!st?.currentPayday) continue;
+    pools.set(id, st);
+    networkBlocks += st.currentPayday.blocksBaked || 0;
+  }
+  return { pools, networkBlocks };
+}
+
+async function shouldWarn(validatorId) {
+  const res = await pool.query(
+    `SELECT 1 FROM validator_health
+      WHERE validator_id = $1
+        AND warned_at > CURRENT_TIMESTAMP - ($2::int * INTERVAL '1 hour')`,
+    [validatorId, COOLDOWN_HOURS]
+  );
+  return res.rowCount === 0;
+}
+
+async function recordCheck(validatorId, expected, baked, warned) {
+  await pool.query(
+    `INSERT INTO validator_health (validator_id, expected_blocks, baked_blocks, checked_at, warned_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CASE WHEN $4 THEN CURRENT_TIMESTAMP END)
+     ON CONFLICT (validator_id) DO UPDATE
+       SET expected_blocks = EXCLUDED.expected_blocks,
+           baked_blocks = EXCLUDED.baked_blocks,
+           checked_at = CURRENT_TIMESTAMP,
+           warned_at = CASE WHEN $4 THEN CURRENT_TIMESTAMP ELSE validator_health.warned_at END`,
+    [validatorId, expected, baked, warned]
+  );
+}
+
+async function clearWarning(validatorId) {
+  await pool.query("UPDATE validator_health SET warned_at = NULL WHERE validator_id = $1", [validatorId]);
+}
+
+async function checkValidatorHealth() {
+  const validators = await getVerifiedValidators();
+  if (!validators.length) return { checked: 0, warned: 0 };
+
+  let stats;
+  try {
+    stats = await getPaydayStats();
+  } catch (e) {
+    console.warn("[health] node unreachable, skipping run:", e?.message || e);
+    return { checked: 0, warned: 0 };
+  }
+
+  let checked = 0;
+  let warned = 0;
+  for (const { validatorId, owners } of validators) {
+    const st = stats.pools.get(validatorId);
+    if (!st || st.isSuspended || st.isPrimedForSuspension) continue;
+
+    const lotteryPower = Number(st.currentPayday.lotteryPower) || 0;
+    const baked = st.currentPayday.blocksBaked || 0;
+    const expected = lotteryPower * stats.networkBlocks;
+    checked++;
+
+    if (expected < MIN_EXPECTED || baked >= expected * MIN_RATIO) {
+      await recordCheck(validatorId, expected, baked, false);
+      if (baked >= expected * MIN_RATIO) await clearWarning(validatorId);
+      continue;
+    }
+
+    const warn = await shouldWarn(validatorId);
+    await recordCheck(validatorId, expected, baked, warn);
+    if (!warn) continue;
+
+    warned++;
+    if (DEBUG) console.log(`[health] validator ${validatorId} behind: ${baked}/${expected.toFixed(1)} blocks`);
+    for (const uid of owners) {
+      await safeDM(
+        uid,
+        MSGS.validatorBehindSchedule(`<@${uid}>`, validatorId, baked, expected, lotteryPower, st.currentPayday),
+        "health"
+      );
+    }
+  }
+  return { checked, warned };
+}
+
+let healthTask = null;
+function startValidatorHealthMonitor() {
+  if (healthTask || !HEALTH_CRON) return;
+  if (!cron.validate(HEALTH_CRON)) {
+    console.warn(`[health] invalid VALIDATOR_HEALTH_CRON "${HEALTH_CRON}", health monitor disabled`);
+    return;
+  }
+  healthTask = cron.schedule(
+    HEALTH_CRON,
+    () => {
+      checkValidatorHealth().catch((e) => console.warn("[health] run failed:", e?.message || e));
+    },
+    { timezone: "UTC" }
+  );
+  console.log(`⏰ Validator health monitor scheduled (${HEALTH_CRON} UTC)`);
+}
+
+module.exports = {
+  checkValidatorHealth,
+  startValidatorHealthMonitor,
+};
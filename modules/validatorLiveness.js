@@ -0,0 +1,205 @@
+// modules/validatorLiveness.js
+/**
+ * Node liveness check for verified validators, based on their earliest win time.
+ * Responsibilities:
+ * - Listens to every processed block (txloggerListener.subscribeToBlocks) and records the slot time of the last
+ *   block baked by each verified validator in `validator_liveness`; a block resets the miss counter.
+ * - checkValidatorLiveness(): for every verified, non-suspended validator asks the node for
+ *   getBakerEarliestWinTime and stores the projection (usually in the future; the node moves it to a later round
+ *   once the current one passes). On a later run, once the stored time is more than LIVENESS_GRACE_MINUTES in
+ *   the past and the node reports a newer one, the stored window is judged: without a block from the validator
+ *   since then it counts as missed (each stored time exactly once). From
+ *   LIVENESS_MISS_THRESHOLD missed windows on, the owners get a "node seems offline" DM (category "health"),
+ *   repeated at most every LIVENESS_COOLDOWN_HOURS; the next block of that validator sends an all-clear.
+ * - Runs are skipped while the listener is behind the chain (no recent block seen), so catch-up after downtime
+ *   does not produce false alarms.
+ * - startValidatorLivenessMonitor(): subscribes to blocks and schedules the check (LIVENESS_CRON, UTC; empty = off).
+ */
+const cron = require("node-cron");
+const { Pool } = require("pg");
+const { MSGS } = require("../utils/messages");
+const chain = require("./chainQueries");
+const { safeDM } = require("./alerts");
+
+const {
+  PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
+} = process.env;
+
+const LIVENESS_CRON = (process.env.LIVENESS_CRON ?? "*/5 * * * *").trim();
+const GRACE_MS = Number(process.env.LIVENESS_GRACE_MINUTES || 10) * 60 * 1000;
+const MISS_THRESHOLD = Math.max(1, Number(process.env.LIVENESS_MISS_THRESHOLD || 3));
+const COOLDOWN_HOURS = Number(process.env.LIVENESS_COOLDOWN_HOURS || 6);
+
+const DEBUG =
+  (process.env.ALERTS_DEBUG || "").toLowerCase() === "true" ||
+  process.env.ALERTS_DEBUG === "1";
+
+const pool = new Pool({
+  user: PG_USER,
+  host: PG_HOST,
+  database: PG_DATABASE,
+  password: PG_PASSWORD,
+  port: PG_PORT,
+});
+
+let _txl = null;
+async function _getTxl() {
+  if (_txl) return _txl;
+  const m = await import("./txloggerListener.js");
+  _txl = m.default || m;
+  return _txl;
+}
+
+// Verified validator IDs (refreshed on every check) and the newest block time the listener has seen.
+let verifiedIds = new Set();
+let latestBlockAt = null;
+
+async function getVerifiedValidators() {
+  const res = await pool.query(
+    `SELECT validator_id, array_agg(DISTINCT discord_id) AS owners,
+            bool_or(COALESCE(is_suspended, '') = 'yes') AS suspended
+       FROM verifications
+      WHERE role_type = 'Validator'
+        AND validator_id IS NOT NULL
+        AND discord_id IS NOT NULL
+      GROUP BY validator_id`
+  );
+  return res.rows.map((r) => ({
+    validatorId: Number(r.validator_id),
+    owners: r.owners.map(String),
+    suspended: r.suspended === true,
+  }));
+}
+
+async function dmOwners(validatorId, build) {
+  const res = await pool.query(
+    "SELECT DISTINCT discord_id FROM verifications WHERE role_type = 'Validator' AND validator_id = $1",
+    [validatorId]
+  );
+  for (const { discord_id: uid } of res.rows) {
+    await safeDM(uid, build(`<@${uid}>`), "health");
+  }
+}
+
+async function onBlock({ bakerId, timestampIso }) {
+  const at = timestampIso ? new Date(timestampIso) : new Date();
+  if (!latestBlockAt || at > latestBlockAt) latestBlockAt = at;
+  if (bakerId == null || !verifiedIds.has(bakerId)) return;
+
+  const res = await pool.query(
+    `WITH prev AS (SELECT alert_open FROM validator_liveness WHERE validator_id = $1)
+     INSERT INTO validator_liveness (validator_id, last_block_at)
+     VALUES ($1, $2)
+     ON CONFLICT (validator_id) DO UPDATE
+       SET last_block_at = GREATEST(validator_liveness.last_block_at, EXCLUDED.last_block_at),
+           missed_windows = 0,
+           alert_open = FALSE
+     RETURNING (SELECT alert_open FROM prev) AS was_open`,
+    [bakerId, at]
+  );
+  if (res.rows[0]?.was_open) {
+    if (DEBUG) console.log(`[liveness] validator ${bakerId} baked again`);
+    await dmOwners(bakerId, (mention) => MSGS.validatorNodeBackOnline(mention, bakerId));
+  }
+}
+
+async function checkOne({ validatorId, owners }, now) {
+  let winTime;
+  try {
+    winTime = await chain.getBakerEarliestWinTime(validatorId);
+  } catch (e) {
+    if (DEBUG) console.warn(`[liveness] earliest win time of ${validatorId} failed:`, e?.message || e);
+    return;
+  }
+  if (!winTime) return;
+
+  const res = await pool.query(
+    `INSERT INTO validator_liveness (validator_id) VALUES ($1)
+     ON CONFLICT (validator_id) DO UPDATE SET validator_id = EXCLUDED.validator_id
+     RETURNING last_block_at, last_win_time, missed_windows, alerted_at`,
+    [validatorId]
+  );
+  const row = res.rows[0];
+  const stored = row.last_win_time ? new Date(row.last_win_time) : null;
+
+  // The first run only stores the projection. A stored window is judged once its grace period is over and the
+  // node has moved on to a newer projection, which then replaces it.
+  if (!stored) {
+    await pool.query("UPDATE validator_liveness SET last_win_time = $2 WHERE validator_id = $1", [validatorId, winTime]);
+    return;
+  }
+  if (now - stored.getTime() < GRACE_MS || winTime <= stored) return;
+
+  const bakedSince = row.last_block_at && new Date(row.last_block_at) >= stored;
+  if (bakedSince) {
+    await pool.query("UPDATE validator_liveness SET last_win_time = $2 WHERE validator_id = $1", [validatorId, winTime]);
+    return;
+  }
+
+  const missed = row.missed_windows + 1;
+  const cooledDown = !row.alerted_at || now - new Date(row.alerted_at).getTime() > COOLDOWN_HOURS * 3600 * 1000;
+  const alert = missed >= MISS_THRESHOLD && cooledDown;
+
+  await pool.query(
+    `UPDATE validator_liveness
+        SET last_win_time = $2,
+            missed_windows = $3,
+            alerted_at = CASE WHEN $4 THEN CURRENT_TIMESTAMP ELSE alerted_at END,
+            alert_open = alert_open OR $4
+      WHERE validator_id = $1`,
+    [validatorId, winTime, missed, alert]
+  );
+  if (DEBUG) console.log(`[liveness] validator ${validatorId} missed win time ${stored.toISOString()} (${missed})`);
+  if (!alert) return;
+
+  const lastBlockAt = row.last_block_at ? new Date(row.last_block_at) : null;
+  for (const uid of owners) {
+    await safeDM(uid, MSGS.validatorNodeOffline(`<@${uid}>`, validatorId, missed, stored, lastBlockAt), "health");
+  }
+}
+
+async function checkValidatorLiveness() {
+  const validators = await getVerifiedValidators();
+  verifiedIds = new Set(validators.map((v) => v.validatorId));
+
+  const now = Date.now();
+  if (!latestBlockAt || now - latestBlockAt.getTime() > GRACE_MS) {
+    if (DEBUG) console.log("[liveness] listener has no recent blocks, skipping run");
+    return;
+  }
+
+  for (const v of validators) {
+    if (v.suspended) continue;
+    await checkOne(v, now);
+  }
+}
+
+let livenessTask = null;
+function startValidatorLivenessMonitor() {
+  if (livenessTask || !LIVENESS_CRON) return;
+  if (!cron.validate(LIVENESS_CRON)) {
+    console.warn(`[liveness] invalid LIVENESS_CRON "${LIVENESS_CRON}", liveness check disabled`);
+    return;
+  }
+
+  getVerifiedValidators()
+    .then((vs) => { verifiedIds = new Set(vs.map((v) => v.validatorId)); })
+    .catch((e) => console.warn("[liveness] loading validators failed:", e?.message || e));
+  _getTxl()
+    .then((m) => m.subscribeToBlocks(onBlock))
+    .catch((e) => console.error(`[liveness] could not subscribe to txlogger: ${e?.message || e}`));
+
+  livenessTask = cron.schedule(
+    LIVENESS_CRON,
+    () => {
+      checkValidatorLiveness().catch((e) => console.warn("[liveness] run failed:", e?.message || e));
+    },
+    { timezone: "UTC" }
+  );
+  console.log(`⏰ Validator liveness check scheduled (${LIVENESS_CRON} UTC)`);
+}
+
+module.exports = {
+  checkValidatorLiveness,
+  startValidatorLivenessMonitor,
+};
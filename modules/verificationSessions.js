@@ -0,0 +1,131 @@
+// modules/verificationSessions.js
+/**
+ * Postgres-backed store for in-flight validator/delegator verification sessions.
+ * Responsibilities:
+ * - saveSession(flow, discordId, state): UPSERTs the session of one user and flow ("Validator" | "Delegator")
+ *   into `verification_sessions` — step, thread ID, account address, validator ID / delegation target, memo,
+ *   when the memo was issued, the finalized height at that moment (`start_height`, where the retroactive memo
+ *   scan begins), the signed-message challenge nonce, the /verify/wallet page token and an expiry
+ *   (VERIFICATION_SESSION_TTL_MS, default = THREAD_INACTIVITY_LIMIT_MS).
+ * - deleteSession(flow, discordId): drops it on completion, restart-from-scratch or thread deletion.
+ * - loadSessions(flow): unexpired sessions for startup restore; expired rows are purged on the way.
+ * - isMemoPending(memo): whether an unexpired session of either flow already holds that memo, so new memos
+ *   stay unique across all waiters.
+ * - The in-memory state Maps in roles/*Verification.js stay the runtime source of truth; this module only
+ *   lets them survive a restart (the flows re-register their memo waiters from it before the txlogger starts).
+ */
+const { Pool } = require("pg");
+
+const {
+  PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
+} = process.env;
+
+const SESSION_TTL_MS = Number(
+  process.env.VERIFICATION_SESSION_TTL_MS || process.env.THREAD_INACTIVITY_LIMIT_MS || 3600000
+);
+
+const pool = new Pool({
+  user: PG_USER,
+  host: PG_HOST,
+  database: PG_DATABASE,
+  password: PG_PASSWORD,
+  port: PG_PORT,
+});
+
+function toDateOrNull(ms) {
+  const n = Number(ms);
+  return Number.isFinite(n) && n > 0 ? new Date(n) : null;
+}
+
+async function saveSession(flow, discordId, state) {
+  if (!state?.threadId || state.completed) return deleteSession(flow, discordId);
+
+  const target = state.delegationTarget;
+  try {
+    await pool.query(
+      `INSERT INTO verification_sessions
+         (discord_id, flow, thread_id, step, account_address, validator_id, delegation_target,
+          memo, memo_issued_at, start_height, challenge_nonce, wallet_token, created_at, updated_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, COALESCE($13, CURRENT_TIMESTAMP), CURRENT_TIMESTAMP,
+               CURRENT_TIMESTAMP + make_interval(secs => $14::double precision))
+       ON CONFLICT (discord_id, flow) DO UPDATE
+         SET thread_id         = EXCLUDED.thread_id,
+             step              = EXCLUDED.step,
+             account_address   = EXCLUDED.account_address,
+             validator_id      = EXCLUDED.validator_id,
+             delegation_target = EXCLUDED.delegation_target,
+             memo              = EXCLUDED.memo,
+             memo_issued_at    = EXCLUDED.memo_issued_at,
+             start_height      = EXCLUDED.start_height,
+             challenge_nonce   = EXCLUDED.challenge_nonce,
+             wallet_token      = EXCLUDED.wallet_token,
+             updated_at        = CURRENT_TIMESTAMP,
+             expires_at        = EXCLUDED.expires_at`,
+      [
+        String(discordId),
+        flow,
+        String(state.threadId),
+        state.step,
+        state.delegatorAddress || state.validatorAddress || null,
+        state.validatorId != null && /^\d+$/.test(String(state.validatorId)) ? Number(state.validatorId) : null,
+        target != null ? String(target) : null,
+        state.randomMemo || null,
+        toDateOrNull(state.memoIssuedAt),
+        Number.isFinite(state.startHeight) ? state.startHeight : null,
+        state.challengeNonce || null,
+        state.walletToken || null,
+        toDateOrNull(Number(state.createdAt) * 1000),
+        SESSION_TTL_MS / 1000,
+      ]
+    );
+  } catch (e) {
+    console.warn(`[sessions] save ${flow} session for ${discordId} failed:`, e?.message || e);
+  }
+}
+
+async function deleteSession(flow, discordId) {
+  try {
+    await pool.query(
+      "DELETE FROM verification_sessions WHERE discord_id = $1 AND flow = $2",
+      [String(discordId), flow]
+    );
+  } catch (e) {
+    console.warn(`[sessions] delete ${flow} session for ${discordId} failed:`, e?.message || e);
+  }
+}
+
+async function loadSessions(flow) {
+  await pool.query(
+    "DELETE FROM verification_sessions WHERE flow = $1 AND expires_at <= NOW()",
+    [flow]
+  );
+  const res = await pool.query(
+    `SELECT discord_id, thread_id, step, account_address, validator_id, delegation_target,
+            memo, memo_issued_at, start_height, challenge_nonce, wallet_token, created_at, updated_at
+       FROM verification_sessions
+      WHERE flow = $1
+      ORDER BY created_at`,
+    [flow]
+  );
+  return res.rows;
+}
+
+async function isMemoPending(memo) {
+  try {
+    const res = await pool.query(
+      "SELECT 1 FROM verification_sessions WHERE lower(memo) = lower($1) AND expires_at > NOW() LIMIT 1",
+      [String(memo)]
+    );
+    return res.rowCount > 0;
+  } catch (e) {
+    console.warn("[sessions] memo uniqueness check failed:", e?.message || e);
+    return false;
+  }
+}
+
+module.exports = {
+  saveSession,
+  isMemoPending,
+  deleteSession,
+  loadSessions,
+};
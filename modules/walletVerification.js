@@ -0,0 +1,241 @@
+// modules/walletVerification.js
+/**
+ * Browser-wallet completion of validator/delegator verification (served by server.js at /verify/wallet).
+ * Responsibilities:
+ * - createWalletToken() / walletVerifyUrl(token): the per-session token and the page link the bot posts
+ *   in the verification thread next to the memo instructions (needs SERVER_URL).
+ * - getWalletSession(token): the in-flight `verification_sessions` row behind a token — only while it
+ *   awaits the memo, has a signing challenge and has not expired — shaped for the page (flow, account, challenge).
+ * - completeWalletVerification({ token, signature }) (server.js process): verifies the wallet signature over the
+ *   challenge (modules/messageSigning.js) and refuses accounts already linked for that role. It then marks the
+ *   session as signed (`verification_sessions.wallet_signed_at`), wakes the bot with pg NOTIFY and waits up to
+ *   WALLET_FINALIZE_WAIT_MS for the verification row before reporting { success, error }.
+ * - startWalletFinalizer(discordClient) (bot process): LISTENs for those notifications (plus a periodic sweep for
+ *   missed ones) and runs the same finalization as the chat flows (finalize*VerificationViaTxLogger) where the
+ *   in-memory session and memo waiter live, so both are dropped on success.
+ */
+const crypto = require("crypto");
+const { Pool } = require("pg");
+const {
+  buildChallenge,
+  parseSignature,
+  verifyChallengeSignature,
+  signatureTxHash,
+} = require("./messageSigning");
+const { isGrpcUnavailable } = require("../utils/grpcerrors");
+
+const {
+  PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
+  SERVER_URL,
+  WALLETCONNECT_PROJECT_ID,
+} = process.env;
+
+const WALLETCONNECT_CHAIN = process.env.WALLETCONNECT_CHAIN || "ccd:mainnet";
+const FINALIZE_WAIT_MS = Number(process.env.WALLET_FINALIZE_WAIT_MS || 20000);
+
+const NOTIFY_CHANNEL = "wallet_verification";
+const POLL_MS = 1000;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+const RELISTEN_MS = 5000;
+
+const pool = new Pool({
+  user: PG_USER,
+  host: PG_HOST,
+  database: PG_DATABASE,
+  password: PG_PASSWORD,
+  port: PG_PORT,
+});
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function createWalletToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+function walletVerifyUrl(token) {
+  if (!token || !SERVER_URL || !/^https?:\/\//i.test(SERVER_URL)) return null;
+  return `${SERVER_URL.replace(/\/+$/, "")}/verify/wallet?token=${encodeURIComponent(token)}`;
+}
+
+async function loadSessionRow(token) {
+  if (!token || !/^[0-9a-f]{48}$/i.test(String(token))) return null;
+  const res = await pool.query(
+    `SELECT discord_id, flow, thread_id, account_address, validator_id, delegation_target, challenge_nonce
+       FROM verification_sessions
+      WHERE wallet_token = $1
+        AND step = 'awaiting-tx-hash'
+        AND challenge_nonce IS NOT NULL
+        AND account_address IS NOT NULL
+        AND expires_at > NOW()
+      LIMIT 1`,
+    [String(token)]
+  );
+  return res.rows[0] || null;
+}
+
+async function getWalletSession(token) {
+  const row = await loadSessionRow(token);
+  if (!row) return null;
+  return {
+    flow: row.flow,
+    address: row.account_address,
+    validatorId: row.validator_id != null ? Number(row.validator_id) : null,
+    delegationTarget: row.delegation_target,
+    challenge: buildChallenge({
+      discordId: row.discord_id,
+      address: row.account_address,
+      nonce: row.challenge_nonce,
+    }),
+    walletConnect: WALLETCONNECT_PROJECT_ID
+      ? { projectId: WALLETCONNECT_PROJECT_ID, chain: WALLETCONNECT_CHAIN }
+      : null,
+  };
+}
+
+async function completeWalletVerification({ token, signature }) {
+  const row = await loadSessionRow(token);
+  if (!row) {
+    return { success: false, error: "This verification link has expired. Please restart the verification in Discord." };
+  }
+
+  const parsed = parseSignature(typeof signature === "string" ? signature : JSON.stringify(signature || ""));
+  if (!parsed) return { success: false, error: "The wallet returned a signature in an unexpected format." };
+
+  let valid = false;
+  try {
+    valid = await verifyChallengeSignature(
+      { discordId: row.discord_id, address: row.account_address, nonce: row.challenge_nonce },
+      parsed
+    );
+  } catch (err) {
+    if (isGrpcUnavailable(`${err?.code || ""} ${err?.message || err || ""}`)) {
+      return { success: false, error: "The Concordium node is temporarily unavailable. Please try again in a few minutes." };
+    }
+    console.warn(`[wallet-verify] signature check failed for ${row.discord_id}:`, err?.message || err);
+    return { success: false, error: "An unexpected error occurred while checking the signature." };
+  }
+  if (!valid) {
+    return { success: false, error: "The signature does not match this account. Make sure you signed with the account shown on this page." };
+  }
+
+  const linked = await pool.query(
+    "SELECT discord_id FROM verifications WHERE wallet_address = $1 AND role_type = $2 LIMIT 1",
+    [row.account_address, row.flow]
+  );
+  if (linked.rowCount > 0) {
+    return {
+      success: false,
+      error: String(linked.rows[0].discord_id) === String(row.discord_id)
+        ? "This account is already linked to your Discord profile."
+        : "This account is already linked to another Discord user.",
+    };
+  }
+
+  // The bot process finalizes (startWalletFinalizer): it holds the session state and memo waiter.
+  await pool.query("UPDATE verification_sessions SET wallet_signed_at = NOW() WHERE wallet_token = $1", [String(token)]);
+  await pool.query("SELECT pg_notify($1, $2)", [NOTIFY_CHANNEL, String(token)]);
+
+  const txHash = signatureTxHash(row.challenge_nonce);
+  const deadline = Date.now() + FINALIZE_WAIT_MS;
+  while (Date.now() < deadline) {
+    const saved = await pool.query("SELECT 1 FROM verifications WHERE tx_hash = $1", [txHash]);
+    if (saved.rowCount > 0) return { success: true, flow: row.flow };
+    await sleep(POLL_MS);
+  }
+  return { success: false, error: "Verification could not be completed yet. Please check your Discord thread for details." };
+}
+
+async function finalizeSignedSession(discordClient, token) {
+  const res = await pool.query(
+    `UPDATE verification_sessions
+        SET wallet_signed_at = NULL
+      WHERE wallet_token = $1
+        AND wallet_signed_at IS NOT NULL
+        AND expires_at > NOW()
+      RETURNING discord_id, flow, thread_id, account_address, validator_id, delegation_target, challenge_nonce`,
+    [String(token)]
+  );
+  const row = res.rows[0];
+  if (!row) return;
+
+  const common = {
+    client: discordClient,
+    discordId: String(row.discord_id),
+    threadId: String(row.thread_id),
+    txHash: signatureTxHash(row.challenge_nonce),
+    timestampIso: new Date().toISOString(),
+  };
+
+  // Required lazily: the role modules require this one for createWalletToken / walletVerifyUrl.
+  if (row.flow === "Validator") {
+    const { finalizeValidatorVerificationViaTxLogger } = require("../roles/validatorVerification");
+    await finalizeValidatorVerificationViaTxLogger({
+      ...common,
+      validatorId: Number(row.validator_id),
+      validatorAddress: row.account_address,
+    });
+  } else {
+    const { finalizeDelegatorVerificationViaTxLogger } = require("../roles/delegatorVerification");
+    await finalizeDelegatorVerificationViaTxLogger({
+      ...common,
+      delegatorAddress: row.account_address,
+      delegationTarget: row.delegation_target === "passive" || row.delegation_target == null
+        ? row.delegation_target
+        : parseInt(row.delegation_target, 10),
+    });
+  }
+}
+
+async function sweepSignedSessions(discordClient) {
+  const res = await pool.query(
+    "SELECT wallet_token FROM verification_sessions WHERE wallet_signed_at IS NOT NULL AND expires_at > NOW()"
+  );
+  for (const r of res.rows) await finalizeSignedSession(discordClient, r.wallet_token);
+}
+
+let finalizerStarted = false;
+function startWalletFinalizer(discordClient) {
+  if (finalizerStarted) return;
+  finalizerStarted = true;
+
+  const finalize = (token) =>
+    finalizeSignedSession(discordClient, token).catch((e) =>
+      console.warn("[wallet-verify] finalization failed:", e?.message || e)
+    );
+
+  const listen = async () => {
+    let conn = null;
+    let dropped = false;
+    const relisten = (e) => {
+      if (dropped) return;
+      dropped = true;
+      console.warn("[wallet-verify] LISTEN connection lost, retrying:", e?.message || e);
+      if (conn) conn.release(true);
+      setTimeout(listen, RELISTEN_MS);
+    };
+    try {
+      conn = await pool.connect();
+      conn.on("notification", (msg) => {
+        if (msg.channel === NOTIFY_CHANNEL && msg.payload) finalize(msg.payload);
+      });
+      conn.on("error", relisten);
+      await conn.query(`LISTEN ${NOTIFY_CHANNEL}`);
+    } catch (e) {
+      relisten(e);
+    }
+  };
+  listen();
+
+  const sweep = () =>
+    sweepSignedSessions(discordClient).catch((e) => console.warn("[wallet-verify] sweep failed:", e?.message || e));
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL_MS);
+}
+
+module.exports = {
+  createWalletToken,
+  walletVerifyUrl,
+  getWalletSession,
+  completeWalletVerification,
+  startWalletFinalizer,
+};
@@ -3,13 +3,27 @@
  * Orchestrates the **Delegator** verification flow for the Discord bot.
  * Responsibilities:
  * - Creates and manages private verification threads; guides users to submit their account address.
- * - Validates address & delegation on-chain via `concordium-client` (requires ≥ 1000 CCD staked).
- * - Generates a numeric MEMO and auto-detects the confirming transaction through txlogger listeners.
+ * - Validates address & delegation on-chain via chainQueries/gRPC (requires ≥ MIN_DELEGATION_CCD staked,
+ *   default 1000).
+ * - Generates a unique MEMO (utils/randommemo.js) and auto-detects the confirming transaction through txlogger
+ *   listeners, or — free and instant — accepts a wallet signature over a challenge message (modules/messageSigning.js);
+ *   the memo flow stays active as the fallback and whichever arrives first completes the verification.
+ *   The thread also links the /verify/wallet page (server.js), which signs the same challenge in the
+ *   browser; finalize*VerificationViaTxLogger is exported for it.
  * - Handles wrong-MEMO and timeout notifications; unregisters memo waiters safely.
  * - On success: inserts a row into Postgres (`verifications`, optional `validator_commissions` seed),
- *   assigns the Delegator role, posts a mod-log message, and offers a “Delete this thread” button.
- * - Watches the chain (Concordium gRPC/web-sdk) for `DelegationRemoved` to revoke roles and purge DB rows.
+ *   assigns the Delegator role, its stake tier (modules/stakeTiers.js) and the target's pool role
+ *   (modules/poolRoles.js), posts a mod-log message, and offers a “Delete this thread” button.
+ * - Members may link several delegating accounts: a member who already has the role gets an
+ *   “add another account” button (`delegator_add_account`) that runs the same memo verification; each wallet
+ *   is its own `verifications` row.
+ * - Subscribes to `DelegationRemoved` on the txlogger event bus to purge DB rows; the role is revoked only
+ *   once the member has no linked delegator account left. The member is told via alerts.safeDM ("stake" category).
  * - Prevents duplicates (active sessions, already-registered addresses, reused tx hashes) and supports flow restarts.
+ * - Mirrors in-flight sessions to `verification_sessions`; restoreDelegatorSessions(client) reloads them on
+ *   startup and re-registers memo waiters, so a deploy mid-verification does not strand the user.
+ * - Waiters scan finalized blocks from the height at which the memo was issued, so a transfer that finalized
+ *   while the bot was down (or before the waiter was registered) still completes the verification.
  */
 const {
   ChannelType,
@@ -21,9 +35,21 @@ const {
 const { Pool } = require("pg");
 const { MSGS } = require("../utils/messages");
 const { isGrpcUnavailable } = require("../utils/grpcerrors");
-const { generateRandomMemo } = require("../utils/randommemo");
+const { generateUniqueMemo } = require("../utils/randommemo");
 const { startInactiveThreadsCleanup } = require("../utils/threadCleanup");
-const { runCommandWithRetry } = require("../utils/retry");
+const chain = require("../modules/chainQueries");
+const sessions = require("../modules/verificationSessions");
+const { syncStakeTiers } = require("../modules/stakeTiers");
+const { syncPoolRoles } = require("../modules/poolRoles");
+const { safeDM } = require("../modules/alerts");
+const {
+  createChallengeNonce,
+  buildChallenge,
+  parseSignature,
+  verifyChallengeSignature,
+  signatureTxHash,
+} = require("../modules/messageSigning");
+const { createWalletToken, walletVerifyUrl } = require("../modules/walletVerification");
 
 let _txl = null;
 async function _getTxl() {
@@ -53,19 +79,8 @@ function registerDelegatorMemoWaiter(args) {
 const GUILD_ID = process.env.DISCORD_GUILD_ID;
 const CLAIM_CHANNEL_ID = process.env.CLAIM_CHANNEL_ID;
 const DELEGATOR_ROLE_ID = process.env.DELEGATOR_ROLE_ID;
-const CLIENT_PATH = process.env.CONCORDIUM_CLIENT_PATH;
-const GRPC_IP = process.env.GRPC_IP;
-const GRPC_PORT = process.env.GRPC_PORT;
 const MOD_LOGS_CHANNEL_ID = process.env.MOD_LOGS_CHANNEL_ID;
-
-let ConcordiumGRPCNodeClient, credentials;
-const USE_TLS =
-  (process.env.GRPC_TLS || "").toLowerCase() === "true" ||
-  process.env.GRPC_TLS === "1";
-const GRPC_HOST = GRPC_IP || "127.0.0.1";
-const GRPC_PORT_NUM = Number(GRPC_PORT || 20000);
-
-const SECURE_FLAG = USE_TLS ? "--secure" : "";
+const MIN_DELEGATION_CCD = Number(process.env.MIN_DELEGATION_CCD || 1000);
 
 const pool = new Pool({
   user: process.env.PG_USER,
@@ -76,6 +91,17 @@ const pool = new Pool({
 });
 
 const delegatorVerificationState = new Map();
+const SESSION_FLOW = "Delegator";
+
+function setDelegatorState(discordId, state) {
+  delegatorVerificationState.set(discordId, state);
+  sessions.saveSession(SESSION_FLOW, discordId, state);
+}
+
+function clearDelegatorState(discordId) {
+  delegatorVerificationState.delete(discordId);
+  sessions.deleteSession(SESSION_FLOW, discordId);
+}
 
 let wrongMemoNotifierInitialized = false;
 function ensureWrongMemoNotifier(client) {
@@ -105,114 +131,92 @@ function ensureDelegatorExpiredNotifier(client) {
   delegatorExpiredNotifierInitialized = true;
 }
 
+async function countDelegatorAccounts(discordId) {
+  const res = await pool.query(
+    "SELECT COUNT(*)::int AS n FROM verifications WHERE role_type='Delegator' AND discord_id = $1",
+    [String(discordId)]
+  );
+  return res.rows[0]?.n ?? 0;
+}
+
 let delegatorRemovalWatcherStarted = false;
 
-async function ensureDelegatorRemovalWatcher(client) {
-  if (delegatorRemovalWatcherStarted) return;
-  delegatorRemovalWatcherStarted = true;
+async function handleDelegationRemoved(client, ev) {
+  const accRaw = ev?.account || ev?.address || ev?.owner;
+  const accountBase58 =
+    typeof accRaw === "string"
+      ? accRaw
+      : (accRaw?.account ?? accRaw?.address ?? accRaw?.value ?? null);
 
-  if (!ConcordiumGRPCNodeClient) {
-    ({ ConcordiumGRPCNodeClient, credentials } = await import("@concordium/web-sdk/nodejs"));
-  }
-  const creds = USE_TLS ? credentials.createSsl() : credentials.createInsecure();
+  if (!accountBase58) return;
 
-  (async function loop() {
-    let lastHeight = null;
+  const rows = await pool.query(
+    "SELECT id, discord_id FROM verifications WHERE role_type='Delegator' AND wallet_address = $1",
+    [String(accountBase58)]
+  );
+  if (rows.rowCount === 0) return;
 
-    while (true) {
-      try {
-        const grpc = new ConcordiumGRPCNodeClient(GRPC_HOST, GRPC_PORT_NUM, creds);
-        await grpc.getConsensusStatus();
+  try {
+    await pool.query(
+      "DELETE FROM verifications WHERE role_type='Delegator' AND wallet_address = $1",
+      [String(accountBase58)]
+    );
+  } catch {}
 
-        const stream =
-          lastHeight == null
-            ? grpc.getFinalizedBlocks()
-            : grpc.getFinalizedBlocksFrom(BigInt(lastHeight + 1));
+  for (const r of rows.rows) {
+    const discordId = r.discord_id;
 
-        for await (const b of stream) {
-          const h =
-            typeof b.height === "bigint"
-              ? Number(b.height)
-              : typeof b.blockHeight === "bigint"
-              ? Number(b.blockHeight)
-              : Number(b.height ?? b.blockHeight ?? 0);
+    await syncStakeTiers(client, discordId, "Delegator");
+    await syncPoolRoles(client, discordId);
 
-          const hash = b.hash ?? b.blockHash;
+    const remaining = await countDelegatorAccounts(discordId).catch(() => 0);
+    if (remaining > 0) {
+      await safeDM(discordId, MSGS.delegatorAccountUnlinked(accountBase58, remaining), "stake", "delegator-account-unlinked");
+      try {
+        const ch = await client.channels.fetch(MOD_LOGS_CHANNEL_ID).catch(() => null);
+        if (ch?.isTextBased?.()) {
+          await ch.send(
+            `🧹 Removed delegator DB record of <@${discordId}> (address \`${accountBase58}\`) after delegation stopped; ` +
+              `role kept (${remaining} other linked account(s)).`
+          );
+        }
+      } catch {}
+      continue;
+    }
 
-          try {
-            for await (const item of grpc.getBlockTransactionEvents(hash)) {
-              const events =
-                item?.events ?? item?.summary?.events ?? item?.result?.events ?? [];
-              for (const ev of events) {
-                const tag = ev?.tag || ev?.type || ev?._tag;
-                if (tag !== "DelegationRemoved") continue;
-
-                const accRaw = ev?.account || ev?.address || ev?.owner;
-                const accountBase58 =
-                  typeof accRaw === "string"
-                    ? accRaw
-                    : (accRaw?.account ?? accRaw?.address ?? accRaw?.value ?? null);
-
-                if (!accountBase58) continue;
-
-                const rows = await pool.query(
-                  "SELECT id, discord_id FROM verifications WHERE role_type='Delegator' AND wallet_address = $1",
-                  [String(accountBase58)]
-                );
-                if (rows.rowCount === 0) continue;
-
-                for (const r of rows.rows) {
-                  const discordId = r.discord_id;
-
-                  try {
-                    const guild = await client.guilds.fetch(GUILD_ID);
-                    const member = await guild.members.fetch(discordId).catch(() => null);
-                    if (member?.roles?.cache?.has?.(DELEGATOR_ROLE_ID)) {
-                      await member.roles.remove(DELEGATOR_ROLE_ID);
-                    }
-                  } catch {}
-
-                  try {
-                    const user = await client.users.fetch(discordId).catch(() => null);
-                    if (user) {
-                      await user.send(
-                        "⌛ We detected you **stopped delegating** on-chain.\n" +
-                          "Your **Delegator** role has been removed. If you start delegating again, use the verification menu to restore the role."
-                      );
-                    }
-                  } catch {}
-
-                  try {
-                    const ch = await client.channels.fetch(MOD_LOGS_CHANNEL_ID).catch(() => null);
-                    if (ch?.isTextBased?.()) {
-                      await ch.send(
-                        `🧹 Removed **Delegator** role & DB record for <@${discordId}> (address \`${accountBase58}\`) after delegation stopped.`
-                      );
-                    }
-                  } catch {}
-                }
-
-                try {
-                  await pool.query(
-                    "DELETE FROM verifications WHERE role_type='Delegator' AND wallet_address = $1",
-                    [String(accountBase58)]
-                  );
-                } catch {}
-              }
-            }
-          } catch {
-          }
+    try {
+      const guild = await client.guilds.fetch(GUILD_ID);
+      const member = await guild.members.fetch(discordId).catch(() => null);
+      if (member?.roles?.cache?.has?.(DELEGATOR_ROLE_ID)) {
+        await member.roles.remove(DELEGATOR_ROLE_ID);
+      }
+    } catch {}
 
-          lastHeight = h;
-        }
+    await safeDM(discordId, MSGS.delegatorRoleRemovedStoppedDelegating, "stake", "delegator-role-removed");
 
-        await new Promise((r) => setTimeout(r, 1000));
-      } catch (e) {
-        console.error(`[delegator-watch] error: ${e?.message || e}. Reconnecting in 1s...`);
-        await new Promise((r) => setTimeout(r, 1000));
+    try {
+      const ch = await client.channels.fetch(MOD_LOGS_CHANNEL_ID).catch(() => null);
+      if (ch?.isTextBased?.()) {
+        await ch.send(
+          `🧹 Removed **Delegator** role & DB record for <@${discordId}> (address \`${accountBase58}\`) after delegation stopped.`
+        );
       }
-    }
-  })();
+    } catch {}
+  }
+}
+
+function ensureDelegatorRemovalWatcher(client) {
+  if (delegatorRemovalWatcherStarted) return;
+  delegatorRemovalWatcherStarted = true;
+
+  _getTxl()
+    .then((m) =>
+      m.subscribeToEvents(["DelegationRemoved"], (ev) => handleDelegationRemoved(client, ev))
+    )
+    .catch((e) => {
+      delegatorRemovalWatcherStarted = false;
+      console.error(`[delegator-watch] could not subscribe to txlogger: ${e?.message || e}`);
+    });
 }
 
 async function finalizeDelegatorVerificationViaTxLogger({
@@ -223,6 +227,7 @@ async function finalizeDelegatorVerificationViaTxLogger({
   delegationTarget,
   txHash,
   timestampIso,
+  memoIssuedAt,
 }) {
   try {
     const st = delegatorVerificationState.get(discordId);
@@ -234,9 +239,11 @@ async function finalizeDelegatorVerificationViaTxLogger({
   } catch {}
 
   if (timestampIso) {
-    const currentTimestamp = Math.floor(Date.now() / 1000);
+    // Measured against the memo's issue time rather than now, so a hit found by the backlog scan
+    // after downtime is still accepted.
+    const referenceTimestamp = Math.floor((memoIssuedAt ?? Date.now()) / 1000);
     const txTimestamp = Math.floor(new Date(timestampIso).getTime() / 1000);
-    if (!Number.isFinite(txTimestamp) || currentTimestamp - txTimestamp > 3600) {
+    if (!Number.isFinite(txTimestamp) || referenceTimestamp - txTimestamp > 3600) {
       try {
         const ch = await client.channels.fetch(threadId);
         await ch.send(MSGS.txExpired);
@@ -257,28 +264,30 @@ async function finalizeDelegatorVerificationViaTxLogger({
     return;
   }
 
+  const isAdditionalAccount = (await countDelegatorAccounts(discordId)) > 0;
+
   let pool_suspended = "no";
+  let poolStatus = null;
   if (delegationTarget !== "passive" && delegationTarget !== null) {
-    const poolStatusCmd = `${CLIENT_PATH} pool status ${delegationTarget} --grpc-ip ${GRPC_IP} --grpc-port ${GRPC_PORT} ${SECURE_FLAG}`.trim();
     try {
-      const poolOutput = await runCommandWithRetry(poolStatusCmd);
-      const suspensionMatch = poolOutput.match(/Suspended:\s+(Yes|No)/i);
-      if (suspensionMatch && suspensionMatch[1].toLowerCase() === "yes") {
+      poolStatus = await chain.getPoolStatus(delegationTarget);
+      if (poolStatus?.isSuspended) {
         pool_suspended = "yes";
-      } else if (
-        /Missed rounds:.*\(suspension is pending\)/i.test(poolOutput)
-      ) {
+      } else if (poolStatus?.isPrimedForSuspension) {
         pool_suspended = "suspension_is_pending";
       }
     } catch {
     }
   }
 
-  await pool.query(
+  // Signature and memo may both arrive; only the call whose row was inserted goes on to assign the role.
+  const inserted = await pool.query(
     `INSERT INTO verifications (
       tx_hash, wallet_address, discord_id, role_type, delegation_target,
       last_notified_delegation_target, last_notified_suspended
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (wallet_address, role_type) WHERE role_type <> 'Developer' DO NOTHING
+    RETURNING id`,
     [
       txHash,
       delegatorAddress,
@@ -289,6 +298,7 @@ async function finalizeDelegatorVerificationViaTxLogger({
       pool_suspended,
     ]
   );
+  if (inserted.rowCount === 0) return;
 
   if (delegationTarget !== "passive") {
     const poolId = delegationTarget;
@@ -297,46 +307,38 @@ async function finalizeDelegatorVerificationViaTxLogger({
     const checkResult = await pool.query(checkValidatorQuery, [poolId]);
 
     if (checkResult.rowCount === 0) {
-      const commissionCmd = `${CLIENT_PATH} pool status ${poolId} --grpc-ip ${GRPC_IP} --grpc-port ${GRPC_PORT} ${SECURE_FLAG}`.trim();
-      let commissionOutput;
-      try {
-        commissionOutput = await runCommandWithRetry(commissionCmd);
-      } catch {
-      }
-
-      if (commissionOutput) {
-        const bakingMatch = commissionOutput.match(/Baking:\s+([0-9.eE+-]+)/);
-        const txMatch =
-          commissionOutput.match(/Transaction fees:\s+([0-9.eE+-]+)/);
-
-        const bakingRate = bakingMatch ? parseFloat(bakingMatch[1]) : null;
-        const transactionFeeRate = txMatch ? parseFloat(txMatch[1]) : null;
-
-        if (bakingRate !== null && transactionFeeRate !== null) {
-          await pool.query(
-            `INSERT INTO validator_commissions (
-              validator_id, baking_rate, transaction_fee_rate, last_checked_at,
-              last_notified_baking_rate, last_notified_transaction_fee_rate
-            ) VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $2, $3)`,
-            [poolId, bakingRate, transactionFeeRate]
-          );
-        }
+      const bakingRate = poolStatus?.commissions?.baking ?? null;
+      const transactionFeeRate = poolStatus?.commissions?.txFee ?? null;
+
+      if (bakingRate !== null && transactionFeeRate !== null) {
+        await pool.query(
+          `INSERT INTO validator_commissions (
+            validator_id, baking_rate, transaction_fee_rate, last_checked_at,
+            last_notified_baking_rate, last_notified_transaction_fee_rate
+          ) VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $2, $3)`,
+          [poolId, bakingRate, transactionFeeRate]
+        );
       }
     }
   }
 
   const guild = await client.guilds.fetch(GUILD_ID);
   const member = await guild.members.fetch(discordId);
-  await member.roles.add(DELEGATOR_ROLE_ID);
+  const hadRole = member.roles.cache.has(DELEGATOR_ROLE_ID);
+  if (!hadRole) await member.roles.add(DELEGATOR_ROLE_ID);
   console.log(
-    `[${new Date().toISOString()}][VERIFICATION] Assigned delegator role to user ${discordId} (${delegatorAddress})`
+    `[${new Date().toISOString()}][VERIFICATION] ${
+      hadRole ? "Linked additional delegator account for" : "Assigned delegator role to"
+    } user ${discordId} (${delegatorAddress})`
   );
 
   try {
     const modChannel = await client.channels.fetch(MOD_LOGS_CHANNEL_ID);
     if (modChannel?.isTextBased?.()) {
       await modChannel.send(
-        MSGS.modLogsDelegatorAssigned(DELEGATOR_ROLE_ID, discordId)
+        hadRole
+          ? MSGS.modLogsDelegatorAccountLinked(discordId, delegatorAddress)
+          : MSGS.modLogsDelegatorAssigned(DELEGATOR_ROLE_ID, discordId)
       );
     }
   } catch {}
@@ -351,7 +353,9 @@ async function finalizeDelegatorVerificationViaTxLogger({
     const ch = await client.channels.fetch(threadId);
 
     const successMsg =
-      delegationTarget === "passive"
+      isAdditionalAccount && hadRole
+        ? MSGS.delegatorAdditionalAccountVerified(delegatorAddress)
+        : delegationTarget === "passive"
         ? MSGS.passiveDelegatorVerificationSuccess(DELEGATOR_ROLE_ID)
         : MSGS.delegatorVerificationSuccess(DELEGATOR_ROLE_ID);
 
@@ -362,10 +366,162 @@ async function finalizeDelegatorVerificationViaTxLogger({
     });
   } catch {}
 
-  delegatorVerificationState.set(discordId, { completed: true });
+  await syncStakeTiers(client, discordId, "Delegator");
+  await syncPoolRoles(client, discordId);
+
+  setDelegatorState(discordId, { completed: true });
 }
 
-async function handleDelegatorVerification(interaction, discordId, client) {
+function startDelegatorMemoWaiter(client, {
+  discordId,
+  threadId,
+  delegatorAddress,
+  delegationTarget,
+  randomMemo,
+  memoIssuedAt,
+  startHeight,
+}) {
+  const unregister = registerDelegatorMemoWaiter({
+    discordId,
+    threadId,
+    accountAddress: delegatorAddress,
+    expectedMemo: randomMemo,
+    fromHeight: startHeight,
+    onSuccess: async ({
+      txHash,
+      blockHash,
+      timestampIso,
+    }) => {
+      try {
+        const st = delegatorVerificationState.get(discordId);
+        st?.unregisterWaiter?.();
+        if (st) {
+          st.unregisterWaiter = undefined;
+          delegatorVerificationState.set(discordId, st);
+        }
+      } catch {}
+
+      await finalizeDelegatorVerificationViaTxLogger({
+        client,
+        discordId,
+        threadId,
+        delegatorAddress,
+        delegationTarget,
+        txHash,
+        blockHash,
+        timestampIso,
+        memoIssuedAt,
+      });
+    },
+  });
+
+  delegatorVerificationState.set(discordId, {
+    ...delegatorVerificationState.get(discordId),
+    unregisterWaiter: unregister,
+  });
+}
+
+async function completeDelegatorBySignature(message, state, signature) {
+  const discordId = message.author.id;
+
+  let valid = false;
+  try {
+    valid = await verifyChallengeSignature(
+      { discordId, address: state.delegatorAddress, nonce: state.challengeNonce },
+      signature
+    );
+  } catch (err) {
+    if (isGrpcUnavailable(`${err?.code || ""} ${err?.message || err || ""}`)) {
+      return message.reply(MSGS.grpcUnavailable);
+    }
+    return message.reply(MSGS.signatureCheckFailed);
+  }
+  if (!valid) return message.reply(MSGS.signatureInvalid);
+
+  try {
+    state.unregisterWaiter?.();
+  } catch {}
+
+  await finalizeDelegatorVerificationViaTxLogger({
+    client: message.client,
+    discordId,
+    threadId: message.channel.id,
+    delegatorAddress: state.delegatorAddress,
+    delegationTarget: state.delegationTarget,
+    txHash: signatureTxHash(state.challengeNonce),
+    timestampIso: new Date().toISOString(),
+  });
+}
+
+async function restoreDelegatorSessions(client) {
+  ensureWrongMemoNotifier(client);
+  ensureDelegatorExpiredNotifier(client);
+  await _getTxl();
+
+  let rows = [];
+  try {
+    rows = await sessions.loadSessions(SESSION_FLOW);
+  } catch (e) {
+    console.warn("[delegator] could not load verification sessions:", e?.message || e);
+    return 0;
+  }
+
+  let restored = 0;
+  for (const r of rows) {
+    const thread = await client.channels.fetch(r.thread_id).catch(() => null);
+    if (!thread) {
+      await sessions.deleteSession(SESSION_FLOW, r.discord_id);
+      continue;
+    }
+
+    const delegationTarget =
+      r.delegation_target === "passive"
+        ? "passive"
+        : r.delegation_target != null
+        ? parseInt(r.delegation_target, 10)
+        : null;
+    const memoIssuedAt = r.memo_issued_at ? new Date(r.memo_issued_at).getTime() : null;
+    const startHeight = r.start_height != null ? Number(r.start_height) : null;
+
+    delegatorVerificationState.set(r.discord_id, {
+      threadId: r.thread_id,
+      step: r.step,
+      createdAt: Math.floor(new Date(r.created_at).getTime() / 1000),
+      lastActivity: new Date(r.updated_at).getTime(),
+      ...(r.account_address ? { delegatorAddress: r.account_address } : {}),
+      ...(delegationTarget != null ? { delegationTarget } : {}),
+      ...(r.memo ? { randomMemo: r.memo, memoIssuedAt, startHeight } : {}),
+      ...(r.challenge_nonce ? { challengeNonce: r.challenge_nonce } : {}),
+      ...(r.wallet_token ? { walletToken: r.wallet_token } : {}),
+    });
+
+    if (r.step === "awaiting-tx-hash" && r.account_address && r.memo) {
+      startDelegatorMemoWaiter(client, {
+        discordId: r.discord_id,
+        threadId: r.thread_id,
+        delegatorAddress: r.account_address,
+        delegationTarget,
+        randomMemo: r.memo,
+        memoIssuedAt,
+        startHeight,
+      });
+    }
+    restored++;
+  }
+
+  if (restored) {
+    startInactiveThreadsCleanup({
+      client,
+      stateMap: delegatorVerificationState,
+      threadPrefix: "delegator-",
+      channelId: CLAIM_CHANNEL_ID,
+    });
+    console.log(`[delegator] restored ${restored} verification session(s)`);
+  }
+  return restored;
+}
+
+async function handleDelegatorVerification(interaction, discordId, client, { addAccount = false } = {}) {
   ensureWrongMemoNotifier(client);
   ensureDelegatorExpiredNotifier(client);
 
@@ -375,7 +531,7 @@ async function handleDelegatorVerification(interaction, discordId, client) {
         .fetch(state.threadId)
         .catch(() => null);
       if (!exists) {
-        delegatorVerificationState.delete(userId);
+        clearDelegatorState(userId);
         console.log(
           "Removed delegatorVerificationState for",
           userId,
@@ -389,9 +545,16 @@ async function handleDelegatorVerification(interaction, discordId, client) {
     const guild = await client.guilds.fetch(GUILD_ID);
     const member = await guild.members.fetch(discordId);
 
-    if (member.roles.cache.has(DELEGATOR_ROLE_ID)) {
+    if (member.roles.cache.has(DELEGATOR_ROLE_ID) && !addAccount) {
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId("delegator_add_account")
+          .setLabel("➕ Add another account")
+          .setStyle(ButtonStyle.Primary)
+      );
       await interaction.reply({
         content: MSGS.alreadyHasDelegatorRole,
+        components: [row],
         flags: MessageFlags.Ephemeral,
       });
       return;
@@ -410,7 +573,7 @@ async function handleDelegatorVerification(interaction, discordId, client) {
         });
         return;
       } else {
-        delegatorVerificationState.delete(discordId);
+        clearDelegatorState(discordId);
       }
     }
 
@@ -432,7 +595,7 @@ async function handleDelegatorVerification(interaction, discordId, client) {
 
     await thread.members.add(interaction.user.id);
 
-    delegatorVerificationState.set(discordId, {
+    setDelegatorState(discordId, {
       threadId: thread.id,
       step: "awaiting-account-address",
       createdAt: Math.floor(Date.now() / 1000),
@@ -444,7 +607,11 @@ async function handleDelegatorVerification(interaction, discordId, client) {
       flags: MessageFlags.Ephemeral,
     });
 
-    await thread.send(MSGS.delegatorIntroThread(interaction.user.id));
+    await thread.send(
+      addAccount
+        ? MSGS.delegatorAddAccountIntroThread(interaction.user.id)
+        : MSGS.delegatorIntroThread(interaction.user.id)
+    );
   } catch (err) {
     console.error("Delegator verification thread error:", err);
     await interaction.reply({
@@ -483,7 +650,7 @@ function listenForDelegatorMessages(client) {
             .fetch(session.threadId)
             .catch(() => null);
           if (!exists) {
-            delegatorVerificationState.delete(userId);
+            clearDelegatorState(userId);
             console.log(
               "Removed delegatorVerificationState for",
               userId,
@@ -510,113 +677,103 @@ function listenForDelegatorMessages(client) {
       }
 
       const exists = await pool.query(
-        "SELECT * FROM verifications WHERE wallet_address = $1 AND role_type = 'Delegator'",
+        "SELECT discord_id FROM verifications WHERE wallet_address = $1 AND role_type = 'Delegator'",
         [address]
       );
       if (exists.rowCount > 0) {
-        return message.reply(MSGS.delegatorAlreadyRegistered);
+        return message.reply(
+          exists.rows.some((r) => r.discord_id === message.author.id)
+            ? MSGS.delegatorAlreadyLinkedToYou
+            : MSGS.delegatorAlreadyRegistered
+        );
       }
 
-      const cmd = `${CLIENT_PATH} account show ${address} --grpc-ip ${GRPC_IP} --grpc-port ${GRPC_PORT} ${SECURE_FLAG}`.trim();
-      let stdout;
+      let account;
       try {
-        stdout = await runCommandWithRetry(cmd);
-        if (isGrpcUnavailable(stdout)) {
-          return message.reply(MSGS.grpcUnavailable);
-        }
+        account = await chain.getAccountStake(address);
       } catch (err) {
-        const errorText = err?.message || "" + (err || "");
+        const errorText = `${err?.code || ""} ${err?.message || err || ""}`;
         if (isGrpcUnavailable(errorText)) {
           return message.reply(MSGS.grpcUnavailable);
         }
         return message.reply(MSGS.notDelegating);
       }
 
-      if (!stdout.includes("Delegation target:")) {
+      if (!account || account.type !== "delegator") {
         return message.reply(MSGS.notDelegating);
       }
 
-      const stakeMatch = stdout.match(/Staked amount: ([\d.]+) CCD/);
-      const stakedAmount = stakeMatch ? parseFloat(stakeMatch[1]) : 0;
-      if (stakedAmount < 1000) {
-        return message.reply(MSGS.insufficientStake(stakedAmount));
+      const stakedAmount = account.stakedCCD ?? 0;
+      if (stakedAmount < MIN_DELEGATION_CCD) {
+        return message.reply(MSGS.insufficientStake(stakedAmount, MIN_DELEGATION_CCD));
       }
 
-      const randomMemo = generateRandomMemo();
-      const delegationMatch = stdout.match(
-        /Delegation target: (?:Staking pool with ID (\d+)|Passive delegation)/
-      );
-      const delegationTarget = delegationMatch
-        ? delegationMatch[1]
-          ? parseInt(delegationMatch[1])
-          : "passive"
-        : null;
+      const randomMemo = await generateUniqueMemo(sessions.isMemoPending);
+      const delegationTarget =
+        account.delegationTarget === "passive"
+          ? "passive"
+          : account.delegationTarget != null
+          ? parseInt(account.delegationTarget, 10)
+          : null;
       if (!delegationTarget) {
         return message.reply(MSGS.unknownDelegationTarget);
       }
 
-      delegatorVerificationState.set(message.author.id, {
+      const memoIssuedAt = Date.now();
+      const startHeight = await chain.getLastFinalizedHeight().catch(() => null);
+      const challengeNonce = createChallengeNonce();
+      const walletToken = createWalletToken();
+      setDelegatorState(message.author.id, {
         ...state,
         step: "awaiting-tx-hash",
         delegationTarget,
         delegatorAddress: address,
         randomMemo,
+        memoIssuedAt,
+        startHeight,
+        challengeNonce,
+        walletToken,
         lastActivity: Date.now(),
       });
 
       await message.reply(
         MSGS.delegatorAccountConfirmed(randomMemo, delegationTarget)
       );
+      await message.channel.send(
+        MSGS.signMessageOption(
+          buildChallenge({ discordId: message.author.id, address, nonce: challengeNonce }),
+          walletVerifyUrl(walletToken)
+        )
+      );
 
-      const unregister = registerDelegatorMemoWaiter({
+      startDelegatorMemoWaiter(message.client, {
         discordId: message.author.id,
         threadId: message.channel.id,
-        accountAddress: address,
-        expectedMemo: randomMemo,
-        onSuccess: async ({
-          txHash,
-          blockHash,
-          timestampIso,
-        }) => {
-          try {
-            const st = delegatorVerificationState.get(message.author.id);
-            st?.unregisterWaiter?.();
-            if (st) {
-              st.unregisterWaiter = undefined;
-              delegatorVerificationState.set(message.author.id, st);
-            }
-          } catch {}
-
-          await finalizeDelegatorVerificationViaTxLogger({
-            client: message.client,
-            discordId: message.author.id,
-            threadId: message.channel.id,
-            delegatorAddress: address,
-            delegationTarget,
-            txHash,
-            blockHash,
-            timestampIso,
-          });
-        },
-      });
-
-      delegatorVerificationState.set(message.author.id, {
-        ...delegatorVerificationState.get(message.author.id),
-        unregisterWaiter: unregister,
+        delegatorAddress: address,
+        delegationTarget,
+        randomMemo,
+        memoIssuedAt,
+        startHeight,
       });
     }
 
     if (state.step === "awaiting-tx-hash") {
-      await message.reply(
-        "There is no need to send the transaction hash - I will automatically track it by memo and address after finalization."
-      );
-      return;
+      const signature = parseSignature(message.content);
+      if (!signature || !state.challengeNonce) {
+        await message.reply(MSGS.awaitingMemoOrSignature);
+        return;
+      }
+      return completeDelegatorBySignature(message, state, signature);
     }
   });
 
   client.on("interactionCreate", async (interaction) => {
     if (!interaction.isButton()) return;
 
+    if (interaction.customId === "delegator_add_account") {
+      return handleDelegatorVerification(interaction, interaction.user.id, client, { addAccount: true });
+    }
+
     if (interaction.customId === "archive_thread_delegator") {
       try {
         await interaction.channel.delete(
@@ -641,7 +798,7 @@ function listenForDelegatorMessages(client) {
           try {
             state.unregisterWaiter?.();
           } catch {}
-          delegatorVerificationState.delete(discordId);
+          clearDelegatorState(discordId);
           break;
         }
       }
@@ -651,7 +808,9 @@ function listenForDelegatorMessages(client) {
 
 module.exports = {
   handleDelegatorVerification,
+  finalizeDelegatorVerificationViaTxLogger,
   listenForDelegatorMessages,
+  restoreDelegatorSessions,
   restartDelegatorFlow: async function (interaction, client) {
     const discordId = interaction.user.id;
 
@@ -667,7 +826,7 @@ module.exports = {
       .fetch(existingState.threadId)
       .catch(() => null);
     if (!thread) {
-      delegatorVerificationState.delete(discordId);
+      clearDelegatorState(discordId);
       return interaction.reply({
         content: MSGS.previousDelegatorThreadNotFound(CLAIM_CHANNEL_ID),
         flags: MessageFlags.Ephemeral,
@@ -678,7 +837,7 @@ module.exports = {
       existingState.unregisterWaiter?.();
     } catch {}
 
-    delegatorVerificationState.set(discordId, {
+    setDelegatorState(discordId, {
       threadId: thread.id,
       step: "awaiting-account-address",
       createdAt: Math.floor(Date.now() / 1000),
@@ -10,8 +10,10 @@
  *   • ≥ 5 authored commits across repos,
  *   • Stars required Concordium repos,
  *   • Prevents reuse of the same GitHub profile (duplicate check).
- * - On success: assigns <@&DEV_ROLE_ID>, logs to moderators channel, and saves a row in Postgres (`verifications`).
- * - Exports: default handler, `processGithubCallback`, `saveDeveloperVerification`, `checkDuplicateGithubProfile`.
+ * - On success: assigns <@&DEV_ROLE_ID>, logs to moderators channel, and saves a row in Postgres (`verifications`),
+ *   including the numeric GitHub user id so a later rename can be followed.
+ * - Exports: default handler, `processGithubCallback`, `saveDeveloperVerification`, `checkDuplicateGithubProfile`,
+ *   `REQUIRED_REPOS` (re-checked periodically by modules/devReconciler.js).
  */
 const axios = require("axios");
 const crypto = require("crypto");
@@ -247,7 +249,7 @@ module.exports.processGithubCallback = async function ({ accessToken, discordId,
       };
     }
 
-    await module.exports.saveDeveloperVerification(discordId, githubProfileUrl);
+    await module.exports.saveDeveloperVerification(discordId, githubProfileUrl, userResponse.data.id);
 
     return { success: true };
   } catch (error) {
@@ -256,12 +258,12 @@ module.exports.processGithubCallback = async function ({ accessToken, discordId,
   }
 };
 
-module.exports.saveDeveloperVerification = async function (discordId, githubProfile) {
+module.exports.saveDeveloperVerification = async function (discordId, githubProfile, githubUserId = null) {
   try {
     await pool.query(
-      `INSERT INTO verifications (tx_hash, wallet_address, discord_id, role_type, github_profile)
-       VALUES ($1, $2, $3, $4, $5)`,
-      ["developer-auth", "developer-auth", discordId, "Developer", githubProfile]
+      `INSERT INTO verifications (tx_hash, wallet_address, discord_id, role_type, github_profile, github_user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      ["developer-auth", "developer-auth", discordId, "Developer", githubProfile, githubUserId ?? null]
     );
   } catch (err) {
     console.error("❌ Failed to save dev verification to DB:", err);
@@ -279,4 +281,6 @@ module.exports.checkDuplicateGithubProfile = async function (githubProfileUrl) {
     console.error("❌ Failed to check GitHub profile:", err);
     return false;
   }
-};
\ No newline at end of file
+};
+
+module.exports.REQUIRED_REPOS = REQUIRED_REPOS;
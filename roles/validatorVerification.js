@@ -3,14 +3,23 @@
  * Orchestrates the **Validator** verification flow for the Discord bot.
  * Responsibilities:
  * - Creates & manages private verification threads and a two-step flow:
- *   1) Collect validator ID → resolve on-chain validator address (via concordium-client).
- *   2) Generate a numeric MEMO and auto-detect the confirming transaction (via txlogger).
+ *   1) Collect validator ID → resolve on-chain validator address (getPoolInfo via chainQueries).
+ *   2) Generate a unique MEMO (utils/randommemo.js) and auto-detect the confirming transaction (via txlogger),
+ *      or — free and instant — accept a wallet signature over a challenge message (modules/messageSigning.js); the memo flow stays
+ *      active as the fallback and whichever arrives first completes the verification.
+ *      The thread also links the /verify/wallet page (server.js), which signs the same challenge in the
+ *      browser; finalize*VerificationViaTxLogger is exported for it.
  * - Hooks txlogger notifiers to inform about wrong MEMO and expired waits; unregisters watchers safely.
  * - Persists results in Postgres (`verifications`, `validator_commissions`), prevents duplicate TX/hash/address,
  *   captures suspension status, and seeds initial commission rates.
- * - Assigns the Validator role on success, posts mod logs, and offers a “Delete this thread” button.
- * - Watches the chain (Concordium gRPC/web-sdk) for **BakerRemoved** to revoke roles, DM users, and purge DB rows.
+ * - Assigns the Validator role (and its stake tier, modules/stakeTiers.js) on success, posts mod logs, and offers a “Delete this thread” button.
+ * - Subscribes to **BakerRemoved** on the txlogger event bus to revoke roles, DM users (alerts.safeDM, "suspension"
+ *   category), and purge DB rows.
  * - Guards state with inactivity cleanup, uniqueness checks, and ephemeral replies; supports “restart” of the flow.
+ * - Mirrors in-flight sessions to `verification_sessions`; restoreValidatorSessions(client) reloads them on
+ *   startup and re-registers memo waiters, so a deploy mid-verification does not strand the user.
+ * - Waiters scan finalized blocks from the height at which the memo was issued, so a transfer that finalized
+ *   while the bot was down (or before the waiter was registered) still completes the verification.
  */
 const {
   ChannelType,
@@ -22,10 +31,21 @@ const {
 const { Pool } = require("pg");
 const { MSGS } = require("../utils/messages");
 const { isGrpcUnavailable } = require("../utils/grpcerrors");
-const { generateRandomMemo } = require("../utils/randommemo");
+const { generateUniqueMemo } = require("../utils/randommemo");
 const { startInactiveThreadsCleanup } = require("../utils/threadCleanup");
-const { runCommandWithRetry } = require("../utils/retry");
+const chain = require("../modules/chainQueries");
 const { refreshValidatorDelegators } = require("../modules/validatorDelegators");
+const sessions = require("../modules/verificationSessions");
+const { syncStakeTiers } = require("../modules/stakeTiers");
+const { safeDM } = require("../modules/alerts");
+const {
+  createChallengeNonce,
+  buildChallenge,
+  parseSignature,
+  verifyChallengeSignature,
+  signatureTxHash,
+} = require("../modules/messageSigning");
+const { createWalletToken, walletVerifyUrl } = require("../modules/walletVerification");
 
 let _txl = null;
 async function _getTxl() {
@@ -52,24 +72,12 @@ function registerValidatorMemoWaiter(args) {
   return () => { try { unsubscribe(); } catch {} };
 }
 
-const CLIENT_PATH = process.env.CONCORDIUM_CLIENT_PATH;
-const GRPC_IP = process.env.GRPC_IP;
-const GRPC_PORT = process.env.GRPC_PORT;
 const GUILD_ID = process.env.DISCORD_GUILD_ID;
 const CLAIM_CHANNEL_ID = process.env.CLAIM_CHANNEL_ID;
 const VALIDATOR_ROLE_ID = process.env.VALIDATOR_ROLE_ID;
 const VALIDATOR_CHANNEL_ID = process.env.VALIDATOR_CHANNEL_ID;
 const MOD_LOGS_CHANNEL_ID = process.env.MOD_LOGS_CHANNEL_ID;
 
-let ConcordiumGRPCNodeClient, credentials;
-const USE_TLS =
-  (process.env.GRPC_TLS || "").toLowerCase() === "true" ||
-  process.env.GRPC_TLS === "1";
-const GRPC_HOST = GRPC_IP || "127.0.0.1";
-const GRPC_PORT_NUM = Number(GRPC_PORT || 20000);
-
-const SECURE_FLAG = USE_TLS ? "--secure" : "";
-
 const pool = new Pool({
   user: process.env.PG_USER,
   host: process.env.PG_HOST,
@@ -79,6 +87,17 @@ const pool = new Pool({
 });
 
 const validatorVerificationState = new Map();
+const SESSION_FLOW = "Validator";
+
+function setValidatorState(discordId, state) {
+  validatorVerificationState.set(discordId, state);
+  sessions.saveSession(SESSION_FLOW, discordId, state);
+}
+
+function clearValidatorState(discordId) {
+  validatorVerificationState.delete(discordId);
+  sessions.deleteSession(SESSION_FLOW, discordId);
+}
 
 let wrongMemoNotifierInitialized = false;
 function ensureWrongMemoNotifier(client) {
@@ -110,128 +129,84 @@ function ensureValidatorExpiredNotifier(client) {
 
 let validatorRemovalWatcherStarted = false;
 
-async function ensureValidatorRemovalWatcher(client) {
-  if (validatorRemovalWatcherStarted) return;
-  validatorRemovalWatcherStarted = true;
+async function handleBakerRemoved(client, ev) {
+  const accRaw = ev?.account || ev?.address || ev?.owner;
+  const validatorAddress =
+    typeof accRaw === "string"
+      ? accRaw
+      : (accRaw?.account ?? accRaw?.address ?? accRaw?.value ?? null);
+
+  const bakerIdRaw = ev?.bakerId ?? ev?.bakerID ?? ev?.id ?? null;
+  const validatorId = bakerIdRaw != null ? Number(String(bakerIdRaw)) : null;
+
+  if (!validatorAddress && validatorId == null) return;
+
+  const rows = await pool.query(
+    `SELECT id, discord_id, wallet_address, validator_id
+       FROM verifications
+      WHERE role_type = 'Validator'
+        AND (
+          ($1::text IS NOT NULL AND wallet_address = $1)
+          OR ($2::int IS NOT NULL AND validator_id = $2)
+        )`,
+    [validatorAddress || null, validatorId]
+  );
 
-  if (!ConcordiumGRPCNodeClient) {
-    ({ ConcordiumGRPCNodeClient, credentials } = await import("@concordium/web-sdk/nodejs"));
-  }
-  const creds = USE_TLS ? credentials.createSsl() : credentials.createInsecure();
+  if (rows.rowCount === 0) return;
 
-  (async function loop() {
-    let lastHeight = null;
+  for (const r of rows.rows) {
+    const discordId = r.discord_id;
 
-    while (true) {
-      try {
-        const grpc = new ConcordiumGRPCNodeClient(GRPC_HOST, GRPC_PORT_NUM, creds);
-        await grpc.getConsensusStatus();
+    try {
+      const guild = await client.guilds.fetch(GUILD_ID);
+      const member = await guild.members.fetch(discordId).catch(() => null);
+      if (member?.roles?.cache?.has?.(VALIDATOR_ROLE_ID)) {
+        await member.roles.remove(VALIDATOR_ROLE_ID);
+      }
+    } catch {}
 
-        const stream =
-          lastHeight == null
-            ? grpc.getFinalizedBlocks()
-            : grpc.getFinalizedBlocksFrom(BigInt(lastHeight + 1));
+    await safeDM(discordId, MSGS.validatorRoleRemovedStoppedValidating, "suspension", "validator-role-removed");
 
-        for await (const b of stream) {
-          const h =
-            typeof b.height === "bigint"
-              ? Number(b.height)
-              : typeof b.blockHeight === "bigint"
-              ? Number(b.blockHeight)
-              : Number(b.height ?? b.blockHeight ?? 0);
+    try {
+      const ch = await client.channels.fetch(MOD_LOGS_CHANNEL_ID).catch(() => null);
+      if (ch?.isTextBased?.()) {
+        await ch.send(
+          `🧹 Removed **Validator** role & DB record for <@${discordId}> ` +
+            `(address \`${validatorAddress || r.wallet_address}\`${validatorId != null ? `, id ${validatorId}` : ""}).`
+        );
+      }
+    } catch {}
+  }
 
-          const hash = b.hash ?? b.blockHash;
+  try {
+    await pool.query(
+      `DELETE FROM verifications
+        WHERE role_type='Validator'
+          AND (
+            ($1::text IS NOT NULL AND wallet_address = $1)
+            OR ($2::int IS NOT NULL AND validator_id = $2)
+          )`,
+      [validatorAddress || null, validatorId]
+    );
+  } catch {}
 
-          try {
-            for await (const item of grpc.getBlockTransactionEvents(hash)) {
-              const events =
-                item?.events ?? item?.summary?.events ?? item?.result?.events ?? [];
-              for (const ev of events) {
-                const tag = ev?.tag || ev?.type || ev?._tag;
-                if (tag !== "BakerRemoved") continue;
-
-                const accRaw = ev?.account || ev?.address || ev?.owner;
-                const validatorAddress =
-                  typeof accRaw === "string"
-                    ? accRaw
-                    : (accRaw?.account ?? accRaw?.address ?? accRaw?.value ?? null);
-
-                const bakerIdRaw = ev?.bakerId ?? ev?.bakerID ?? ev?.id ?? null;
-                const validatorId = bakerIdRaw != null ? Number(String(bakerIdRaw)) : null;
-
-                if (!validatorAddress && validatorId == null) continue;
-
-                const rows = await pool.query(
-                  `SELECT id, discord_id, wallet_address, validator_id
-                     FROM verifications
-                    WHERE role_type = 'Validator'
-                      AND (
-                        ($1::text IS NOT NULL AND wallet_address = $1)
-                        OR ($2::int IS NOT NULL AND validator_id = $2)
-                      )`,
-                  [validatorAddress || null, validatorId]
-                );
-
-                if (rows.rowCount === 0) continue;
-
-                for (const r of rows.rows) {
-                  const discordId = r.discord_id;
-
-                  try {
-                    const guild = await client.guilds.fetch(GUILD_ID);
-                    const member = await guild.members.fetch(discordId).catch(() => null);
-                    if (member?.roles?.cache?.has?.(VALIDATOR_ROLE_ID)) {
-                      await member.roles.remove(VALIDATOR_ROLE_ID);
-                    }
-                  } catch {}
-
-                  try {
-                    const user = await client.users.fetch(discordId).catch(() => null);
-                    if (user) {
-                      await user.send(
-                        "⌛ We detected you **stopped validating** on-chain (your baker was removed).\n" +
-                          "Your **Validator** role has been removed. If you resume validating, please verify again via the menu."
-                      );
-                    }
-                  } catch {}
-
-                  try {
-                    const ch = await client.channels.fetch(MOD_LOGS_CHANNEL_ID).catch(() => null);
-                    if (ch?.isTextBased?.()) {
-                      await ch.send(
-                        `🧹 Removed **Validator** role & DB record for <@${discordId}> ` +
-                          `(address \`${validatorAddress || r.wallet_address}\`${validatorId != null ? `, id ${validatorId}` : ""}).`
-                      );
-                    }
-                  } catch {}
-                }
-
-                try {
-                  await pool.query(
-                    `DELETE FROM verifications
-                      WHERE role_type='Validator'
-                        AND (
-                          ($1::text IS NOT NULL AND wallet_address = $1)
-                          OR ($2::int IS NOT NULL AND validator_id = $2)
-                        )`,
-                    [validatorAddress || null, validatorId]
-                  );
-                } catch {}
-              }
-            }
-          } catch {
-          }
+  for (const discordId of new Set(rows.rows.map((r) => r.discord_id))) {
+    await syncStakeTiers(client, discordId, "Validator");
+  }
+}
 
-          lastHeight = h;
-        }
+function ensureValidatorRemovalWatcher(client) {
+  if (validatorRemovalWatcherStarted) return;
+  validatorRemovalWatcherStarted = true;
 
-        await new Promise((r) => setTimeout(r, 1000));
-      } catch (e) {
-        console.error(`[validator-watch] error: ${e?.message || e}. Reconnecting in 1s...`);
-        await new Promise((r) => setTimeout(r, 1000));
-      }
-    }
-  })();
+  _getTxl()
+    .then((m) =>
+      m.subscribeToEvents(["BakerRemoved"], (ev) => handleBakerRemoved(client, ev))
+    )
+    .catch((e) => {
+      validatorRemovalWatcherStarted = false;
+      console.error(`[validator-watch] could not subscribe to txlogger: ${e?.message || e}`);
+    });
 }
 
 async function finalizeValidatorVerificationViaTxLogger({
@@ -243,6 +218,7 @@ async function finalizeValidatorVerificationViaTxLogger({
   txHash,
   blockHash,
   timestampIso,
+  memoIssuedAt,
 }) {
   try {
     const st = validatorVerificationState.get(discordId);
@@ -254,9 +230,11 @@ async function finalizeValidatorVerificationViaTxLogger({
   } catch {}
 
   if (timestampIso) {
-    const currentTimestamp = Math.floor(Date.now() / 1000);
+    // Measured against the memo's issue time rather than now, so a hit found by the backlog scan
+    // after downtime is still accepted.
+    const referenceTimestamp = Math.floor((memoIssuedAt ?? Date.now()) / 1000);
     const txTimestamp = Math.floor(new Date(timestampIso).getTime() / 1000);
-    if (!Number.isFinite(txTimestamp) || currentTimestamp - txTimestamp > 3600) {
+    if (!Number.isFinite(txTimestamp) || referenceTimestamp - txTimestamp > 3600) {
       try {
         const ch = await client.channels.fetch(threadId);
         await ch.send(MSGS.txExpired);
@@ -278,23 +256,26 @@ async function finalizeValidatorVerificationViaTxLogger({
   }
 
   let isSuspended = "no";
+  let poolStatus = null;
   try {
-    const poolStatusCmd = `${CLIENT_PATH} pool status ${validatorId} --grpc-ip ${GRPC_IP} --grpc-port ${GRPC_PORT} ${SECURE_FLAG}`.trim();
-    const poolOutput = await runCommandWithRetry(poolStatusCmd);
-    const suspensionMatch = poolOutput.match(/Suspended:\s+(Yes|No)/i);
-    if (suspensionMatch && suspensionMatch[1].toLowerCase() === "yes") {
+    poolStatus = await chain.getPoolStatus(validatorId);
+    if (poolStatus?.isSuspended) {
       isSuspended = "yes";
     }
   } catch {
   }
 
-  await pool.query(
+  // Signature and memo may both arrive; only the call whose row was inserted goes on to assign the role.
+  const inserted = await pool.query(
     `INSERT INTO verifications (
       tx_hash, wallet_address, discord_id, role_type, is_suspended, validator_id,
       last_notified_suspended
-    ) VALUES ($1, $2, $3, $4, $5, $6, $5)`,
+    ) VALUES ($1, $2, $3, $4, $5, $6, $5)
+    ON CONFLICT (wallet_address, role_type) WHERE role_type <> 'Developer' DO NOTHING
+    RETURNING id`,
     [txHash, validatorAddress, discordId, "Validator", isSuspended, parseInt(validatorId, 10)]
   );
+  if (inserted.rowCount === 0) return;
 
   try {
     const commissionCheck = await pool.query(
@@ -302,25 +283,17 @@ async function finalizeValidatorVerificationViaTxLogger({
       [Number(validatorId)]
     );
     if (commissionCheck.rowCount === 0) {
-      const commissionCmd = `${CLIENT_PATH} pool status ${validatorId} --grpc-ip ${GRPC_IP} --grpc-port ${GRPC_PORT} ${SECURE_FLAG}`.trim();
-      try {
-        const stdout = await runCommandWithRetry(commissionCmd);
-        const bakingMatch = stdout.match(/Baking:\s+([0-9.eE+-]+)/);
-        const txMatch = stdout.match(/Transaction fees:\s+([0-9.eE+-]+)/);
-
-        const bakingRate = bakingMatch ? parseFloat(bakingMatch[1]) : null;
-        const transactionFeeRate = txMatch ? parseFloat(txMatch[1]) : null;
-
-        if (bakingRate !== null && transactionFeeRate !== null) {
-          await pool.query(
-            `INSERT INTO validator_commissions (
-              validator_id, baking_rate, transaction_fee_rate, last_checked_at,
-              last_notified_baking_rate, last_notified_transaction_fee_rate
-            ) VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $2, $3)`,
-            [Number(validatorId), bakingRate, transactionFeeRate]
-          );
-        }
-      } catch {
+      const bakingRate = poolStatus?.commissions?.baking ?? null;
+      const transactionFeeRate = poolStatus?.commissions?.txFee ?? null;
+
+      if (bakingRate !== null && transactionFeeRate !== null) {
+        await pool.query(
+          `INSERT INTO validator_commissions (
+            validator_id, baking_rate, transaction_fee_rate, last_checked_at,
+            last_notified_baking_rate, last_notified_transaction_fee_rate
+          ) VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $2, $3)`,
+          [Number(validatorId), bakingRate, transactionFeeRate]
+        );
       }
     }
   } catch {
@@ -369,7 +342,153 @@ async function finalizeValidatorVerificationViaTxLogger({
     );
   }
 
-  validatorVerificationState.set(discordId, { completed: true });
+  await syncStakeTiers(client, discordId, "Validator");
+
+  setValidatorState(discordId, { completed: true });
+}
+
+function startValidatorMemoWaiter(client, {
+  discordId,
+  threadId,
+  validatorId,
+  validatorAddress,
+  randomMemo,
+  memoIssuedAt,
+  startHeight,
+}) {
+  const unregister = registerValidatorMemoWaiter({
+    discordId,
+    threadId,
+    validatorId,
+    validatorAddress,
+    expectedMemo: randomMemo,
+    fromHeight: startHeight,
+    onSuccess: async ({
+      txHash,
+      blockHash,
+      timestampIso,
+    }) => {
+      try {
+        const st = validatorVerificationState.get(discordId);
+        st?.unregisterWaiter?.();
+        if (st) {
+          st.unregisterWaiter = undefined;
+          validatorVerificationState.set(discordId, st);
+        }
+      } catch {}
+
+      await finalizeValidatorVerificationViaTxLogger({
+        client,
+        discordId,
+        threadId,
+        validatorId,
+        validatorAddress,
+        txHash,
+        blockHash,
+        timestampIso,
+        memoIssuedAt,
+      });
+    },
+  });
+
+  validatorVerificationState.set(discordId, {
+    ...validatorVerificationState.get(discordId),
+    unregisterWaiter: unregister,
+  });
+}
+
+async function completeValidatorBySignature(message, state, signature) {
+  const discordId = message.author.id;
+
+  let valid = false;
+  try {
+    valid = await verifyChallengeSignature(
+      { discordId, address: state.validatorAddress, nonce: state.challengeNonce },
+      signature
+    );
+  } catch (err) {
+    if (isGrpcUnavailable(`${err?.code || ""} ${err?.message || err || ""}`)) {
+      return message.reply(MSGS.grpcUnavailable);
+    }
+    return message.reply(MSGS.signatureCheckFailed);
+  }
+  if (!valid) return message.reply(MSGS.signatureInvalid);
+
+  try {
+    state.unregisterWaiter?.();
+  } catch {}
+
+  await finalizeValidatorVerificationViaTxLogger({
+    client: message.client,
+    discordId,
+    threadId: message.channel.id,
+    validatorId: parseInt(state.validatorId, 10),
+    validatorAddress: state.validatorAddress,
+    txHash: signatureTxHash(state.challengeNonce),
+    timestampIso: new Date().toISOString(),
+  });
+}
+
+async function restoreValidatorSessions(client) {
+  ensureWrongMemoNotifier(client);
+  ensureValidatorExpiredNotifier(client);
+  await _getTxl();
+
+  let rows = [];
+  try {
+    rows = await sessions.loadSessions(SESSION_FLOW);
+  } catch (e) {
+    console.warn("[validator] could not load verification sessions:", e?.message || e);
+    return 0;
+  }
+
+  let restored = 0;
+  for (const r of rows) {
+    const thread = await client.channels.fetch(r.thread_id).catch(() => null);
+    if (!thread) {
+      await sessions.deleteSession(SESSION_FLOW, r.discord_id);
+      continue;
+    }
+
+    const memoIssuedAt = r.memo_issued_at ? new Date(r.memo_issued_at).getTime() : null;
+    const startHeight = r.start_height != null ? Number(r.start_height) : null;
+
+    validatorVerificationState.set(r.discord_id, {
+      threadId: r.thread_id,
+      step: r.step,
+      createdAt: Math.floor(new Date(r.created_at).getTime() / 1000),
+      lastActivity: new Date(r.updated_at).getTime(),
+      ...(r.validator_id != null ? { validatorId: String(r.validator_id) } : {}),
+      ...(r.account_address ? { validatorAddress: r.account_address } : {}),
+      ...(r.memo ? { randomMemo: r.memo, memoIssuedAt, startHeight } : {}),
+      ...(r.challenge_nonce ? { challengeNonce: r.challenge_nonce } : {}),
+      ...(r.wallet_token ? { walletToken: r.wallet_token } : {}),
+    });
+
+    if (r.step === "awaiting-tx-hash" && r.account_address && r.memo && r.validator_id != null) {
+      startValidatorMemoWaiter(client, {
+        discordId: r.discord_id,
+        threadId: r.thread_id,
+        validatorId: Number(r.validator_id),
+        validatorAddress: r.account_address,
+        randomMemo: r.memo,
+        memoIssuedAt,
+        startHeight,
+      });
+    }
+    restored++;
+  }
+
+  if (restored) {
+    startInactiveThreadsCleanup({
+      client,
+      stateMap: validatorVerificationState,
+      threadPrefix: "validator-",
+      channelId: CLAIM_CHANNEL_ID,
+    });
+    console.log(`[validator] restored ${restored} verification session(s)`);
+  }
+  return restored;
 }
 
 async function handleValidatorVerification(interaction, discordId, client) {
@@ -382,7 +501,7 @@ async function handleValidatorVerification(interaction, discordId, client) {
         .fetch(state.threadId)
         .catch(() => null);
       if (!exists) {
-        validatorVerificationState.delete(userId);
+        clearValidatorState(userId);
         console.log(
           "Removed validatorVerificationState for",
           userId,
@@ -417,7 +536,7 @@ async function handleValidatorVerification(interaction, discordId, client) {
         });
         return;
       } else {
-        validatorVerificationState.delete(discordId);
+        clearValidatorState(discordId);
       }
     }
 
@@ -439,7 +558,7 @@ async function handleValidatorVerification(interaction, discordId, client) {
 
     await thread.members.add(interaction.user.id);
 
-    validatorVerificationState.set(discordId, {
+    setValidatorState(discordId, {
       threadId: thread.id,
       step: "awaiting-validator-id",
       createdAt: Math.floor(Date.now() / 1000),
@@ -487,27 +606,19 @@ function listenForValidatorMessages(client) {
         return message.reply(MSGS.invalidValidatorId);
       }
 
-      const cmd = `${CLIENT_PATH} consensus show-parameters --include-bakers --grpc-ip ${GRPC_IP} --grpc-port ${GRPC_PORT} ${SECURE_FLAG} | awk '$1 ~ /^${validatorId}:$/ {print $2}'`.trim();
-
       try {
-        const stdout = await runCommandWithRetry(cmd);
-        if (isGrpcUnavailable(stdout)) {
-          return message.reply(MSGS.grpcUnavailable);
-        }
-
-        if (!stdout.trim()) {
+        const validatorAddress = await chain.getValidatorAddress(validatorId);
+        if (!validatorAddress) {
           return message.reply(MSGS.validatorIdNotFound);
         }
 
-        const validatorAddress = stdout.trim();
-
         for (const [userId, session] of validatorVerificationState.entries()) {
           if (session.threadId) {
             const exists = await message.client.channels
               .fetch(session.threadId)
               .catch(() => null);
             if (!exists) {
-              validatorVerificationState.delete(userId);
+              clearValidatorState(userId);
               console.log(
                 "Removed validatorVerificationState for",
                 userId,
@@ -537,58 +648,44 @@ function listenForValidatorMessages(client) {
           return message.reply(MSGS.validatorAlreadyRegistered);
         }
 
-        const randomMemo = generateRandomMemo();
+        const randomMemo = await generateUniqueMemo(sessions.isMemoPending);
 
-        validatorVerificationState.set(message.author.id, {
+        const memoIssuedAt = Date.now();
+        const startHeight = await chain.getLastFinalizedHeight().catch(() => null);
+        const challengeNonce = createChallengeNonce();
+        const walletToken = createWalletToken();
+        setValidatorState(message.author.id, {
           ...state,
           step: "awaiting-tx-hash",
           validatorId,
           validatorAddress,
           randomMemo,
+          memoIssuedAt,
+          startHeight,
+          challengeNonce,
+          walletToken,
           lastActivity: Date.now(),
         });
 
         await message.reply(MSGS.addressConfirmed(validatorAddress, randomMemo));
+        await message.channel.send(
+          MSGS.signMessageOption(
+            buildChallenge({ discordId: message.author.id, address: validatorAddress, nonce: challengeNonce }),
+            walletVerifyUrl(walletToken)
+          )
+        );
 
-        const unregister = registerValidatorMemoWaiter({
+        startValidatorMemoWaiter(message.client, {
           discordId: message.author.id,
           threadId: message.channel.id,
           validatorId: parseInt(validatorId, 10),
           validatorAddress,
-          expectedMemo: randomMemo,
-          onSuccess: async ({
-            txHash,
-            blockHash,
-            timestampIso,
-          }) => {
-            try {
-              const st = validatorVerificationState.get(message.author.id);
-              st?.unregisterWaiter?.();
-              if (st) {
-                st.unregisterWaiter = undefined;
-                validatorVerificationState.set(message.author.id, st);
-              }
-            } catch {}
-
-            await finalizeValidatorVerificationViaTxLogger({
-              client: message.client,
-              discordId: message.author.id,
-              threadId: message.channel.id,
-              validatorId: parseInt(validatorId, 10),
-              validatorAddress,
-              txHash,
-              blockHash,
-              timestampIso,
-            });
-          },
-        });
-
-        validatorVerificationState.set(message.author.id, {
-          ...validatorVerificationState.get(message.author.id),
-          unregisterWaiter: unregister,
+          randomMemo,
+          memoIssuedAt,
+          startHeight,
         });
       } catch (err) {
-        if (isGrpcUnavailable(err?.message || "" + (err || ""))) {
+        if (isGrpcUnavailable(`${err?.code || ""} ${err?.message || err || ""}`)) {
           return message.reply(MSGS.grpcUnavailable);
         }
         return message.reply(MSGS.errorCheckingValidatorId);
@@ -596,10 +693,12 @@ function listenForValidatorMessages(client) {
     }
 
     if (state.step === "awaiting-tx-hash") {
-      await message.reply(
-        "There is no need to send the transaction hash - I will automatically track it by memo and address after finalization."
-      );
-      return;
+      const signature = parseSignature(message.content);
+      if (!signature || !state.challengeNonce) {
+        await message.reply(MSGS.awaitingMemoOrSignature);
+        return;
+      }
+      return completeValidatorBySignature(message, state, signature);
     }
   });
 
@@ -630,7 +729,7 @@ function listenForValidatorMessages(client) {
           try {
             state.unregisterWaiter?.();
           } catch {}
-          validatorVerificationState.delete(discordId);
+          clearValidatorState(discordId);
           break;
         }
       }
@@ -640,7 +739,9 @@ function listenForValidatorMessages(client) {
 
 module.exports = {
   handleValidatorVerification,
+  finalizeValidatorVerificationViaTxLogger,
   listenForValidatorMessages,
+  restoreValidatorSessions,
   restartValidatorFlow: async function (interaction, client) {
     const discordId = interaction.user.id;
 
@@ -656,7 +757,7 @@ module.exports = {
       .fetch(existingState.threadId)
       .catch(() => null);
     if (!thread) {
-      validatorVerificationState.delete(discordId);
+      clearValidatorState(discordId);
       return interaction.reply({
         content: MSGS.previousThreadNotFound(CLAIM_CHANNEL_ID),
         flags: MessageFlags.Ephemeral,
@@ -667,7 +768,7 @@ module.exports = {
       existingState.unregisterWaiter?.();
     } catch {}
 
-    validatorVerificationState.set(discordId, {
+    setValidatorState(discordId, {
       threadId: thread.id,
       step: "awaiting-validator-id",
       createdAt: Math.floor(Date.now() / 1000),
@@ -1,19 +1,18 @@
 /**
  * backfill.js — seeds and enriches the v2 DB from on-chain data.
- * Uses `concordium-client` via retry (runCommandWithRetry) and throttles calls with BACKFILL_GRPC_DELAY_MS.
- * ENV: IMPORT_VERIFICATIONS_CSV, IMPORT_RUN_ON_EMPTY, CONCORDIUM_CLIENT_PATH, GRPC_IP/PORT/TLS.
+ * Reads accounts/pools over gRPC (modules/chainQueries) and throttles calls with BACKFILL_GRPC_DELAY_MS.
+ * ENV: IMPORT_VERIFICATIONS_CSV, IMPORT_RUN_ON_EMPTY, GRPC_IP/PORT/TLS.
  * Idempotent: fills only missing fields and upserts commissions; avoids overwriting existing non-NULL values.
  */
 const fs = require("fs");
 const path = require("path");
 const { parse } = require("csv-parse/sync");
 const { Pool } = require("pg");
-const { runCommandWithRetry, delay } = require("../utils/retry");
+const { delay } = require("../utils/retry");
+const chain = require("../modules/chainQueries");
 
 const {
   PG_USER, PG_HOST, PG_DATABASE, PG_PASSWORD, PG_PORT,
-  GRPC_IP, GRPC_PORT, GRPC_TLS,
-  CONCORDIUM_CLIENT_PATH,
 } = process.env;
 
 const SLEEP = Number(process.env.BACKFILL_GRPC_DELAY_MS || 3000);
@@ -26,23 +25,6 @@ const pool = new Pool({
   port: PG_PORT,
 });
 
-const CLIENT_PATH = CONCORDIUM_CLIENT_PATH || "concordium-client";
-const HOST = GRPC_IP || "127.0.0.1";
-const PORT = Number(GRPC_PORT || 20000);
-const USE_TLS = String(GRPC_TLS || "").toLowerCase() === "true" || GRPC_TLS === "1";
-
-function buildCliCmd(argsArray) {
-  const flags = [`--grpc-ip ${HOST}`, `--grpc-port ${PORT}`];
-  if (USE_TLS) flags.push("--secure");
-  return `${CLIENT_PATH} ${argsArray.join(" ")} ${flags.join(" ")}`;
-}
-
-async function execCli(argsArray) {
-  const cmd = buildCliCmd(argsArray);
-  const out = await runCommandWithRetry(cmd);
-  return String(out || "");
-}
-
 function cleanAddr(s) {
   if (s == null) return null;
   return String(s)
@@ -61,83 +43,7 @@ const toNum = (x) => {
   return Number.isFinite(n) ? n : null;
 };
 
-function parseValidatorFromAccountShow(out) {
-  const s = String(out);
-
-  const mNew = s.match(/^\s*Validator\s*:\s*#\s*(\d{1,12})\b/im);
-  let validatorId = mNew ? Number(mNew[1]) : null;
-
-  if (validatorId == null) {
-    const mId = s.match(/\b(Baker\s*ID|BakerId|Pool\s*owner\s*ID)\s*:\s*(\d{1,12})\b/i);
-    if (mId) validatorId = Number(mId[2]);
-  }
-
-  let isSuspended = null;
-  const mSusp1 = s.match(/\bSuspended\s*:\s*(yes|no|true|false)\b/i);
-  if (mSusp1) {
-    isSuspended = /yes|true/i.test(mSusp1[1]) ? "yes" : "no";
-  } else {
-    const mSusp2 = s.match(/\b(Baker|Pool)\s*status\s*:\s*(active|suspended)\b/i);
-    if (mSusp2) isSuspended = /suspended/i.test(mSusp2[2]) ? "yes" : "no";
-  }
-
-  return { validatorId, isSuspended };
-}
-
-function parseDelegationTargetFromAccountShow(out) {
-  const s = String(out);
-  const mDelegating = s.match(/\bDelegating\s+stake\s*:\s*(yes|no)\b/i);
-  if (mDelegating && /no/i.test(mDelegating[1])) return null;
-
-  const mTargetLine = s.match(/\bDelegation\s+target\s*:\s*([^\n\r]+)/i);
-  if (!mTargetLine) return null;
-
-  const tail = mTargetLine[1].trim();
-  if (/passive/i.test(tail)) return "passive";
-  const mId = tail.match(/(\d{1,12})/);
-  return mId ? String(Number(mId[1])) : null;
-}
-
-function parsePoolStatusExtra(out) {
-  const s = String(out);
-
-  function parseCommissionValue(raw) {
-    if (!raw) return null;
-    const str = String(raw).trim();
-
-    const m = str.match(/([-+]?\d+(?:[.,]\d+)?(?:e[-+]?\d+)?)/i);
-    if (!m) return null;
-
-    let v = Number(m[1].replace(",", "."));
-    if (!Number.isFinite(v)) return null;
-
-    if (/[％%]/.test(str)) v = v / 100;
-
-    if (v > 1 && v <= 100 && !/[％%]/.test(str)) v = v / 100;
-
-    if (v < 0) v = 0;
-    if (v > 1) v = 1;
-
-    return v;
-  }
-
-  const mB = s.match(/^\s*(?:-\s*)?(?:Baking|Block\s+commission)\s*:\s*([^\n\r]+)/mi);
-  const mT = s.match(/^\s*(?:-\s*)?(?:Transaction\s+fees?|Transaction\s+commission)\s*:\s*([^\n\r]+)/mi);
-
-  const baking = parseCommissionValue(mB && mB[1]);
-  const txFee  = parseCommissionValue(mT && mT[1]);
-
-  let isSuspended = null;
-  const mSusp1 = s.match(/\bSuspended\s*:\s*(yes|no|true|false)\b/i);
-  if (mSusp1) {
-    isSuspended = /yes|true/i.test(mSusp1[1]) ? "yes" : "no";
-  } else {
-    const mSusp2 = s.match(/\b(?:Status|Pool\s*status|Baker\s*status)\s*:\s*(active|suspended)\b/i);
-    if (mSusp2) isSuspended = /suspended/i.test(mSusp2[1]) ? "yes" : "no";
-  }
-
-  return { baking, txFee, isSuspended };
-}
+const suspendedFlag = (b) => (b == null ? null : b ? "yes" : "no");
 
 async function runBackfillFromCsv(opts) {
   let csvPath, runOnEmpty = true, debug = false;
@@ -244,13 +150,12 @@ async function runPostImportEnrichment({ debug = false } = {}) {
     let isSuspended = null;
 
     try {
-      const out = await execCli(["account", "show", addr]);
-      const p = parseValidatorFromAccountShow(out);
-      validatorId = p.validatorId;
-      isSuspended = p.isSuspended;
-      if (debug) console.log(`[backfill] [CLI] validator #${r.id}: vid=${validatorId ?? "—"}, suspended=${isSuspended ?? "—"}`);
+      const acct = await chain.getAccountStake(addr);
+      validatorId = acct?.validatorId ?? null;
+      isSuspended = suspendedFlag(acct?.isSuspended);
+      if (debug) console.log(`[backfill] [gRPC] validator #${r.id}: vid=${validatorId ?? "—"}, suspended=${isSuspended ?? "—"}`);
     } catch (e) {
-      if (debug) console.log(`[backfill] CLI account show failed for ${addr}: ${e?.message || e}`);
+      if (debug) console.log(`[backfill] account lookup failed for ${addr}: ${e?.message || e}`);
     }
 
     await delay(SLEEP);
@@ -279,8 +184,10 @@ async function runPostImportEnrichment({ debug = false } = {}) {
     if (!Number.isFinite(vid)) continue;
 
     try {
-      const out = await execCli(["pool", "status", String(vid)]);
-      const { baking, txFee, isSuspended } = parsePoolStatusExtra(out || "");
+      const st = await chain.getPoolStatus(vid);
+      const baking = st?.commissions?.baking ?? null;
+      const txFee = st?.commissions?.txFee ?? null;
+      const isSuspended = st ? suspendedFlag(st.isSuspended) : null;
 
       await delay(SLEEP);
 
@@ -298,7 +205,7 @@ async function runPostImportEnrichment({ debug = false } = {}) {
         );
         if (debug) console.log(`[backfill] ✓ commissions upserted for pool #${vid}: baking=${baking}, txFee=${txFee}`);
       } else if (debug) {
-        console.log(`[backfill] ! could not parse commissions for pool #${vid}`);
+        console.log(`[backfill] ! could not read commissions for pool #${vid}`);
       }
 
       if (isSuspended != null) {
@@ -340,11 +247,11 @@ async function runPostImportEnrichment({ debug = false } = {}) {
     let target = null;
 
     try {
-      const out = await execCli(["account", "show", addr]);
-      target = parseDelegationTargetFromAccountShow(out);
-      if (debug) console.log(`[backfill] [CLI] delegator #${r.id}: target=${target ?? "—"}`);
+      const acct = await chain.getAccountStake(addr);
+      target = acct?.type === "delegator" ? acct.delegationTarget : null;
+      if (debug) console.log(`[backfill] [gRPC] delegator #${r.id}: target=${target ?? "—"}`);
     } catch (e) {
-      if (debug) console.log(`[backfill] CLI account show failed for ${addr}: ${e?.message || e}`);
+      if (debug) console.log(`[backfill] account lookup failed for ${addr}: ${e?.message || e}`);
     }
 
     await delay(SLEEP);
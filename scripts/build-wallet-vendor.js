@@ -0,0 +1,45 @@
+// scripts/build-wallet-vendor.js
+/**
+ * Bundles the wallet libraries used by web/verify-wallet.html into web/vendor/, served by server.js at
+ * /verify/wallet/vendor. The page never loads code from a CDN: the versions are the exact ones pinned in
+ * package.json (and the lockfile), so the signing page only changes when the dependencies do.
+ * Responsibilities:
+ * - browser-wallet.js → detectConcordiumProvider (@concordium/browser-wallet-api-helpers).
+ * - walletconnect.js → SignClient (@walletconnect/sign-client) and WalletConnectModal (@walletconnect/modal).
+ * Usage: npm run build:wallet (the Docker image runs it at build time).
+ */
+const path = require("path");
+const esbuild = require("esbuild");
+
+const ROOT = path.join(__dirname, "..");
+const OUT_DIR = path.join(ROOT, "web", "vendor");
+
+const BUNDLES = {
+  "browser-wallet.js": `export { detectConcordiumProvider } from "@concordium/browser-wallet-api-helpers";`,
+  "walletconnect.js":
+    `export { default as SignClient } from "@walletconnect/sign-client";\n` +
+    `export { WalletConnectModal } from "@walletconnect/modal";`,
+};
+
+async function main() {
+  for (const [file, contents] of Object.entries(BUNDLES)) {
+    await esbuild.build({
+      stdin: { contents, resolveDir: ROOT, loader: "js" },
+      bundle: true,
+      format: "esm",
+      platform: "browser",
+      target: "es2020",
+      minify: true,
+      legalComments: "linked",
+      define: { "process.env.NODE_ENV": '"production"', global: "globalThis" },
+      outfile: path.join(OUT_DIR, file),
+      logLevel: "warning",
+    });
+    console.log(`✅ web/vendor/${file}`);
+  }
+}
+
+main().catch((e) => {
+  console.error("❌ wallet vendor build failed:", e?.message || e);
+  process.exit(1);
+});
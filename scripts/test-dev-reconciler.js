@@ -0,0 +1,151 @@
+// scripts/test-dev-reconciler.js
+/**
+ * Offline checks for modules/devReconciler.js: the GitHub client and checkDeveloper run against a fake `http`
+ * (no network, no database), covering
+ * - 404 handling of getUser / getUserById, and a renamed login followed through the stored GitHub id,
+ * - star pagination (early stop, and the MAX_STAR_PAGES cap → skipped),
+ * - rate limits (403 with x-ratelimit-remaining: 0, 429), 5xx and transport errors → skipped, never failing.
+ * Usage: npm run test:dev-reconciler (exits 1 if any check fails).
+ */
+const assert = require("node:assert/strict");
+const {
+  GithubUnavailableError,
+  MAX_STAR_PAGES,
+  createGithubClient,
+  checkDeveloper,
+} = require("../modules/devReconciler");
+const { REQUIRED_REPOS } = require("../roles/devVerification");
+
+const API = "https://api.github.com";
+
+// routes: path → response ({ status, data, headers }) or a function (path) → response; unknown paths are 404.
+function fakeHttp(routes) {
+  const calls = [];
+  return {
+    calls,
+    async get(url) {
+      const path = url.slice(API.length);
+      calls.push(path);
+      const route = routes[path.split("?")[0]] ?? routes[path];
+      const res = typeof route === "function" ? route(path) : route;
+      if (res instanceof Error) throw res;
+      return { headers: {}, data: null, ...(res || { status: 404 }) };
+    },
+  };
+}
+
+const user = (id, login) => ({ status: 200, data: { id, login } });
+const stars = (names) => ({ status: 200, data: names.map((full_name) => ({ full_name })) });
+const filler = (n, page) => Array.from({ length: n }, (_, i) => `someone/repo-${page}-${i}`);
+const pageOf = (path) => Number(new URL(`${API}${path}`).searchParams.get("page"));
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test("getUser returns null on 404 and { id, login } on 200", async () => {
+  const http = fakeHttp({ "/users/alice": user(1, "alice") });
+  const github = createGithubClient({ http, token: "" });
+  assert.deepEqual(await github.getUser("alice"), { id: 1, login: "alice" });
+  assert.equal(await github.getUser("ghost"), null);
+  assert.equal(await github.getUserById(404), null);
+});
+
+test("a 404 login without a stored id is reported, not revoked", async () => {
+  const github = createGithubClient({ http: fakeHttp({}), token: "" });
+  const result = await checkDeveloper(github, "https://github.com/ghost");
+  assert.equal(result.ok, false);
+  assert.equal(result.reportOnly, true);
+});
+
+test("a deleted account with a stored id fails without reportOnly", async () => {
+  const github = createGithubClient({ http: fakeHttp({}), token: "" });
+  const result = await checkDeveloper(github, "https://github.com/gone", 77);
+  assert.equal(result.ok, false);
+  assert.ok(!result.reportOnly);
+});
+
+test("a renamed login is followed through the stored id", async () => {
+  const http = fakeHttp({
+    "/user/42": user(42, "new-name"),
+    "/users/new-name/starred": stars(REQUIRED_REPOS),
+  });
+  const github = createGithubClient({ http, token: "" });
+  const result = await checkDeveloper(github, "https://github.com/old-name", 42);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.user, { id: 42, login: "new-name" });
+  assert.ok(!http.calls.some((p) => p.startsWith("/users/old-name")));
+});
+
+test("missing stars are listed as the failure reason", async () => {
+  const http = fakeHttp({
+    "/users/alice": user(1, "alice"),
+    "/users/alice/starred": stars(REQUIRED_REPOS.slice(1)),
+  });
+  const result = await checkDeveloper(createGithubClient({ http, token: "" }), "https://github.com/alice");
+  assert.equal(result.ok, false);
+  assert.match(result.reasons[0], new RegExp(REQUIRED_REPOS[0]));
+});
+
+test("star pagination stops once every required repo was seen", async () => {
+  const http = fakeHttp({
+    "/users/alice/starred": (path) =>
+      pageOf(path) === 1 ? stars(filler(100, 1)) : stars([...REQUIRED_REPOS, ...filler(100 - REQUIRED_REPOS.length, 2)]),
+  });
+  const found = await createGithubClient({ http, token: "" }).starredRepos(
+    "alice",
+    REQUIRED_REPOS.map((r) => r.toLowerCase())
+  );
+  assert.ok(REQUIRED_REPOS.every((r) => found.has(r.toLowerCase())));
+  assert.equal(http.calls.length, 2);
+});
+
+test(`star pagination gives up after MAX_STAR_PAGES (${MAX_STAR_PAGES}) full pages`, async () => {
+  const http = fakeHttp({
+    "/users/alice": user(1, "alice"),
+    "/users/alice/starred": (path) => stars(filler(100, pageOf(path))),
+  });
+  const result = await checkDeveloper(createGithubClient({ http, token: "" }), "https://github.com/alice");
+  assert.ok(result.skipped);
+  assert.ok(!result.unavailable);
+  assert.equal(http.calls.filter((p) => p.startsWith("/users/alice/starred")).length, MAX_STAR_PAGES);
+});
+
+test("rate limits, 5xx and transport errors are skipped as unavailable", async () => {
+  const cases = [
+    { status: 403, headers: { "x-ratelimit-remaining": "0" } },
+    { status: 429 },
+    { status: 502 },
+    new Error("socket hang up"),
+  ];
+  for (const res of cases) {
+    const github = createGithubClient({ http: fakeHttp({ "/user/5": res, "/users/alice": res }), token: "" });
+    for (const args of [["https://github.com/alice"], ["https://github.com/alice", 5]]) {
+      const result = await checkDeveloper(github, ...args);
+      assert.equal(result.unavailable, true, `${res.status || res.message}`);
+      assert.ok(result.skipped);
+    }
+    await assert.rejects(github.getUser("alice"), GithubUnavailableError);
+  }
+});
+
+test("a 403 that is not a rate limit is not treated as a missing profile", async () => {
+  const github = createGithubClient({ http: fakeHttp({ "/users/alice": { status: 403 } }), token: "" });
+  const result = await checkDeveloper(github, "https://github.com/alice");
+  assert.ok(result.skipped);
+  assert.notEqual(result.ok, false);
+});
+
+(async () => {
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (e) {
+      failed++;
+      console.error(`❌ ${name}\n   ${e?.message || e}`);
+    }
+  }
+  console.log(`${tests.length - failed}/${tests.length} passed`);
+  process.exit(failed ? 1 : 0);
+})();
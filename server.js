@@ -1,12 +1,20 @@
 /**
  * Express-based API & GitHub OAuth gateway for the Discord bot.
  * Responsibilities:
- * - Boots a lightweight web server (static files + JSON) with a health check at /healthz.
+ * - Boots a lightweight web server (static files + JSON) with a health check at /healthz and DM queue
+ *   metrics at /metrics/dm-queue (modules/dmQueue.js getDmQueueStats). Metrics need
+ *   `Authorization: Bearer <METRICS_TOKEN>`; without METRICS_TOKEN the endpoint is disabled (404).
  * - Manages GitHub OAuth for developer verification:
  *   - /auth/github → redirects to GitHub authorization with a state token.
  *   - /callback → exchanges code for an access token, invokes devVerification.processGithubCallback,
  *     and returns human-readable success/failure pages.
  *   - /save-state → stores (state → discordId) to tie OAuth callbacks to Discord users.
+ * - Serves the browser-wallet verification page for validators/delegators (modules/walletVerification.js):
+ *   - GET /verify/wallet → web/verify-wallet.html (Concordium Browser Wallet or WalletConnect); the wallet
+ *     libraries are served from /verify/wallet/vendor (pinned builds from scripts/build-wallet-vendor.js).
+ *   - GET /verify/wallet/session?token= → account and challenge of the in-flight session behind the token.
+ *   - POST /verify/wallet { token, signature } → verifies the signature and hands the finalization to the bot
+ *     process (walletVerification.startWalletFinalizer), waiting for its result.
  * - Initializes a minimal Discord.js client (guild + member intents) used during verification.
  * - Reads configuration from environment (PORT, DISCORD_BOT_TOKEN, CLIENT_ID, CLIENT_SECRET, REDIRECT_URI).
  * - Starts the HTTP server when run directly; exports { app, discordClient } for reuse.
@@ -14,11 +22,14 @@
  */
 require("dotenv").config();
 
+const crypto = require("crypto");
 const express = require("express");
 const axios = require("axios");
 const path = require("path");
 const { Client, GatewayIntentBits } = require("discord.js");
 const devverification = require("./roles/devVerification");
+const walletVerification = require("./modules/walletVerification");
+const { getDmQueueStats } = require("./modules/dmQueue");
 
 const app = express();
 
@@ -27,6 +38,7 @@ const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
 const CLIENT_ID = process.env.CLIENT_ID;
 const CLIENT_SECRET = process.env.CLIENT_SECRET;
 const REDIRECT_URI = process.env.REDIRECT_URI;
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
 
 const authRequests = new Map();
 
@@ -46,6 +58,23 @@ app.get("/healthz", (_req, res) => {
   res.status(200).json({ ok: true });
 });
 
+function requireMetricsAuth(req, res, next) {
+  if (!METRICS_TOKEN) return res.status(404).json({ error: "Not found" });
+  const given = Buffer.from(String(req.get("authorization") || "").replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(METRICS_TOKEN);
+  if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return next();
+  return res.status(401).json({ error: "Unauthorized" });
+}
+
+app.get("/metrics/dm-queue", requireMetricsAuth, async (_req, res) => {
+  try {
+    res.status(200).json(await getDmQueueStats());
+  } catch (e) {
+    console.error("dm-queue metrics error:", e);
+    res.status(500).json({ error: "Server error occurred" });
+  }
+});
+
 app.post("/save-state", (req, res) => {
   try {
     const { state, discordId } = req.body || {};
@@ -149,6 +178,42 @@ app.get("/callback", async (req, res) => {
   }
 });
 
+app.get("/verify/wallet", (_req, res) => {
+  res.sendFile(path.join(__dirname, "web", "verify-wallet.html"));
+});
+
+app.use("/verify/wallet/vendor", express.static(path.join(__dirname, "web", "vendor"), { fallthrough: false }));
+
+app.get("/verify/wallet/session", async (req, res) => {
+  try {
+    const session = await walletVerification.getWalletSession(req.query.token);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: "This verification link has expired. Please restart the verification in Discord.",
+      });
+    }
+    return res.json({ success: true, session });
+  } catch (e) {
+    console.error("verify/wallet session error:", e);
+    return res.status(500).json({ success: false, error: "Server error occurred" });
+  }
+});
+
+app.post("/verify/wallet", async (req, res) => {
+  try {
+    const { token, signature } = req.body || {};
+    if (!token || !signature) {
+      return res.status(400).json({ success: false, error: "Invalid request" });
+    }
+    const result = await walletVerification.completeWalletVerification({ token, signature });
+    return res.status(result.success ? 200 : 422).json(result);
+  } catch (e) {
+    console.error("verify/wallet error:", e);
+    return res.status(500).json({ success: false, error: "Server error occurred" });
+  }
+});
+
 if (require.main === module) {
   const server = app.listen(PORT, "0.0.0.0", () => {
     console.log(`🌐 server.js listening on http://0.0.0.0:${PORT}  (health: /healthz)`);
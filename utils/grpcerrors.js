@@ -2,7 +2,8 @@
 /**
  * Heuristic detector for gRPC connectivity/availability failures.
  * Checks an error string against common substrings (e.g., "failed to connect",
- * "ECONNREFUSED", "connection timed out") and returns a boolean via isGrpcUnavailable().
+ * "ECONNREFUSED", "connection timed out", gRPC status names
+ * such as UNAVAILABLE / DEADLINE_EXCEEDED) and returns a boolean via isGrpcUnavailable().
  * Export: { isGrpcUnavailable }.
  */
 function isGrpcUnavailable(errorText) {
@@ -13,7 +14,9 @@ function isGrpcUnavailable(errorText) {
         "failed to connect",
         "ECONNREFUSED",
         "connection timed out",
-        "unavailable"
+        "unavailable",
+        "UNAVAILABLE",
+        "DEADLINE_EXCEEDED"
     ];
     return patterns.some(pattern =>
         typeof errorText === 'string' && errorText.includes(pattern)
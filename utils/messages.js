@@ -76,7 +76,7 @@ const MSGS = {
   validatorAlreadyRegistered: "❌ This validator address is already registered. Please check the ID or contact a moderator.",
   addressConfirmed: (validatorAddress, randomMemo) =>
     `✅ Your validator address is: \`${validatorAddress}\`\n\n` +
-    `Now send a CCD transaction **from this address to any address**, using this generated number as the MEMO: \`${randomMemo}\`\n\n` +
+    `Now send a CCD transaction **from this address to any address**, using this generated code as the MEMO: \`${randomMemo}\`\n\n` +
     `**Transaction requirements:**\n` +
     `- Any CCD amount (e.g. 0.000001)\n` +
     `- Must be sent within 1 hour\n` +
@@ -84,22 +84,37 @@ const MSGS = {
   invalidTxHash: "❌ Please enter a valid 64-character transaction hash.",
   txNotFinalized: "❌ Transaction is not finalized or was not successful.",
   txWrongSender: (validatorAddress) => `❌ Sender address must match the validator address: \`${validatorAddress}\``,
-  txWrongMemo: (randomMemo) => `❌ The MEMO must exactly match the generated number: \`${randomMemo}\``,
+  txWrongMemo: (randomMemo) => `❌ The MEMO must exactly match the generated code: \`${randomMemo}\``,
   failedToExtractBlockHash: "❌ Unable to extract block hash to validate transaction time.",
   failedToGetBlockTimestamp: "❌ Failed to retrieve block timestamp.",
   txExpired: "❌ This transaction is older than 1 hour. Please submit a fresh one.",
+  signMessageOption: (challenge, walletUrl) =>
+    `✍️ **Prefer not to pay a transaction fee?** Sign this exact message in your wallet (*Sign message* with this account) ` +
+    `and paste the signature here instead:\n\`\`\`\n${challenge}\n\`\`\`` +
+    (walletUrl
+      ? `\n🌐 Or sign it in your browser with the Concordium Wallet or via WalletConnect: [open verification page](<${walletUrl}>)`
+      : ""),
+  awaitingMemoOrSignature:
+    "There is no need to send the transaction hash - I will automatically track it by memo and address after finalization.\n" +
+    "If you used the signing option, paste the signature exactly as your wallet shows it.",
+  signatureInvalid:
+    "❌ The signature does not match the message and this account's keys. Make sure you signed the exact message above with this account.",
+  signatureCheckFailed: "❌ An unexpected error occurred while checking your signature. Please try again or use the memo transaction.",
   txAlreadyUsed: "❌ This transaction has already been used for verification.",
   verificationSuccess: (roleId, channelId) =>
     `🎉 You have been successfully verified as a <@&${roleId}> and your role has been assigned!\n` +
     `From now on I'll DM you when:\n` +
     `• Your validator is **pending for suspension**, **suspended** or **active again**;\n` +
-    `• A new validator is registered on the network or an existing one is deleted;\n` +
     `• A new delegator joins your pool or existing delegator leaves your pool;\n` +
     `• A delegator in your pool or you as a Validator **increases or decreases stake**;\n` +
-    `• You receive **PayDay rewards** for validation.\n\n` +
+    `• You receive **PayDay rewards** for validation.\n` +
+    `Network-wide news (new/removed validators) is posted publicly; opt in to DM copies with \`/notifications\`.\n\n` +
     `You now have access to the private Validators channel: <#${channelId}>\n` +
     `To mute or resume these DMs at any time, use \`/receive-notifications\` on/off on any channel.\n\n` +
     `You can now delete this thread.`,
+  validatorRoleRemovedStoppedValidating:
+    "⌛ We detected you **stopped validating** on-chain (your baker was removed).\n" +
+    "Your **Validator** role has been removed. If you resume validating, please verify again via the menu.",
   modLogsValidatorAssigned: (roleId, userId) =>
     `✅ Assigned <@&${roleId}> to <@${userId}> after successful validator on-chain verification.`,
   failedToArchiveThread: "❌ Failed to archive thread. Please try again later.",
@@ -118,7 +133,15 @@ const MSGS = {
   failedToStartValidatorVerification: "❌ Failed to start validator verification. Please contact a moderator.",
 
   // ===== delegator-verification =====
-  alreadyHasDelegatorRole: "✅ You already have the **Delegator** role — no need to verify again.",
+  alreadyHasDelegatorRole:
+    "✅ You already have the **Delegator** role — no need to verify again.\n" +
+    "Delegating from another account too? Use **Add another account** to link it and receive its alerts.",
+  delegatorAddAccountIntroThread: (userId) =>
+    `<@${userId}> Please send the **additional account address** you want to link. This thread is completely private - no one except you and the Concordium team has access to it. \n\n` +
+    `**Requirements:**\n` +
+    `- The account must be delegating at least **1000 CCD** to any pool or using passive delegation.\n` +
+    `If you entered the wrong address, use \`/start-again-delegator\` to restart.\n` +
+    `If you leave this thread inactive for more than **1 hour**, it will be automatically removed.`,
   delegatorThreadExists: (guildId, threadId) =>
     `⚠️ You already have an active verification thread.\n👉 [Open thread](https://discord.com/channels/${guildId}/${threadId})`,
   delegatorVerificationStarted: (guildId, threadId) =>
@@ -132,35 +155,49 @@ const MSGS = {
   delegatorAddressInVerification: "❌ This delegator address is already being verified by another user.",
   invalidDelegatorAddress: "❌ Please enter a valid Concordium account address.",
   delegatorAlreadyRegistered: "❌ This address is already registered as a Delegator. Please check the address or contact a moderator.",
+  delegatorAlreadyLinkedToYou: "ℹ️ This address is already linked to your Discord account. Send a different address to link another account.",
   notDelegating: "❌ This address is not currently delegating to any staking pool or using passive delegation.",
-  insufficientStake: (amount) =>
-    `❌ Your staked amount is **${amount} CCD**, which is below the required **1000 CCD**.\n` +
+  insufficientStake: (amount, minimum = 1000) =>
+    `❌ Your staked amount is **${amount} CCD**, which is below the required **${minimum.toLocaleString("en-US")} CCD**.\n` +
     `Please increase your delegation and try again.`,
   unknownDelegationTarget: "❌ Could not determine your delegation status. You must be delegating to either a specific pool or using passive delegation.",
   delegatorAccountConfirmed: (randomMemo, delegationTarget) =>
     `✅ Account verified! Now send a CCD transaction **from this address** with these requirements:\n\n` +
     `**1.** Send to any address\n` +
     `**2.** Any amount (e.g. 0.000001)\n` +
-    `**3.** Use this exact number as MEMO: \`${randomMemo}\`\n` +
+    `**3.** Use this exact code as MEMO: \`${randomMemo}\`\n` +
     `**4.** The transaction age must not exceed **1 hour** from the start of verification.\n\n` +
     `ℹ️ You are using ${delegationTarget === 'passive' ? 'passive delegation' : `pool delegation (pool ID: ${delegationTarget})`}.`,
   DelegationtxWrongSender: (address) => `❌ Sender address must match your delegator address: \`${address}\``,
-  DelegationtxWrongMemo: (memo) => `❌ The MEMO must exactly match the generated number: \`${memo}\``,
+  DelegationtxWrongMemo: (memo) => `❌ The MEMO must exactly match the generated code: \`${memo}\``,
   delegatorVerificationSuccess: (roleId) =>
     `🎉 You have been successfully verified as a <@&${roleId}> and your role has been assigned!\n` +
     `From now on I'll DM you when:\n` +
     `• Your validator's status changes: **suspension is pending**, **suspended**, or **active again**;\n` +
     `• Your validator **updates commission rates**;\n` +
-    `• A new validator is registered on the network or an existing one is deleted;\n` +
     `• **You or the owner of the pool to which you delegating** increasing or decreasing its stake (cooldown info included when applicable);\n` +
     `• Your delegation target **changes** or becomes **passive** (e.g., validator removed);\n` +
-    `• You receive **PayDay rewards** for delegation.\n\n` +
+    `• You receive **PayDay rewards** for delegation.\n` +
+    `Network-wide news (new/removed validators) is posted publicly; opt in to DM copies with \`/notifications\`.\n\n` +
     `To mute or resume these DMs at any time, use \`/receive-notifications\` on/off in any channel.\n\n` +
     `You can now delete this thread.`,
   passiveDelegatorVerificationSuccess: (roleId) =>
     `🎉 You have been successfully verified as a <@&${roleId}> and your role has been assigned!\n\nYou can now delete this thread.`,
   modLogsDelegatorAssigned: (roleId, userId) =>
     `✅ Assigned <@&${roleId}> to <@${userId}> after successful delegator on-chain verification.`,
+  modLogsDelegatorAccountLinked: (userId, wallet) =>
+    `🔗 <@${userId}> linked an additional delegator account \`${wallet}\` after on-chain verification.`,
+  modLogsMemoImpersonation: ({ flow, discordId, expectedAddress, sender, memo, txHash }) =>
+    `🕵️ Possible impersonation: the ${flow.toLowerCase()} verification memo \`${memo}\` of <@${discordId}> ` +
+    `(account \`${expectedAddress}\`) was sent from \`${sender || "unknown"}\` in ${scanTxLink(txHash)}.`,
+  delegatorAdditionalAccountVerified: (wallet) =>
+    `🎉 Account \`${wallet}\` has been linked to your Discord account. You will now also receive alerts for it.\n\nYou can now delete this thread.`,
+  delegatorRoleRemovedStoppedDelegating:
+    "⌛ We detected you **stopped delegating** on-chain.\n" +
+    "Your **Delegator** role has been removed. If you start delegating again, use the verification menu to restore the role.",
+  delegatorAccountUnlinked: (wallet, remaining) =>
+    `⌛ We detected that account \`${wallet}\` **stopped delegating** on-chain, so it has been unlinked.\n` +
+    `You keep the **Delegator** role because ${remaining} other linked account(s) are still delegating.`,
   noActiveDelegatorThread: (channelId) =>
     `⚠️ You don't have an active delegator verification thread. Please start the verification using the dropdown menu on the <#${channelId}>.`,
   previousDelegatorThreadNotFound: (channelId) =>
@@ -204,15 +241,17 @@ const MSGS = {
 
   // ===== alerts =====
 
-  delegatorRoleRevokedBelowMinimum: (mention, wallet, minCcd, currentCcd, txHash, blockHash) => {
+  delegatorRoleRevokedBelowMinimum: (mention, wallet, minCcd, currentCcd, txHash, blockHash, remainingAccounts = 0) => {
     const body =
-      `⚠️ **Delegator role removed**\n` +
+      (remainingAccounts > 0 ? `⚠️ **Delegator account unlinked**\n` : `⚠️ **Delegator role removed**\n`) +
       `We detected that your delegation decreased below the required minimum of **${Number(minCcd).toLocaleString("en-US")} CCD** for the Delegator role.\n` +
       `${accountLine("Wallet", wallet)}\n` +
       (Number.isFinite(Number(currentCcd)) ? `Current delegated stake: **${Number(currentCcd).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })} CCD**.` : "") +
       txLinkLine(txHash) + 
       blockLine(blockHash) +
-      `\n\nTo regain the role, increase your delegation back to **${Number(minCcd).toLocaleString("en-US")} CCD** or more and re-verify.`;
+      (remainingAccounts > 0
+        ? `\n\nYou keep the **Delegator** role through your ${remainingAccounts} other linked account(s). Re-verify this account once it meets the minimum again.`
+        : `\n\nTo regain the role, increase your delegation back to **${Number(minCcd).toLocaleString("en-US")} CCD** or more and re-verify.`);
 
     return dmPayload(mention, body);
   },  
@@ -276,7 +315,7 @@ const MSGS = {
 
   networkValidatorRemoved: (mention, validatorId, account, txHash, blockHash) => {
     const body =
-      `🗑️ **A different validator was removed from the network.**\n` +
+      `🗑️ **A validator was removed from the network.**\n` +
       `Validator: **${scanValidatorLink(validatorId)}**\n` +
       `${accountLine("Wallet", account)}` +
       txLinkLine(txHash) + blockLine(blockHash);
@@ -363,6 +402,29 @@ validatorSelfStakeDecreased: (mention, newStakeCCD, cooldowns, txHash, blockHash
     return dmPayload(mention, body);
   },
 
+  validatorBehindSchedule: (mention, validatorId, baked, expected, lotteryPower, payday) => {
+    const body =
+      `🩺 **Early warning: validator ${scanValidatorLink(validatorId)} is baking fewer blocks than expected.**\n` +
+      `This PayDay: **${baked}** block(s) baked, about **${expected.toFixed(1)}** expected ` +
+      `(lottery power ${formatPercent(lotteryPower)}).` +
+      (payday?.missedRounds > 0 ? `\nMissed rounds: **${payday.missedRounds}**.` : "") +
+      `\nPlease check that your node is running, synced and has the correct validator keys ` +
+      `before it gets primed for suspension.`;
+    return dmPayload(mention, body);
+  },
+
+  validatorNodeOffline: (mention, validatorId, missed, winTime, lastBlockAt) => {
+    const body =
+      `📡 **Your validator ${scanValidatorLink(validatorId)} seems to be offline.**\n` +
+      `It was due to bake a block ${missed} time(s) in a row without producing one ` +
+      `(latest earliest win time: ${winTime.toUTCString()}).\n` +
+      `Last block seen from it: ${lastBlockAt ? lastBlockAt.toUTCString() : "none since the bot started tracking"}.\n` +
+      `Please check that your node is running, connected to peers and fully caught up.`;
+    return dmPayload(mention, body);
+  },
+  validatorNodeBackOnline: (mention, validatorId) =>
+    dmPayload(mention, `✅ Your validator ${scanValidatorLink(validatorId)} is baking blocks again.`),
+
   commissionChanged: (mention, poolId, oldBaking, bakingRate, oldTx, transactionFeeRate) => {
     const body =
       `📢 **Commission update alert!**\n\n` +
@@ -373,10 +435,23 @@ validatorSelfStakeDecreased: (mention, newStakeCCD, cooldowns, txHash, blockHash
     return dmPayload(mention, body);
   },
 
-  delegationBecamePassive: (mention, wallet) => {
+  networkCommissionChanged: (mention, poolId, poolStakeCCD, oldBaking, bakingRate, oldTx, transactionFeeRate) => {
+    const body =
+      `📢 **Commission change of a large pool**\n` +
+      `Validator: **${scanValidatorLink(poolId)}**` +
+      (Number.isFinite(poolStakeCCD) ? ` (pool stake **${Math.round(poolStakeCCD).toLocaleString("en-US")} CCD**)` : "") +
+      `\n- **Baking commission**: ${formatPercent(oldBaking)} → ${formatPercent(bakingRate)}\n` +
+      `- **Transaction commission**: ${formatPercent(oldTx)} → ${formatPercent(transactionFeeRate)}`;
+    return dmPayload(mention, body);
+  },
+
+  delegationBecamePassive: (mention, wallets) => {
+    const list = (Array.isArray(wallets) ? wallets : [wallets]).map((w) => `\`${w}\``);
     const body =
       `⚠️ **Your delegation is now passive!**\n\n` +
-      `Your wallet \`${wallet}\` is no longer delegating to any validator pool and has switched to **passive delegation**.\n\n` +
+      (list.length > 1
+        ? `Your wallets ${list.join(", ")} are no longer delegating to any validator pool and have switched to **passive delegation**.\n\n`
+        : `Your wallet ${list[0]} is no longer delegating to any validator pool and has switched to **passive delegation**.\n\n`) +
       `This happens when the validator you delegating to is removed.\n\n` +
       `⛔ Passive delegation has a high default commissions of **25%**.\n` +
       `✅ Consider switching to an active validator for better rewards.`;
@@ -439,6 +514,228 @@ validatorSelfStakeDecreased: (mention, newStakeCCD, cooldowns, txHash, blockHash
     };
   },
 
+  unlinkNothingLinked: "ℹ️ You have no verified links to remove.",
+  unlinkPrompt: "🔓 Choose the link you want to remove. Its data is deleted and the role is removed if nothing else justifies it.",
+  unlinkAlreadyRemoved: "ℹ️ This link no longer exists.",
+  unlinkDone: (roleType, wallet, roleRemoved) =>
+    `✅ Your **${roleType}** link${wallet ? ` for \`${wallet}\`` : ""} has been removed.` +
+    (roleRemoved ? `\nThe **${roleType}** role has been removed as well.` : ""),
+
+  notificationSettings: (globalOn, categoryLines, paydayDelivery) =>
+    `**🔔 Your notification settings**\n` +
+    (globalOn
+      ? `Tap a button to mute or unmute a category.\n\n`
+      : `All personal DMs are currently **OFF**. Turn them back on to manage categories.\n\n`) +
+    categoryLines.join("\n") +
+    (paydayDelivery ? `\n\nPayDay rewards delivery: **${paydayDelivery}**` : ""),
+
+  paydayDigest: (mention, { period, totalCCD, count, lines, apyPct }) => {
+    const title = period === "weekly" ? "Weekly" : "Daily";
+    const apyLn = Number.isFinite(apyPct)
+      ? `\nEffective APY (estimate): **${apyPct.toFixed(2)}%**`
+      : "";
+    const body =
+      `💰 **${title} PayDay summary**\n` +
+      `You received **${totalCCD} CCD** over **${count}** PayDay(s).` +
+      apyLn +
+      `\n\n${lines.join("\n")}`;
+    return dmPayload(mention, body);
+  },
+
+  stakeTiersList: (tiers) =>
+    tiers.length
+      ? "🏅 **Stake tiers**\n" +
+        tiers
+          .map((t) => `• **${t.role_type}** ≥ ${t.min_stake_ccd.toLocaleString("en-US")} CCD → <@&${t.role_id}>`)
+          .join("\n")
+      : "ℹ️ No stake tiers are configured. Add one with `/stake_tiers add`.",
+  stakeTierSaved: (roleType, roleId, minStakeCCD) =>
+    `✅ <@&${roleId}> is now the **${roleType}** tier for ≥ **${minStakeCCD.toLocaleString("en-US")} CCD**. ` +
+    `Linked members are being re-evaluated.`,
+  stakeTierRemoved: (roleType, roleId) =>
+    `🗑️ Removed the **${roleType}** stake tier <@&${roleId}>; the role is being taken off linked members.`,
+  stakeTierNotFound: (roleId) => `ℹ️ <@&${roleId}> is not a stake tier.`,
+  stakeTierInvalid: "❌ Role type must be Delegator or Validator and the minimum must be a non-negative amount.",
+
+  poolRoleNotValidator:
+    "❌ Only verified validators can manage a pool role. Verify your validator via the role menu first.",
+  poolRoleChooseValidator: (ids) =>
+    `ℹ️ You have several verified validators (${ids.map((id) => `#${id}`).join(", ")}). ` +
+    "Please pass `validator_id` to choose one.",
+  poolRoleEnabled: (validatorId, roleId, delegators) =>
+    `✅ Created <@&${roleId}> for pool #${validatorId} and assigned it to **${delegators}** verified delegator(s). ` +
+    "New delegators get it as soon as they verify; it is removed when they move away. " +
+    "Ask a moderator if you want a private channel for this role.",
+  poolRoleAlreadyEnabled: (validatorId, roleId) =>
+    `ℹ️ Pool #${validatorId} already has a pool role: <@&${roleId}>.`,
+  poolRoleDisabled: (validatorId) => `🗑️ The pool role of validator #${validatorId} has been deleted.`,
+  poolRoleNotEnabled: (validatorId) => `ℹ️ Validator #${validatorId} has no pool role.`,
+
+  reconcileReport: (plan) => {
+    const orphanPolicyLabel = { report: "report only", notify: "DM a re-verify link", strip: "remove role and DM" };
+    const short = (s) => (s ? `${String(s).slice(0, 6)}…${String(s).slice(-4)}` : "");
+    const roles = [];
+    const targets = [];
+    const rows = [];
+    const orphans = [];
+    const reported = plan.reported || [];
+    for (const a of [...plan.actions, ...reported]) {
+      if (a.kind === "delegator-stopped") {
+        if (a.removeRole) roles.push(`• **Delegator** from <@${a.discordId}> — stopped delegating`);
+        rows.push(`• Delegator \`${short(a.wallet)}\` of <@${a.discordId}>${a.removeRole ? "" : " (role kept)"}`);
+      } else if (a.kind === "delegator-target") {
+        targets.push(`• \`${short(a.wallet)}\` of <@${a.discordId}>: ${a.from ?? "none"} → ${a.to}`);
+      } else if (a.kind === "validator-gone") {
+        roles.push(`• **Validator** from <@${a.discordId}> — no longer validating`);
+        rows.push(`• Validator${a.validatorId != null ? ` #${a.validatorId}` : ""} \`${short(a.wallet)}\` of <@${a.discordId}>`);
+      } else if (a.kind === "validator-enrich") {
+        targets.push(`• Validator row \`${short(a.wallet)}\` of <@${a.discordId}>: set validator ID #${a.validatorId}`);
+      } else if (a.kind === "role-orphan") {
+        orphans.push(`• **${a.roleType}** held by <@${a.discordId}>${a.notified ? " (already notified)" : ""}`);
+      }
+    }
+    const section = (title, lines) => {
+      if (!lines.length) return "";
+      const shown = lines.slice(0, 15);
+      const more = lines.length - shown.length;
+      return `\n\n**${title}** (${lines.length})\n${shown.join("\n")}${more > 0 ? `\n…and ${more} more` : ""}`;
+    };
+    if (!plan.actions.length && !reported.length) return "✅ **Reconcile dry run:** roles and database are in sync with the chain.";
+    return (
+      `🧰 **Reconcile dry run** — ${plan.actions.length} change(s) planned ` +
+      `(${new Date(plan.createdAt).toUTCString()})` +
+      section("Roles to remove", roles) +
+      section("Targets to update", targets) +
+      section(plan.deleteRows === false ? "Rows to clear" : "Rows to delete", rows) +
+      section(`Roles without verification — ${orphanPolicyLabel[plan.orphans] || "report only"}`, orphans)
+    ).slice(0, 1950);
+  },
+  reconcilePlanExpired: "⌛ This reconcile plan has expired or was already handled. Run `/reconcile_roles dry_run:true` again.",
+  dmClosedNotice: (guildId, threadId) =>
+    `📭 I could not reach you by DM several times, so your notifications ` +
+    (threadId
+      ? `are now posted in your private thread: https://discord.com/channels/${guildId}/${threadId}`
+      : `cannot be delivered right now`) +
+    `.\nTo get DMs again, enable **Direct Messages** for this server (Server menu → Privacy Settings).`,
+  dmFailureSummary: ({ members, deadCount, since }) => {
+    const label = { thread: "fallback thread", notice: "notice only" };
+    const lines = members
+      .slice(0, 20)
+      .map((m) => `• <@${m.discordId}> — ${m.failures} failed DM(s)${m.fallback ? ` (${label[m.fallback]})` : ""}`);
+    const more = members.length - lines.length;
+    return (
+      `📭 **DM delivery summary** since ${since.toUTCString()}\n` +
+      `Members with closed DMs: **${members.length}** · Dead-lettered DMs: **${deadCount}**` +
+      (lines.length ? `\n${lines.join("\n")}` : "") +
+      (more > 0 ? `\n…and ${more} more` : "")
+    ).slice(0, 1950);
+  },
+  orphanRoleReverify: (guildName, roleType, link) =>
+    `👋 You hold the **${roleType}** role on **${guildName}**, but we have no ${roleType.toLowerCase()} verification on record for you. ` +
+    `Please verify again to keep it${link ? `: ${link}` : " (use the role menu)."}`,
+  orphanRoleRemoved: (guildName, roleType, link) =>
+    `Hi! Your **${roleType}** role on **${guildName}** was removed because we have no ${roleType.toLowerCase()} verification on record for you. ` +
+    `You can verify again${link ? ` here: ${link}` : " from the role menu"}.`,
+
+  developerReconcileReport: ({ failing, renamed = [], checked, skipped, revoked }) => {
+    const lines = failing
+      .slice(0, 15)
+      .map(
+        (f) =>
+          `• <@${f.discordId}> — <${f.githubProfile}>: ${f.reasons.join("; ")}` +
+          (revoked && f.reportOnly ? " (kept, please check manually)" : "")
+      );
+    const more = failing.length - lines.length;
+    const renamedLines = renamed.slice(0, 10).map((r) => `• <@${r.discordId}> — \`${r.from}\` → \`${r.to}\``);
+    return (
+      `👨‍💻 **Developer reconcile** — ${checked} checked, ${skipped} skipped, ${failing.length} no longer meet the GitHub criteria` +
+      (failing.length ? (revoked ? " (role revoked)" : " (report only)") : "") +
+      (lines.length ? `\n${lines.join("\n")}` : "") +
+      (more > 0 ? `\n…and ${more} more` : "") +
+      (renamedLines.length ? `\n🔁 Renamed GitHub profiles (updated):\n${renamedLines.join("\n")}` : "") +
+      (renamed.length > renamedLines.length ? `\n…and ${renamed.length - renamedLines.length} more` : "")
+    ).slice(0, 1950);
+  },
+  developerRoleRevoked: (guildName, githubProfile, reasons) =>
+    `👨‍💻 Your **Developer** role in **${guildName}** was removed because ${githubProfile} no longer meets the requirements:\n` +
+    reasons.map((r) => `• ${r}`).join("\n") +
+    "\nOnce this is fixed you can verify again from the role menu.",
+
+  rewardsNoLinkedAccounts:
+    "ℹ️ You have no verified validator or delegator accounts yet. Verify one via the role menu to track rewards.",
+
+  rewardsSummary: ({ fromIso, toIso, accounts, grandTotal }) => {
+    const lines = accounts.length
+      ? accounts.map((a) =>
+          `${accountLine(a.role === "Validator" ? "Validator account" : "Delegator account", a.account)}\n` +
+          `Baking **${a.baking}** · Finalization **${a.finalization}** · Tx fees **${a.fees}**\n` +
+          `Total **${a.total} CCD** over ${a.paydays} PayDay(s)`
+        )
+      : ["No PayDay rewards were recorded for your linked accounts in this period."];
+    return {
+      embeds: [{
+        description:
+          `💰 **PayDay rewards ${fromIso} → ${toIso}**\n\n` +
+          lines.join("\n\n") +
+          (accounts.length ? `\n\nGrand total: **${grandTotal} CCD**` : ""),
+      }],
+    };
+  },
+
+  myStatus: (accounts, prefs) => {
+    const accountBlocks = accounts.map((a) => {
+      if (a.roleType === "Developer") {
+        return `👨‍💻 **Developer**` + (a.githubProfile ? `\nGitHub: ${a.githubProfile}` : "");
+      }
+
+      const head = a.roleType === "Validator"
+        ? `🛡️ **Validator**${a.validatorId != null ? ` ${scanValidatorLink(a.validatorId)}` : ""}`
+        : `🤝 **Delegator**`;
+      const lines = [head, accountLine("Wallet", a.wallet)];
+
+      if (a.roleType === "Delegator") {
+        lines.push(
+          a.delegationTarget === "passive"
+            ? "Delegation target: **passive delegation**"
+            : a.delegationTarget
+              ? `Delegation target: validator ${scanValidatorLink(a.delegationTarget)}`
+              : "Delegation target: **unknown**"
+        );
+      }
+
+      if (a.liveError) lines.push("⚠️ Live chain data is temporarily unavailable.");
+      else if (a.accountMissing) lines.push("⚠️ Account not found on chain.");
+      else if (a.notStaking) lines.push("⚠️ This account is not staking anymore.");
+      else if (a.stakedCCD != null) lines.push(`Staked: **${a.stakedCCD} CCD**`);
+
+      if (a.cooldowns && a.cooldowns.length) {
+        lines.push("Pending cooldowns:");
+        for (const c of a.cooldowns) lines.push(`• ${c.amountCCD} CCD — ${c.when}`);
+      }
+
+      if (a.suspension) lines.push(`Validator status: ${a.suspension}`);
+      if (a.commissions) {
+        lines.push(`Pool commissions: baking **${a.commissions.baking}**, transaction fees **${a.commissions.txFee}**`);
+      }
+
+      return lines.filter(Boolean).join("\n");
+    });
+
+    const prefLines = prefs.globalOn
+      ? prefs.categories.map((c) => `${c.enabled ? "🔔" : "🔕"} ${c.label}`).join("\n") +
+        `\nPayDay rewards delivery: **${prefs.paydayDelivery}**`
+      : "🔕 All personal DMs are **OFF** (`/receive-notifications`).";
+
+    const description =
+      `📋 **Your status**\n\n` +
+      (accountBlocks.length
+        ? accountBlocks.join("\n\n")
+        : "You have no verified accounts yet. Use the role menu to verify as validator, delegator or developer.") +
+      `\n\n**Notifications**\n${prefLines}`;
+
+    return { embeds: [{ description: description.slice(0, 4096) }] };
+  },
+
   delegatorStakeChangedForValidator: (
     mention,
     poolId,
@@ -1,17 +1,40 @@
 // /utils/randommemo.js
 /**
- * Generates a random numeric memo string.
- * - Length: 5–10 digits (inclusive), chosen randomly per call.
- * - Returns: string of digits suitable for lightweight tags/identifiers.
- * - Export: generateRandomMemo()
+ * Generates verification memos with a CSPRNG (crypto.randomInt).
+ * - Format: VERIFICATION_MEMO_PREFIX (default "CCD-VERIFY-") followed by VERIFICATION_MEMO_LENGTH
+ *   (default 8, 6–32) characters from VERIFICATION_MEMO_CHARSET: "alnum" (default; upper-case letters and
+ *   digits without the look-alikes 0/O/1/I/L) or "numeric".
+ * - Returns: string suitable for a transfer memo, easy to spot on chain by its prefix.
+ * - Export: generateRandomMemo(), generateUniqueMemo(isTaken) — retries until the async predicate reports
+ *   the memo is not pending for another session.
  */
+const crypto = require('crypto');
+
+const CHARSETS = {
+    alnum: '23456789ABCDEFGHJKMNPQRSTUVWXYZ',
+    numeric: '0123456789',
+};
+
+const PREFIX = process.env.VERIFICATION_MEMO_PREFIX ?? 'CCD-VERIFY-';
+const LENGTH = Math.min(32, Math.max(6, Number(process.env.VERIFICATION_MEMO_LENGTH) || 8));
+const ALPHABET = CHARSETS[(process.env.VERIFICATION_MEMO_CHARSET || 'alnum').toLowerCase()] || CHARSETS.alnum;
+
+const MAX_ATTEMPTS = 10;
+
 function generateRandomMemo() {
-    const length = Math.floor(Math.random() * 6) + 5;
-    let result = '';
-    for (let i = 0; i < length; i++) {
-        result += Math.floor(Math.random() * 10);
+    let result = PREFIX;
+    for (let i = 0; i < LENGTH; i++) {
+        result += ALPHABET[crypto.randomInt(ALPHABET.length)];
     }
     return result;
 }
 
-module.exports = { generateRandomMemo };
\ No newline at end of file
+async function generateUniqueMemo(isTaken) {
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const memo = generateRandomMemo();
+        if (!(await isTaken(memo))) return memo;
+    }
+    throw new Error(`could not generate a unique memo after ${MAX_ATTEMPTS} attempts`);
+}
+
+module.exports = { generateRandomMemo, generateUniqueMemo };